@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+"use strict";
+
+// Citation parsing for final answers: file references (`dir/file.pdf:120`, `file.txt:12-14`,
+// optionally prefixed with [corpus] and followed by p.N), evidence IDs, and the quoted text that
+// goes with each reference. The checks against the corpus live in server.js; this module finds the
+// references and writes the verified/unverified markers back into the answer.
+
+const EXT = String.raw`\.(?:txt|pdf|docx|html?|csv)`;
+// Inside inline code the path may contain spaces; in plain text it may not (same as the chat UI).
+const CODE_REF_RE = new RegExp(String.raw`\`([^\`\n]+?${EXT}):(\d+)(?:-(\d+))?\``, "gi");
+const TEXT_REF_RE = new RegExp(String.raw`([^\s:*<>&"'\`()\[\]]+${EXT}):(\d+)(?:-(\d+))?`, "gi");
+const EVIDENCE_RE = /`?(ev:[a-z0-9][a-z0-9_-]*:[^\s`<>"']+?:(\d+)(?:-(\d+))?#[0-9a-f]+)`?/g;
+const PAGE_SUFFIX_RE = /^\s*pp?\.\s?(\d+)(?:\s*-\s*(\d+))?/i;
+const CORPUS_PREFIX_RE = /\[([a-z0-9][a-z0-9_-]*)\]\s*$/i;
+const QUOTE_RE = /"([^"\n]{3,}?)"|“([^”\n]{3,}?)”|«([^»\n]{3,}?)»|「([^」\n]{3,}?)」/g;
+const VERIFIED_MARK = "✓";
+const UNVERIFIED_MARK = "⚠";
+
+function matchesIn(re, text) {
+  re.lastIndex = 0;
+  const out = [];
+  let m;
+  while ((m = re.exec(text))) out.push(m);
+  return out;
+}
+
+function quotesIn(text) {
+  return matchesIn(QUOTE_RE, text)
+    .map((m) => (m[1] || m[2] || m[3] || m[4] || "").replace(/[«»]/g, "").trim())
+    .filter((q) => q.length >= 3);
+}
+
+// References on one line of the answer, in order. `offset` is the line's position in the answer.
+function lineCitations(line, offset) {
+  const spans = [];
+  const overlaps = (start, end) => spans.some((s) => start < s.end && end > s.start);
+  for (const m of matchesIn(EVIDENCE_RE, line)) {
+    const line0 = Number(m[2]);
+    const file = m[1].replace(/^ev:[^:]+:/, "").replace(/:\d+(?:-\d+)?#[0-9a-f]+$/, "");
+    spans.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      evidenceId: m[1],
+      corpus: m[1].split(":")[1],
+      file,
+      line: line0,
+      endLine: m[3] ? Number(m[3]) : line0,
+    });
+  }
+  for (const re of [CODE_REF_RE, TEXT_REF_RE]) {
+    for (const m of matchesIn(re, line)) {
+      const start = m.index;
+      let end = m.index + m[0].length;
+      if (overlaps(start, end)) continue;
+      const ref = { start, end, file: m[1].trim(), line: Number(m[2]), endLine: m[3] ? Number(m[3]) : Number(m[2]) };
+      const page = PAGE_SUFFIX_RE.exec(line.slice(end));
+      if (page) {
+        ref.page = Number(page[1]);
+        if (page[2]) ref.endPage = Number(page[2]);
+        end += page[0].length;
+        ref.end = end;
+      }
+      const prefix = CORPUS_PREFIX_RE.exec(line.slice(0, start));
+      if (prefix) ref.corpus = prefix[1].toLowerCase();
+      spans.push(ref);
+    }
+  }
+  spans.sort((a, b) => a.start - b.start);
+
+  // An evidence ID right after a file reference (`file.pdf:120` p.3 `ev:...`) belongs to it.
+  const merged = [];
+  for (const span of spans) {
+    const prev = merged[merged.length - 1];
+    if (span.evidenceId && prev && !prev.evidenceId && !line.slice(prev.end, span.start).trim()) {
+      prev.evidenceId = span.evidenceId;
+      prev.corpus = prev.corpus || span.corpus;
+      prev.end = span.end;
+      continue;
+    }
+    merged.push(span);
+  }
+
+  // The quote for a reference is the last one between the previous reference and it, or else the
+  // first one between it and the next reference.
+  return merged.map((span, i) => {
+    const before = line.slice(i ? merged[i - 1].end : 0, span.start);
+    const after = line.slice(span.end, i + 1 < merged.length ? merged[i + 1].start : line.length);
+    const quote = quotesIn(before).pop() || quotesIn(after)[0] || "";
+    const citation = {
+      ref: line.slice(span.start, span.end).trim(),
+      ...(span.corpus ? { corpus: span.corpus } : {}),
+      file: span.file,
+      line: span.line,
+      endLine: span.endLine,
+      ...(span.page ? { page: span.page } : {}),
+      ...(span.endPage ? { endPage: span.endPage } : {}),
+      ...(span.evidenceId ? { evidenceId: span.evidenceId } : {}),
+      ...(quote ? { quote } : {}),
+    };
+    Object.defineProperty(citation, "offset", { value: offset + span.end, enumerable: false });
+    return citation;
+  });
+}
+
+// Every file reference and evidence ID in `text`, in order: [{ ref, corpus?, file, line, endLine,
+// page?, endPage?, evidenceId?, quote? }]. Each entry's (non-enumerable) `offset` is where the
+// reference ends in `text`.
+function findCitations(text) {
+  const out = [];
+  let offset = 0;
+  for (const line of String(text || "").split("\n")) {
+    out.push(...lineCitations(line, offset));
+    offset += line.length + 1;
+  }
+  return out;
+}
+
+// `text` with a marker after each checked reference (✓, or ⚠ with the reasons) and a summary
+// line. `citations` are findCitations() entries extended with { status, reasons }.
+function annotateCitations(text, citations) {
+  let out = String(text || "");
+  if (!citations.length) return out;
+  for (const c of citations.slice().sort((a, b) => b.offset - a.offset)) {
+    const mark = c.status === "verified"
+      ? ` ${VERIFIED_MARK}`
+      : ` ${UNVERIFIED_MARK} *unverified: ${c.reasons.join("; ")}*`;
+    out = out.slice(0, c.offset) + mark + out.slice(c.offset);
+  }
+  const verified = citations.filter((c) => c.status === "verified").length;
+  const summary = verified === citations.length
+    ? `all ${citations.length} reference(s) verified against the corpus.`
+    : `${verified} of ${citations.length} reference(s) verified against the corpus; unsupported ones are marked ${UNVERIFIED_MARK}.`;
+  return `${out.replace(/\s+$/, "")}\n\n**Citation check:** ${summary}`;
+}
+
+module.exports = {
+  findCitations,
+  annotateCitations,
+};
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { foldText } = require("./text-match");
+const { extractMaterialFacts } = require("./material-extract");
+const { extractProperties } = require("./property-extract");
+const { detectLanguage, detectLanguageSections } = require("./language-detect");
+const { minhashSignature } = require("./near-duplicates");
+const { readCorpusText, splitCorpusLines } = require("./extractors");
+
+const DEFAULT_DB_PATH = path.join(__dirname, ".corpus-index.db");
+// The trigram tokenizer only matches queries of at least 3 characters.
+const MIN_INDEX_QUERY_CHARS = 3;
+// Bump when indexing starts deriving new data from file contents, so files indexed by an
+// older version are re-read on the next sync.
+const INDEX_SCHEMA_VERSION = 2;
+// Files synced between yields to the event loop.
+const SYNC_BATCH_FILES = 200;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function toRelPath(rootDir, fullPath) {
+  return path.relative(rootDir, fullPath).replace(/\\/g, "/");
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function toFtsPhrase(query) {
+  return `"${String(query).replace(/"/g, "\"\"")}"`;
+}
+
+class CorpusIndex {
+  constructor(dbPath = DEFAULT_DB_PATH) {
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.initSchema();
+  }
+
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS corpus_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        root TEXT NOT NULL,
+        rel_path TEXT NOT NULL,
+        mtime_ms REAL NOT NULL,
+        size INTEGER NOT NULL,
+        line_count INTEGER NOT NULL,
+        indexed_at TEXT NOT NULL,
+        UNIQUE (root, rel_path)
+      );
+
+      CREATE TABLE IF NOT EXISTS corpus_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL REFERENCES corpus_files(id) ON DELETE CASCADE,
+        line_no INTEGER NOT NULL,
+        text TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_corpus_lines_file ON corpus_lines(file_id, line_no);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS corpus_lines_fts USING fts5(
+        text,
+        content = 'corpus_lines',
+        content_rowid = 'id',
+        tokenize = 'trigram'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS corpus_lines_ai AFTER INSERT ON corpus_lines BEGIN
+        INSERT INTO corpus_lines_fts (rowid, text) VALUES (new.id, new.text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS corpus_lines_ad AFTER DELETE ON corpus_lines BEGIN
+        INSERT INTO corpus_lines_fts (corpus_lines_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      END;
+
+      CREATE TABLE IF NOT EXISTS corpus_catalog (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL REFERENCES corpus_files(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK(kind IN ('cas', 'inci', 'supplier', 'doc_type')),
+        value TEXT NOT NULL,
+        value_key TEXT NOT NULL,
+        line_no INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS corpus_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL REFERENCES corpus_files(id) ON DELETE CASCADE,
+        start_line INTEGER NOT NULL,
+        page INTEGER NOT NULL
+      );
+
+      -- Numeric spec values in the property's canonical unit; NULL bounds are open ("≥ 99 %").
+      CREATE TABLE IF NOT EXISTS corpus_properties (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL REFERENCES corpus_files(id) ON DELETE CASCADE,
+        property TEXT NOT NULL,
+        min_value REAL,
+        max_value REAL,
+        unit TEXT NOT NULL,
+        raw TEXT NOT NULL,
+        line_no INTEGER NOT NULL
+      );
+
+      -- MinHash signature of the file's text (near-duplicates.js) as packed uint32s.
+      CREATE TABLE IF NOT EXISTS corpus_minhash (
+        file_id INTEGER PRIMARY KEY REFERENCES corpus_files(id) ON DELETE CASCADE,
+        signature BLOB NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS corpus_file_languages (
+        file_id INTEGER PRIMARY KEY REFERENCES corpus_files(id) ON DELETE CASCADE,
+        language TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS corpus_language_sections (
+        file_id INTEGER NOT NULL REFERENCES corpus_files(id) ON DELETE CASCADE,
+        start_line INTEGER NOT NULL,
+        end_line INTEGER NOT NULL,
+        language TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_corpus_pages_file ON corpus_pages(file_id, start_line);
+      CREATE INDEX IF NOT EXISTS idx_corpus_language_sections_file ON corpus_language_sections(file_id, start_line);
+      CREATE INDEX IF NOT EXISTS idx_corpus_properties_file ON corpus_properties(file_id);
+      CREATE INDEX IF NOT EXISTS idx_corpus_properties_property ON corpus_properties(property, min_value, max_value);
+      CREATE INDEX IF NOT EXISTS idx_corpus_catalog_file ON corpus_catalog(file_id);
+      CREATE INDEX IF NOT EXISTS idx_corpus_catalog_kind_key ON corpus_catalog(kind, value_key);
+    `);
+
+    const version = Number(this.db.pragma("user_version", { simple: true })) || 0;
+    if (version < INDEX_SCHEMA_VERSION) {
+      this.db.prepare("UPDATE corpus_files SET mtime_ms = -1").run();
+      this.db.pragma(`user_version = ${INDEX_SCHEMA_VERSION}`);
+    }
+  }
+
+  // Incrementally bring the index in line with `files` (absolute paths under `rootDir`).
+  // Files are re-read only when their mtime or size changed; files no longer listed are dropped.
+  // `readLines(fullPath)` returns (or resolves to) { lines, pageMap } for a file, extracting text
+  // from non-TXT sources. Work is done in batches of `batchSize` files, yielding to the event loop
+  // between them so a large corpus doesn't block the server while it is indexed. The result lists
+  // each re-indexed or dropped file in `changes` ({ file, change, mtimeMs, size }), so callers can
+  // report changes without stat'ing the corpus themselves.
+  async sync(rootDir, files, readLines = async (full) => splitCorpusLines(await readCorpusText(full)), {
+    batchSize = SYNC_BATCH_FILES,
+  } = {}) {
+    const startedAt = Date.now();
+    const root = path.resolve(rootDir);
+    const known = new Map();
+    for (const row of this.db.prepare(`
+      SELECT id, rel_path, mtime_ms, size
+      FROM corpus_files
+      WHERE root = ?
+    `).all(root)) {
+      known.set(row.rel_path, row);
+    }
+
+    const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+    const changes = [];
+    const seen = new Set();
+    let processed = 0;
+
+    for (const full of Array.isArray(files) ? files : []) {
+      processed += 1;
+      if (processed % batchSize === 0) await yieldToEventLoop();
+      const relPath = toRelPath(root, full);
+      seen.add(relPath);
+      let st;
+      try {
+        st = await fs.promises.stat(full);
+      } catch {
+        stats.failed += 1;
+        continue;
+      }
+      const existing = known.get(relPath);
+      if (existing && existing.mtime_ms === st.mtimeMs && existing.size === st.size) {
+        stats.unchanged += 1;
+        continue;
+      }
+      let doc;
+      try {
+        doc = await readLines(full);
+      } catch {
+        stats.failed += 1;
+        continue;
+      }
+      this.indexFile(root, relPath, { mtimeMs: st.mtimeMs, size: st.size }, doc.lines, doc.pageMap);
+      if (existing) stats.updated += 1;
+      else stats.added += 1;
+      changes.push({ file: full, change: existing ? "modified" : "added", mtimeMs: Math.trunc(st.mtimeMs), size: st.size });
+    }
+
+    for (const [relPath, row] of known) {
+      if (seen.has(relPath)) continue;
+      this.removeFile(row.id);
+      stats.removed += 1;
+      changes.push({ file: path.join(root, relPath), change: "removed", mtimeMs: Math.trunc(row.mtime_ms), size: row.size });
+      if (stats.removed % batchSize === 0) await yieldToEventLoop();
+    }
+
+    return { root, ...stats, durationMs: Date.now() - startedAt, changes };
+  }
+
+  indexFile(root, relPath, { mtimeMs, size }, lines, pageMap = null) {
+    const write = this.db.transaction(() => {
+      const existing = this.db.prepare(`
+        SELECT id
+        FROM corpus_files
+        WHERE root = ? AND rel_path = ?
+      `).get(root, relPath);
+      if (existing) this.removeFile(existing.id);
+
+      const info = this.db.prepare(`
+        INSERT INTO corpus_files (root, rel_path, mtime_ms, size, line_count, indexed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(root, relPath, mtimeMs, size, lines.length, nowIso());
+
+      const insertLine = this.db.prepare(`
+        INSERT INTO corpus_lines (file_id, line_no, text)
+        VALUES (?, ?, ?)
+      `);
+      for (let i = 0; i < lines.length; i += 1) {
+        // Blank lines can never match a search; skip them to keep the index small.
+        if (!lines[i].trim()) continue;
+        insertLine.run(info.lastInsertRowid, i + 1, lines[i]);
+      }
+
+      const insertFact = this.db.prepare(`
+        INSERT INTO corpus_catalog (file_id, kind, value, value_key, line_no)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      for (const fact of extractMaterialFacts(lines, relPath)) {
+        insertFact.run(info.lastInsertRowid, fact.kind, fact.value, foldText(fact.value), fact.line);
+      }
+
+      const insertProperty = this.db.prepare(`
+        INSERT INTO corpus_properties (file_id, property, min_value, max_value, unit, raw, line_no)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const p of extractProperties(lines)) {
+        insertProperty.run(info.lastInsertRowid, p.property, p.min, p.max, p.unit, p.raw, p.line);
+      }
+
+      this.db.prepare(`
+        INSERT INTO corpus_file_languages (file_id, language) VALUES (?, ?)
+      `).run(info.lastInsertRowid, detectLanguage(lines.join("\n")));
+      const insertSection = this.db.prepare(`
+        INSERT INTO corpus_language_sections (file_id, start_line, end_line, language)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const section of detectLanguageSections(lines)) {
+        insertSection.run(info.lastInsertRowid, section.startLine, section.endLine, section.language);
+      }
+
+      const signature = minhashSignature(lines.join("\n"));
+      if (signature) {
+        this.db.prepare(`
+          INSERT INTO corpus_minhash (file_id, signature) VALUES (?, ?)
+        `).run(info.lastInsertRowid, Buffer.from(Uint32Array.from(signature).buffer));
+      }
+
+      const insertPage = this.db.prepare(`
+        INSERT INTO corpus_pages (file_id, start_line, page)
+        VALUES (?, ?, ?)
+      `);
+      for (const entry of Array.isArray(pageMap) ? pageMap : []) {
+        insertPage.run(info.lastInsertRowid, entry.line, entry.page);
+      }
+    });
+    write();
+  }
+
+  removeFile(fileId) {
+    // Delete lines explicitly so the FTS delete trigger fires for every row.
+    this.db.prepare("DELETE FROM corpus_lines WHERE file_id = ?").run(fileId);
+    this.db.prepare("DELETE FROM corpus_files WHERE id = ?").run(fileId);
+  }
+
+  // Fixed-string search. Returns null when the query cannot be served by the
+  // trigram index so callers can fall back to a scan. `acceptFile(relPath)`, when
+  // given, restricts hits to the files it accepts.
+  search(rootDir, query, { caseSensitive = false, maxMatches = 80, acceptFile = null } = {}) {
+    const q = String(query || "");
+    if (Array.from(q).length < MIN_INDEX_QUERY_CHARS) return null;
+    const root = path.resolve(rootDir);
+    const params = caseSensitive ? [toFtsPhrase(q), root, q] : [toFtsPhrase(q), root];
+    const sql = `
+      SELECT f.rel_path AS file, l.line_no AS line, l.text AS text
+      FROM corpus_lines_fts
+      JOIN corpus_lines l ON l.id = corpus_lines_fts.rowid
+      JOIN corpus_files f ON f.id = l.file_id
+      WHERE corpus_lines_fts MATCH ?
+        AND f.root = ?
+        ${caseSensitive ? "AND instr(l.text, ?) > 0" : ""}
+      ORDER BY f.rel_path ASC, l.line_no ASC
+    `;
+    if (!acceptFile) return this.db.prepare(`${sql} LIMIT ?`).all(...params, maxMatches);
+    // File filters are applied in JS, so stop once enough accepted lines are found.
+    const out = [];
+    for (const row of this.db.prepare(sql).iterate(...params)) {
+      if (!acceptFile(row.file)) continue;
+      out.push(row);
+      if (out.length >= maxMatches) break;
+    }
+    return out;
+  }
+
+  // Iterate indexed lines for `rootDir`, returning those accepted by `predicate(text)`
+  // (in files accepted by `acceptFile(relPath)`, when given).
+  scanLines(rootDir, predicate, maxMatches = 80, acceptFile = null) {
+    const root = path.resolve(rootDir);
+    const out = [];
+    const rows = this.db.prepare(`
+      SELECT f.rel_path AS file, l.line_no AS line, l.text AS text
+      FROM corpus_lines l
+      JOIN corpus_files f ON f.id = l.file_id
+      WHERE f.root = ?
+      ORDER BY f.rel_path ASC, l.line_no ASC
+    `).iterate(root);
+    for (const row of rows) {
+      if (acceptFile && !acceptFile(row.file)) continue;
+      if (!predicate(row.text)) continue;
+      out.push(row);
+      if (out.length >= maxMatches) break;
+    }
+    return out;
+  }
+
+  // Call `visitor(relPath, lines)` for each indexed file under `rootDir` (accepted by
+  // `acceptFile(relPath)`, when given), where `lines` is [{ line, text }] for the file's non-blank
+  // lines. Stops early if the visitor returns false. Files are read one at a time, yielding to the
+  // event loop every `batchSize` files, so a whole-corpus pass doesn't block the server.
+  async forEachFile(rootDir, visitor, acceptFile = null, { batchSize = SYNC_BATCH_FILES } = {}) {
+    const root = path.resolve(rootDir);
+    const files = this.db.prepare(`
+      SELECT rel_path
+      FROM corpus_files
+      WHERE root = ?
+      ORDER BY rel_path ASC
+    `).pluck().all(root).filter((relPath) => !acceptFile || acceptFile(relPath));
+    // By path rather than id: a file re-indexed between batches gets a new id.
+    const readLines = this.db.prepare(`
+      SELECT l.line_no AS line, l.text AS text
+      FROM corpus_lines l
+      JOIN corpus_files f ON f.id = l.file_id
+      WHERE f.root = ? AND f.rel_path = ?
+      ORDER BY l.line_no ASC
+    `);
+    for (let i = 0; i < files.length; i += 1) {
+      if (i > 0 && i % batchSize === 0) await yieldToEventLoop();
+      const lines = readLines.all(root, files[i]);
+      // Blank (or since removed) files have no indexed lines.
+      if (lines.length && visitor(files[i], lines) === false) return;
+    }
+  }
+
+  // Find files whose extracted catalog facts match every given filter. `query` matches any
+  // kind; `cas` and `docType` match exactly; `inci` and `supplier` match by folded substring.
+  lookupMaterials(rootDir, { query, cas, inci, supplier, docType, limit = 50 } = {}) {
+    const root = path.resolve(rootDir);
+    const clauses = [];
+    const params = [root];
+    const addClause = (kind, condition, value) => {
+      clauses.push(`f.id IN (
+        SELECT file_id FROM corpus_catalog WHERE ${kind ? "kind = ? AND " : ""}${condition}
+      )`);
+      if (kind) params.push(kind);
+      params.push(value);
+    };
+    if (foldText(query)) addClause(null, "instr(value_key, ?) > 0", foldText(query));
+    if (foldText(cas)) addClause("cas", "value_key = ?", foldText(cas));
+    if (foldText(inci)) addClause("inci", "instr(value_key, ?) > 0", foldText(inci));
+    if (foldText(supplier)) addClause("supplier", "instr(value_key, ?) > 0", foldText(supplier));
+    if (docType) addClause("doc_type", "value = ?", String(docType).trim().toUpperCase());
+    params.push(limit);
+
+    const files = this.db.prepare(`
+      SELECT f.id, f.rel_path
+      FROM corpus_files f
+      WHERE f.root = ?
+        AND EXISTS (SELECT 1 FROM corpus_catalog c WHERE c.file_id = f.id)
+        ${clauses.map((c) => `AND ${c}`).join("\n        ")}
+      ORDER BY f.rel_path ASC
+      LIMIT ?
+    `).all(...params);
+
+    const factsStmt = this.db.prepare(`
+      SELECT kind, value, line_no
+      FROM corpus_catalog
+      WHERE file_id = ?
+      ORDER BY id ASC
+    `);
+    return files.map((f) => {
+      const record = { file: f.rel_path, docTypes: [], cas: [], inci: [], suppliers: [] };
+      for (const fact of factsStmt.all(f.id)) {
+        if (fact.kind === "doc_type") {
+          if (!record.docTypes.includes(fact.value)) record.docTypes.push(fact.value);
+          continue;
+        }
+        const entry = { value: fact.value, line: fact.line_no };
+        if (fact.kind === "cas") record.cas.push(entry);
+        else if (fact.kind === "inci") record.inci.push(entry);
+        else if (fact.kind === "supplier") record.suppliers.push(entry);
+      }
+      return record;
+    });
+  }
+
+  // Files with a `property` value in [min, max] (canonical unit; either bound optional).
+  // "overlap" matches values whose interval intersects the range, "within" only values that lie
+  // entirely inside it (open-ended values never do on a bounded side).
+  searchProperties(rootDir, { property, min = null, max = null, match = "overlap", limit = 50 } = {}) {
+    const root = path.resolve(rootDir);
+    const conditions = ["p.property = ?"];
+    const params = [root, property];
+    if (match === "within") {
+      if (min != null) {
+        conditions.push("p.min_value IS NOT NULL AND p.min_value >= ?");
+        params.push(min);
+      }
+      if (max != null) {
+        conditions.push("p.max_value IS NOT NULL AND p.max_value <= ?");
+        params.push(max);
+      }
+    } else {
+      if (min != null) {
+        conditions.push("(p.max_value IS NULL OR p.max_value >= ?)");
+        params.push(min);
+      }
+      if (max != null) {
+        conditions.push("(p.min_value IS NULL OR p.min_value <= ?)");
+        params.push(max);
+      }
+    }
+    const rows = this.db.prepare(`
+      SELECT f.rel_path, p.min_value, p.max_value, p.unit, p.raw, p.line_no
+      FROM corpus_properties p
+      JOIN corpus_files f ON f.id = p.file_id
+      WHERE f.root = ? AND ${conditions.join(" AND ")}
+      ORDER BY f.rel_path ASC, p.line_no ASC
+    `).all(...params);
+
+    const byFile = new Map();
+    for (const row of rows) {
+      if (!byFile.has(row.rel_path)) {
+        if (byFile.size >= limit) break;
+        byFile.set(row.rel_path, { file: row.rel_path, values: [] });
+      }
+      byFile.get(row.rel_path).values.push({
+        min: row.min_value,
+        max: row.max_value,
+        unit: row.unit,
+        raw: row.raw,
+        line: row.line_no,
+      });
+    }
+    return Array.from(byFile.values());
+  }
+
+  // The file's page map as [{ line, page }] ([] when it has no pagination), or null when the
+  // file is not indexed.
+  getPageMap(rootDir, relPath) {
+    const file = this.db.prepare(`
+      SELECT id
+      FROM corpus_files
+      WHERE root = ? AND rel_path = ?
+    `).get(path.resolve(rootDir), relPath);
+    if (!file) return null;
+    return this.db.prepare(`
+      SELECT start_line AS line, page
+      FROM corpus_pages
+      WHERE file_id = ?
+      ORDER BY start_line ASC
+    `).all(file.id);
+  }
+
+  // rel_path -> { language, sections: [{ startLine, endLine, language }] } for every indexed file
+  // under `rootDir`.
+  getLanguages(rootDir) {
+    const root = path.resolve(rootDir);
+    const out = new Map();
+    const byId = new Map();
+    for (const row of this.db.prepare(`
+      SELECT f.id, f.rel_path, COALESCE(l.language, 'unknown') AS language
+      FROM corpus_files f
+      LEFT JOIN corpus_file_languages l ON l.file_id = f.id
+      WHERE f.root = ?
+    `).iterate(root)) {
+      const entry = { language: row.language, sections: [] };
+      out.set(row.rel_path, entry);
+      byId.set(row.id, entry);
+    }
+    for (const row of this.db.prepare(`
+      SELECT s.file_id, s.start_line, s.end_line, s.language
+      FROM corpus_language_sections s
+      JOIN corpus_files f ON f.id = s.file_id
+      WHERE f.root = ?
+      ORDER BY s.file_id ASC, s.start_line ASC
+    `).iterate(root)) {
+      byId.get(row.file_id).sections.push({ startLine: row.start_line, endLine: row.end_line, language: row.language });
+    }
+    return out;
+  }
+
+  // [{ file, signature, mtimeMs, size }] for every indexed file under `rootDir` that has words.
+  getSignatures(rootDir) {
+    const out = [];
+    for (const row of this.db.prepare(`
+      SELECT f.rel_path, f.mtime_ms, f.size, m.signature
+      FROM corpus_files f
+      JOIN corpus_minhash m ON m.file_id = f.id
+      WHERE f.root = ?
+    `).iterate(path.resolve(rootDir))) {
+      const packed = new Uint32Array(row.signature.buffer, row.signature.byteOffset, row.signature.byteLength / 4);
+      out.push({ file: row.rel_path, signature: Array.from(packed), mtimeMs: row.mtime_ms, size: row.size });
+    }
+    return out;
+  }
+
+  getStatus(rootDir) {
+    const root = path.resolve(rootDir);
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS files, COALESCE(SUM(line_count), 0) AS lines, MAX(indexed_at) AS last_indexed_at
+      FROM corpus_files
+      WHERE root = ?
+    `).get(root);
+    return {
+      root,
+      files: Number(row && row.files) || 0,
+      lines: Number(row && row.lines) || 0,
+      lastIndexedAt: (row && row.last_indexed_at) || null,
+    };
+  }
+}
+
+module.exports = {
+  CorpusIndex,
+};
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+"use strict";
+
+// Watches one corpus root for added, modified and removed files. Change detection always compares
+// { mtimeMs, size } per file, either against the watcher's own snapshot or, when a `syncFiles`
+// callback is given, against what the corpus index last indexed; fs.watch events only decide
+// *when* to rescan. Drives mounted under /mnt (WSL drvfs, network shares) don't deliver inotify
+// events, so those roots are polled instead. Watched roots are still re-walked every `rescanMs`,
+// and right after a watcher error, because recursive fs.watch can drop events (queue overflows,
+// directories moved in) without reporting them.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_POLL_MS = 30 * 1000;
+const DEFAULT_DEBOUNCE_MS = 2000;
+const DEFAULT_RESCAN_MS = 10 * 60 * 1000;
+
+function shouldPoll(rootDir) {
+  return /^\/mnt\//.test(path.resolve(rootDir));
+}
+
+class CorpusWatcher {
+  // listFiles(rootDir) -> full paths of corpus files, in a stable order.
+  // onChange(changes) receives [{ file, change: "added"|"modified"|"removed", mtimeMs, size }].
+  // syncFiles(files), when given, replaces the snapshot diff on every scan after the first: it is
+  // handed the listed files, compares them itself and reports changes on its own (onChange is
+  // not called), so a poll doesn't stat the tree once here and again in the index.
+  constructor({
+    rootDir,
+    listFiles,
+    onChange,
+    syncFiles = null,
+    mode = "auto",
+    pollMs = DEFAULT_POLL_MS,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    rescanMs = DEFAULT_RESCAN_MS,
+  }) {
+    this.rootDir = rootDir;
+    this.listFiles = listFiles;
+    this.onChange = onChange;
+    this.syncFiles = syncFiles;
+    this.requestedMode = mode;
+    this.pollMs = pollMs;
+    this.debounceMs = debounceMs;
+    this.rescanMs = rescanMs;
+    this.mode = "stopped";
+    this.snapshot = null;
+    this.files = null;
+    this.fsWatcher = null;
+    this.pollTimer = null;
+    this.rescanTimer = null;
+    this.debounceTimer = null;
+    this.scanning = null;
+    this.rescanQueued = false;
+    this.lastScanAt = null;
+    this.lastError = "";
+  }
+
+  start() {
+    if (this.mode !== "stopped") return this;
+    this.scan();
+    const wantsPolling = this.requestedMode === "poll" ||
+      (this.requestedMode === "auto" && shouldPoll(this.rootDir));
+    if (!wantsPolling) {
+      try {
+        this.fsWatcher = fs.watch(this.rootDir, { recursive: true }, () => this.scheduleScan());
+        this.fsWatcher.on("error", (err) => {
+          this.lastError = err && err.message ? err.message : String(err);
+          this.closeFsWatcher();
+          this.startPolling();
+          // Events may have been lost before the error surfaced.
+          this.scan();
+        });
+        this.mode = "watch";
+        this.rescanTimer = setInterval(() => this.scan(), this.rescanMs);
+        this.rescanTimer.unref();
+        return this;
+      } catch (err) {
+        // Missing root, no recursive support or inotify limits: fall back to polling.
+        this.lastError = err && err.message ? err.message : String(err);
+      }
+    }
+    this.startPolling();
+    return this;
+  }
+
+  stop() {
+    this.closeFsWatcher();
+    clearInterval(this.pollTimer);
+    clearInterval(this.rescanTimer);
+    clearTimeout(this.debounceTimer);
+    this.pollTimer = null;
+    this.rescanTimer = null;
+    this.debounceTimer = null;
+    this.mode = "stopped";
+  }
+
+  startPolling() {
+    clearInterval(this.rescanTimer);
+    this.rescanTimer = null;
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.scan(), this.pollMs);
+    this.pollTimer.unref();
+    this.mode = "poll";
+  }
+
+  closeFsWatcher() {
+    if (!this.fsWatcher) return;
+    try {
+      this.fsWatcher.close();
+    } catch {
+      // Already closed.
+    }
+    this.fsWatcher = null;
+  }
+
+  // Editors and copy tools emit bursts of events per file; rescan once the burst settles.
+  scheduleScan() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.scan(), this.debounceMs);
+    this.debounceTimer.unref();
+  }
+
+  // Rescan the root and report differences from the previous scan. The first scan only records
+  // the baseline. Resolves to the changes detected here (always empty with `syncFiles`). Scans
+  // don't overlap: one requested while another runs starts when it finishes.
+  scan() {
+    if (this.scanning) {
+      this.rescanQueued = true;
+      return this.scanning;
+    }
+    this.scanning = this.runScan().finally(() => {
+      this.scanning = null;
+      if (this.rescanQueued && this.mode !== "stopped") {
+        this.rescanQueued = false;
+        this.scan();
+      }
+    });
+    return this.scanning;
+  }
+
+  async runScan() {
+    let files;
+    try {
+      files = this.listFiles(this.rootDir);
+    } catch (err) {
+      this.lastError = err && err.message ? err.message : String(err);
+      return [];
+    }
+    if (this.syncFiles) {
+      const baseline = this.files === null;
+      this.files = files;
+      this.lastScanAt = new Date().toISOString();
+      if (baseline) return [];
+      try {
+        await this.syncFiles(files);
+      } catch (err) {
+        this.lastError = err && err.message ? err.message : String(err);
+      }
+      return [];
+    }
+
+    const next = new Map();
+    for (const full of files) {
+      try {
+        const st = fs.statSync(full);
+        next.set(full, { mtimeMs: Math.trunc(st.mtimeMs), size: st.size });
+      } catch {
+        // Removed between listing and stat; the next scan sees it as gone.
+      }
+    }
+
+    const changes = [];
+    if (this.snapshot) {
+      for (const [full, st] of next) {
+        const prev = this.snapshot.get(full);
+        if (!prev) changes.push({ file: full, change: "added", ...st });
+        else if (prev.mtimeMs !== st.mtimeMs || prev.size !== st.size) changes.push({ file: full, change: "modified", ...st });
+      }
+      for (const [full, st] of this.snapshot) {
+        if (!next.has(full)) changes.push({ file: full, change: "removed", ...st });
+      }
+    }
+    this.snapshot = next;
+    this.files = Array.from(next.keys());
+    this.lastScanAt = new Date().toISOString();
+
+    if (changes.length && this.onChange) {
+      try {
+        this.onChange(changes);
+      } catch (err) {
+        this.lastError = err && err.message ? err.message : String(err);
+      }
+    }
+    return changes;
+  }
+
+  // Full paths from the last scan, or null before the first one.
+  getFiles() {
+    return this.files;
+  }
+
+  getStatus() {
+    return {
+      root: this.rootDir,
+      mode: this.mode,
+      pollMs: this.mode === "poll" ? this.pollMs : undefined,
+      rescanMs: this.mode === "watch" ? this.rescanMs : undefined,
+      fileCount: this.files ? this.files.length : 0,
+      lastScanAt: this.lastScanAt,
+      lastError: this.lastError || undefined,
+    };
+  }
+}
+
+module.exports = { CorpusWatcher, shouldPoll };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+"use strict";
+
+// Minimal RFC 4180 CSV reader/writer: quoted fields, doubled quotes, CRLF or LF rows.
+
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === "\"") {
+        if (src[i + 1] === "\"") {
+          field += "\"";
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === "\"") {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => String(cell).trim()));
+}
+
+// Parse CSV with a header row into objects keyed by lowercased, snake_cased header names.
+function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const headers = rows[0].map((h) => String(h || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""));
+  return rows.slice(1).map((cells) => {
+    const record = {};
+    headers.forEach((h, i) => {
+      if (h) record[h] = String(cells[i] == null ? "" : cells[i]).trim();
+    });
+    return record;
+  });
+}
+
+function toCsv(rows) {
+  return rows
+    .map((cells) => cells.map((cell) => {
+      const value = cell == null ? "" : String(cell);
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+    }).join(","))
+    .join("\n");
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+"use strict";
+
+// Embedding providers for semantic search. A provider is { name, model, embed(texts, { signal }) }
+// where `embed` resolves to one numeric vector per input text and gives up once `signal` aborts. Providers are registered by name so
+// deployments (and tests) can swap the OpenAI API for a local model.
+
+const HASH_DIMENSIONS = 256;
+const OPENAI_BATCH_SIZE = 64;
+
+const providers = new Map();
+
+// `factory(options)` returns a provider; options come from createEmbeddingProvider.
+function registerEmbeddingProvider(name, factory) {
+  providers.set(String(name).toLowerCase(), factory);
+}
+
+function createEmbeddingProvider(name, options = {}) {
+  const factory = providers.get(String(name || "").toLowerCase());
+  if (!factory) throw new Error(`Unknown embedding provider: ${name}`);
+  return factory(options);
+}
+
+registerEmbeddingProvider("openai", ({ openai, model = "text-embedding-3-small", batchSize = OPENAI_BATCH_SIZE }) => {
+  if (!openai) throw new Error("The openai embedding provider needs an OpenAI client");
+  return {
+    name: "openai",
+    model,
+    async embed(texts, { signal } = {}) {
+      const out = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
+        const res = await openai.embeddings.create({ model, input: batch }, { signal });
+        const data = Array.isArray(res && res.data) ? res.data.slice() : [];
+        data.sort((a, b) => a.index - b.index);
+        if (data.length !== batch.length) throw new Error("Embedding response size mismatch");
+        for (const d of data) out.push(d.embedding);
+      }
+      return out;
+    },
+  };
+});
+
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Deterministic, offline stand-in: a signed hashing of words and character trigrams. It only
+// captures lexical overlap, so it is meant for tests and air-gapped setups, not paraphrases.
+function hashEmbed(text, dimensions = HASH_DIMENSIONS) {
+  const vec = new Array(dimensions).fill(0);
+  const words = String(text || "").normalize("NFKC").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  for (const word of words) {
+    const features = [`w:${word}`];
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i += 1) features.push(`t:${padded.slice(i, i + 3)}`);
+    for (const feature of features) {
+      const h = fnv1a(feature);
+      vec[h % dimensions] += (h & 0x80000000) ? -1 : 1;
+    }
+  }
+  return vec;
+}
+
+registerEmbeddingProvider("hash", ({ dimensions = HASH_DIMENSIONS } = {}) => ({
+  name: "hash",
+  model: `hash-${dimensions}`,
+  async embed(texts) {
+    return texts.map((t) => hashEmbed(t, dimensions));
+  },
+}));
+
+module.exports = {
+  registerEmbeddingProvider,
+  createEmbeddingProvider,
+  hashEmbed,
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+"use strict";
+
+// Match offsets of the evidence IDs returned by the search tools, kept on disk so that IDs cited
+// in earlier answers still open with their matches highlighted after a restart. An ID names lines,
+// not the search that found them, so offsets are stored per (ID, query), and each answer's
+// citations record which query the ID came from in that turn.
+
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DEFAULT_DB_PATH = path.join(__dirname, ".evidence.db");
+const DEFAULT_MAX_ENTRIES = 200000;
+// Inserts between prunes of the oldest entries.
+const PRUNE_EVERY = 500;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Stable key for the search behind a set of offsets.
+function queryKey({ query = "", regex = false, caseSensitive = false } = {}) {
+  return JSON.stringify([String(query), Boolean(regex), Boolean(caseSensitive)]);
+}
+
+function parseMatches(text) {
+  try {
+    const matches = JSON.parse(text);
+    return Array.isArray(matches) ? matches : null;
+  } catch {
+    return null;
+  }
+}
+
+class EvidenceStore {
+  constructor(dbPath = DEFAULT_DB_PATH, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    // Entries are re-derivable hints; don't fsync every search hit.
+    this.db.pragma("synchronous = NORMAL");
+    this.maxEntries = maxEntries;
+    this.insertsSincePrune = 0;
+    this.initSchema();
+  }
+
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS evidence_matches (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        evidence_id TEXT NOT NULL,
+        query_key TEXT NOT NULL,
+        matches TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        UNIQUE (evidence_id, query_key)
+      );
+
+      -- The query each evidence ID cited in an answer was found by, per turn.
+      CREATE TABLE IF NOT EXISTS evidence_citations (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id TEXT NOT NULL,
+        turn_id TEXT NOT NULL,
+        evidence_id TEXT NOT NULL,
+        query_key TEXT NOT NULL,
+        cited_at TEXT NOT NULL,
+        UNIQUE (turn_id, evidence_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_evidence_citations_thread ON evidence_citations(thread_id, evidence_id);
+    `);
+  }
+
+  // Store the offsets a search ({ query, regex, caseSensitive }) produced for an evidence ID.
+  // Returns the query key to cite it by.
+  recordMatches(evidenceId, search, matches) {
+    const key = queryKey(search);
+    this.db.prepare(`
+      INSERT OR REPLACE INTO evidence_matches (evidence_id, query_key, matches, recorded_at) VALUES (?, ?, ?, ?)
+    `).run(String(evidenceId), key, JSON.stringify(matches || []), nowIso());
+    this.countInsert();
+    return key;
+  }
+
+  // Record the evidence IDs an answer cites with the query key each was found by:
+  // citations = [{ evidenceId, queryKey }].
+  recordCitations({ threadId, turnId, citations }) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO evidence_citations (thread_id, turn_id, evidence_id, query_key, cited_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const citedAt = nowIso();
+    this.db.transaction(() => {
+      for (const c of citations) {
+        insert.run(String(threadId || ""), String(turnId || ""), String(c.evidenceId), c.queryKey, citedAt);
+        this.countInsert();
+      }
+    })();
+  }
+
+  // { matches, query } for an evidence ID: the offsets of the search the citing turn found it by
+  // (`turnId`), else of the thread's latest citation of it (`threadId`), else of the latest search
+  // that returned it. Null when none is stored.
+  getMatches(evidenceId, { turnId = "", threadId = "" } = {}) {
+    const id = String(evidenceId);
+    let cited = null;
+    if (turnId) {
+      cited = this.db.prepare("SELECT query_key FROM evidence_citations WHERE turn_id = ? AND evidence_id = ?").get(String(turnId), id);
+    }
+    if (!cited && threadId) {
+      cited = this.db.prepare(`
+        SELECT query_key FROM evidence_citations WHERE thread_id = ? AND evidence_id = ? ORDER BY seq DESC LIMIT 1
+      `).get(String(threadId), id);
+    }
+    const row = cited
+      ? this.db.prepare("SELECT query_key, matches FROM evidence_matches WHERE evidence_id = ? AND query_key = ?").get(id, cited.query_key)
+      : this.db.prepare("SELECT query_key, matches FROM evidence_matches WHERE evidence_id = ? ORDER BY seq DESC LIMIT 1").get(id);
+    if (!row) return null;
+    const matches = parseMatches(row.matches);
+    if (!matches) return null;
+    const [query, regex, caseSensitive] = JSON.parse(row.query_key);
+    return { matches, query: { query, regex, caseSensitive } };
+  }
+
+  countInsert() {
+    this.insertsSincePrune += 1;
+    if (this.insertsSincePrune >= PRUNE_EVERY) this.prune();
+  }
+
+  // Drop the oldest entries beyond maxEntries.
+  prune() {
+    this.insertsSincePrune = 0;
+    for (const table of ["evidence_matches", "evidence_citations"]) {
+      this.db.prepare(`DELETE FROM ${table} WHERE seq <= (SELECT MAX(seq) FROM ${table}) - ?`).run(this.maxEntries);
+    }
+  }
+}
+
+module.exports = {
+  EvidenceStore,
+};
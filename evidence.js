@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+"use strict";
+
+// Evidence spans for search results: where the query matched inside a hit's text, a short
+// snippet around the first match with the matches marked, and a stable evidence ID naming the
+// corpus, file, line range and a hash of the lines' content. The ID resolves back to the lines
+// (GET /api/evidence) and tells whether they changed since the hit was returned.
+
+const crypto = require("crypto");
+const { foldWithMap } = require("./text-match");
+
+const DEFAULT_SNIPPET_CHARS = 60;
+const MAX_SPANS = 20;
+const HASH_CHARS = 10;
+const MARK_OPEN = "«";
+const MARK_CLOSE = "»";
+// ev:<corpus>:<relative/path.ext>:<line>[-<endLine>]#<hash>
+const EVIDENCE_ID_RE = /^ev:([a-z0-9][a-z0-9_-]*):(.+):(\d+)(?:-(\d+))?#([0-9a-f]+)$/;
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Hash of a line range's text, insensitive to trailing whitespace and line endings.
+function contentHash(text) {
+  const normalized = String(text || "").split(/\r?\n/).map((line) => line.replace(/\s+$/, "")).join("\n");
+  return crypto.createHash("sha1").update(normalized.normalize("NFC")).digest("hex").slice(0, HASH_CHARS);
+}
+
+function evidenceId({ corpus, file, line, endLine, text }) {
+  const range = endLine && endLine !== line ? `${line}-${endLine}` : String(line);
+  return `ev:${corpus}:${file}:${range}#${contentHash(text)}`;
+}
+
+// { corpus, file, line, endLine, hash } for an evidence ID; throws when it is malformed.
+function parseEvidenceId(id) {
+  const m = EVIDENCE_ID_RE.exec(String(id || "").trim());
+  if (!m) throw new Error("Invalid evidence id; expected ev:<corpus>:<file>:<line>[-<endLine>]#<hash>");
+  const line = Number(m[3]);
+  const endLine = m[4] ? Number(m[4]) : line;
+  if (line < 1 || endLine < line) throw new Error("Invalid evidence id line range");
+  return { corpus: m[1], file: m[2], line, endLine, hash: m[5] };
+}
+
+function regexSpans(text, re) {
+  const spans = [];
+  let m;
+  while ((m = re.exec(text)) && spans.length < MAX_SPANS) {
+    if (!m[0].length) {
+      re.lastIndex += 1;
+      continue;
+    }
+    spans.push([m.index, m.index + m[0].length]);
+  }
+  return spans;
+}
+
+// Spans of `needle` in `text` under fuzzy-mode folding (NFKC, case, spacing and hyphenation
+// ignored), mapped back to offsets in the original text.
+function foldedSpans(text, needle) {
+  const hay = foldWithMap(text);
+  const pattern = foldWithMap(needle).chars;
+  const spans = [];
+  if (!pattern.length) return spans;
+  for (let i = 0; i + pattern.length <= hay.chars.length && spans.length < MAX_SPANS; i += 1) {
+    let j = 0;
+    while (j < pattern.length && hay.chars[i + j] === pattern[j]) j += 1;
+    if (j < pattern.length) continue;
+    const start = hay.map[i];
+    let end = i + pattern.length < hay.map.length ? hay.map[i + pattern.length] : text.length;
+    while (end > start && /[\s\-\u00AD\u2010\u2011]/.test(text[end - 1])) end -= 1;
+    spans.push([start, end]);
+    i += pattern.length - 1;
+  }
+  return spans;
+}
+
+// Character offsets [[start, end], ...] of the matches in `text` (a hit's line, or its lines
+// joined by "\n"). Literal queries fall back to folded matching for hits found by the
+// normalized, cross-line and fuzzy passes, and then to the hit's own matchedText.
+function findMatchSpans(text, { query, regex = false, caseSensitive = false, matchedText = "" } = {}) {
+  const src = String(text || "");
+  if (!src || !query) return [];
+  const flags = caseSensitive ? "g" : "gi";
+  if (regex) {
+    try {
+      return regexSpans(src, new RegExp(query, flags));
+    } catch {
+      return [];
+    }
+  }
+  let spans = regexSpans(src, new RegExp(escapeRegExp(query), flags));
+  if (!spans.length) spans = foldedSpans(src, query);
+  if (!spans.length && matchedText) {
+    spans = regexSpans(src, new RegExp(escapeRegExp(matchedText), "gi"));
+    if (!spans.length) spans = foldedSpans(src, matchedText);
+  }
+  return spans;
+}
+
+// Up to `chars` characters either side of the first match (cut at word boundaries), with every
+// match inside marked «like this» and line breaks shown as spaces.
+function buildSnippet(text, spans, { chars = DEFAULT_SNIPPET_CHARS } = {}) {
+  const src = String(text || "").replace(/\s/g, " ");
+  const first = spans[0] || [0, 0];
+  let from = Math.max(0, first[0] - chars);
+  let to = Math.min(src.length, first[1] + chars);
+  if (from > 0) {
+    const space = src.indexOf(" ", from);
+    if (space >= 0 && space < first[0]) from = space + 1;
+  }
+  if (to < src.length) {
+    const space = src.lastIndexOf(" ", to);
+    if (space >= first[1]) to = space;
+  }
+  let out = "";
+  let pos = from;
+  for (const [start, end] of spans) {
+    if (start < pos || end > to) continue;
+    out += src.slice(pos, start) + MARK_OPEN + src.slice(start, end) + MARK_CLOSE;
+    pos = end;
+  }
+  out += src.slice(pos, to);
+  return `${from > 0 ? "…" : ""}${out.replace(/ {2,}/g, " ").trim()}${to < src.length ? "…" : ""}`;
+}
+
+module.exports = {
+  DEFAULT_SNIPPET_CHARS,
+  contentHash,
+  evidenceId,
+  parseEvidenceId,
+  findMatchSpans,
+  buildSnippet,
+};
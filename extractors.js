@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+"use strict";
+
+// Text extraction for non-TXT corpus sources. Every extractor returns plain text with pages
+// separated by form feeds (\f), so line numbers and page numbers can be recovered from the
+// same string. Extracted text is cached on disk and reused until the source's mtime/size change.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { parseCsv } = require("./csv");
+const { pageMapFromMarkers, pageMapFromBreaks } = require("./page-map");
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, ".extract-cache");
+// Bump when extractor output changes so cached text is regenerated.
+const EXTRACTOR_VERSION = 1;
+// pdftotext is killed after this long, or once its output passes this size; either way the
+// failure is cached like any other extraction error until the PDF changes.
+const DEFAULT_PDFTOTEXT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_PDFTOTEXT_MAX_BYTES = 64 * 1024 * 1024;
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " ",
+  middot: "·",
+  deg: "°",
+  micro: "µ",
+  plusmn: "±",
+  times: "×",
+  ndash: "–",
+  mdash: "—",
+  reg: "®",
+  trade: "™",
+  copy: "©",
+};
+
+function decodeEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    const decoded = HTML_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? m : decoded;
+  });
+}
+
+function collapseBlankLines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+$/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Read one entry of a ZIP archive (stored or deflated), or null when the entry is missing.
+function readZipEntry(buffer, entryName) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive");
+
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < entries; n += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name !== entryName) continue;
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) return data;
+    if (method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`Unsupported ZIP compression method ${method}`);
+  }
+  return null;
+}
+
+function extractPdf(fullPath, {
+  pdftotextBin = "pdftotext",
+  timeoutMs = DEFAULT_PDFTOTEXT_TIMEOUT_MS,
+  maxBytes = DEFAULT_PDFTOTEXT_MAX_BYTES,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    // -layout keeps table columns aligned; pdftotext separates pages with \f.
+    const child = spawn(pdftotextBin, ["-layout", "-enc", "UTF-8", fullPath, "-"], {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = "";
+    let settled = false;
+    const settle = (err, text) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(text);
+    };
+    // Give up without waiting for the pipes to close; a killed process may leave children behind.
+    const abort = (message) => {
+      child.kill("SIGKILL");
+      child.stdout.destroy();
+      child.stderr.destroy();
+      settle(new Error(message));
+    };
+    const timer = setTimeout(() => abort(`pdftotext timed out after ${timeoutMs}ms`), timeoutMs);
+    child.stdout.on("data", (chunk) => {
+      stdoutBytes += chunk.length;
+      if (stdoutBytes > maxBytes) abort(`pdftotext output exceeds ${maxBytes} bytes`);
+      else stdout.push(chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      if (stderr.length < 1000) stderr += chunk.toString("utf8");
+    });
+    child.on("error", (err) => settle(new Error(`pdftotext failed: ${err.message || String(err)}`)));
+    child.on("close", (code) => {
+      if (code !== 0) settle(new Error(`pdftotext exited with ${code}: ${stderr.trim().slice(0, 300)}`));
+      else settle(null, Buffer.concat(stdout).toString("utf8").replace(/\f$/, ""));
+    });
+  });
+}
+
+function extractDocx(fullPath) {
+  const xml = readZipEntry(fs.readFileSync(fullPath), "word/document.xml");
+  if (!xml) throw new Error("word/document.xml not found");
+  const body = xml.toString("utf8");
+  // Word records where pages actually broke when the file was last saved; explicit page
+  // breaks are only a fallback because they are repeated as rendered breaks.
+  const renderedBreaks = body.includes("<w:lastRenderedPageBreak/>");
+  let text = "";
+  const tokens = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b([^>]*)\/>|<w:lastRenderedPageBreak\/>|<\/w:p>/g;
+  for (const m of body.matchAll(tokens)) {
+    const token = m[0];
+    if (m[1] !== undefined) text += m[1];
+    else if (token === "<w:tab/>") text += "\t";
+    else if (token === "</w:p>") text += "\n";
+    else if (token === "<w:lastRenderedPageBreak/>") text += "\f";
+    else if (/w:type="page"/.test(m[2] || "")) text += renderedBreaks ? "" : "\f";
+    else text += "\n";
+  }
+  return collapseBlankLines(decodeEntities(text));
+}
+
+function extractHtml(fullPath) {
+  const html = fs.readFileSync(fullPath, "utf8")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<(td|th)\b[^>]*>/gi, "\t")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|li|tr|table|thead|tbody|h[1-6]|section|article|header|footer|pre|blockquote|dt|dd|ul|ol)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+  return collapseBlankLines(decodeEntities(html).replace(/\r\n?/g, "\n"));
+}
+
+function extractCsv(fullPath) {
+  return parseCsv(fs.readFileSync(fullPath, "utf8"))
+    .map((cells) => cells.map((cell) => String(cell).replace(/\s+/g, " ").trim()).join("\t"))
+    .join("\n");
+}
+
+// extension -> { name, extract(fullPath, options) }; `extract` returns the text or a promise of it.
+const EXTRACTORS = new Map();
+
+function registerExtractor(extensions, name, extract) {
+  for (const ext of extensions) EXTRACTORS.set(ext.toLowerCase(), { name, extract });
+}
+
+registerExtractor([".pdf"], "pdf", extractPdf);
+registerExtractor([".docx"], "docx", extractDocx);
+registerExtractor([".html", ".htm"], "html", extractHtml);
+registerExtractor([".csv"], "csv", extractCsv);
+
+function getExtractor(filePath) {
+  return EXTRACTORS.get(path.extname(String(filePath || "")).toLowerCase()) || null;
+}
+
+// True for files the corpus can search: plain text, or anything with a registered extractor.
+function isCorpusFile(filePath) {
+  const ext = path.extname(String(filePath || "")).toLowerCase();
+  return ext === ".txt" || EXTRACTORS.has(ext);
+}
+
+function sourceFormat(filePath) {
+  const extractor = getExtractor(filePath);
+  return extractor ? extractor.name : "txt";
+}
+
+// Path of the cached text of a non-TXT source, extracting it first when the cache is missing or
+// out of date. Extracted text (and extraction errors) are cached in `cacheDir` keyed by the source
+// path, mtime and size; a cached error is thrown again until the source changes.
+async function extractCorpusText(fullPath, {
+  cacheDir = DEFAULT_CACHE_DIR,
+  pdftotextBin,
+  pdftotextTimeoutMs,
+  pdftotextMaxBytes,
+} = {}) {
+  const extractor = getExtractor(fullPath);
+  if (!extractor) throw new Error(`No text extractor for ${path.extname(fullPath) || "files without an extension"}`);
+
+  const st = await fs.promises.stat(fullPath);
+  const key = crypto.createHash("sha1").update(path.resolve(fullPath)).digest("hex");
+  const metaPath = path.join(cacheDir, `${key}.json`);
+  const textPath = path.join(cacheDir, `${key}.txt`);
+  let meta = null;
+  try {
+    meta = JSON.parse(await fs.promises.readFile(metaPath, "utf8"));
+  } catch {
+    meta = null;
+  }
+  const fresh = meta
+    && meta.version === EXTRACTOR_VERSION
+    && meta.mtimeMs === st.mtimeMs
+    && meta.size === st.size;
+  if (fresh && meta.error) throw new Error(meta.error);
+  if (fresh) {
+    try {
+      await fs.promises.access(textPath);
+      return textPath;
+    } catch {
+      // Cache text missing; extract again below.
+    }
+  }
+
+  await fs.promises.mkdir(cacheDir, { recursive: true });
+  const nextMeta = {
+    version: EXTRACTOR_VERSION,
+    source: path.resolve(fullPath),
+    extractor: extractor.name,
+    mtimeMs: st.mtimeMs,
+    size: st.size,
+    extractedAt: new Date().toISOString(),
+  };
+  let text;
+  try {
+    text = await extractor.extract(fullPath, {
+      pdftotextBin,
+      timeoutMs: pdftotextTimeoutMs,
+      maxBytes: pdftotextMaxBytes,
+    });
+  } catch (err) {
+    nextMeta.error = `${extractor.name} extraction failed: ${err && err.message ? err.message : String(err)}`;
+    await fs.promises.writeFile(metaPath, JSON.stringify(nextMeta, null, 2), "utf8");
+    throw new Error(nextMeta.error);
+  }
+  await fs.promises.writeFile(textPath, text, "utf8");
+  await fs.promises.writeFile(metaPath, JSON.stringify(nextMeta, null, 2), "utf8");
+  return textPath;
+}
+
+// Text of a corpus file: the file itself for TXT, otherwise its extracted (cached) text.
+// Options are those of extractCorpusText().
+async function readCorpusText(fullPath, options = {}) {
+  if (!getExtractor(fullPath)) return fs.promises.readFile(fullPath, "utf8");
+  return fs.promises.readFile(await extractCorpusText(fullPath, options), "utf8");
+}
+
+// Split corpus text into lines with form feeds removed. `pageMap` is [{ line, page }] from
+// form feeds or page markers (see page-map.js), or null when the text has no pagination.
+function splitCorpusLines(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  if (!String(text || "").includes("\f")) return { lines, pageMap: pageMapFromMarkers(lines) };
+  const breakLines = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const breaks = lines[i].split("\f").length - 1;
+    if (!breaks) continue;
+    // A break at the start of a line (pdftotext's layout) moves that line onto the next page;
+    // a break further in belongs to the line before it.
+    const lineNo = lines[i].startsWith("\f") ? i + 1 : i + 2;
+    for (let b = 0; b < breaks; b += 1) breakLines.push(lineNo);
+    lines[i] = lines[i].replace(/\f/g, "");
+  }
+  return { lines, pageMap: pageMapFromBreaks(breakLines) };
+}
+
+module.exports = {
+  registerExtractor,
+  getExtractor,
+  isCorpusFile,
+  sourceFormat,
+  extractCorpusText,
+  readCorpusText,
+  splitCorpusLines,
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+"use strict";
+
+const path = require("path");
+
+// File filters for the research tools and admin exclusion rules. Filters are validated and
+// normalized here and applied in-process to corpus-relative paths; nothing the model sends is
+// passed to ripgrep or the shell.
+
+const MAX_FILTER_ENTRIES = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_EXCLUSION_RULES = 200;
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Regex source for a glob (`*`, `**`, `?`, `{a,b}`) matched against a whole relative path.
+function globSource(glob) {
+  const src = String(glob || "").replace(/\\/g, "/");
+  let re = "";
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (ch === "*" && src[i + 1] === "*") {
+      re += src[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += src[i + 2] === "/" ? 2 : 1;
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "{" && src.indexOf("}", i) > i) {
+      const close = src.indexOf("}", i);
+      re += `(?:${src.slice(i + 1, close).split(",").map(escapeRegExp).join("|")})`;
+      i = close;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return `^${re}$`;
+}
+
+// Minimal glob matcher (`*`, `**`, `?`, `{a,b}`). Like rg, a glob without `/` matches the file
+// name anywhere in the tree.
+function globToRegExp(glob) {
+  const src = String(glob || "").replace(/\\/g, "/");
+  const pattern = new RegExp(globSource(src), "i");
+  return src.includes("/")
+    ? pattern
+    : { test: (relPath) => pattern.test(path.posix.basename(relPath)) };
+}
+
+// Normalize a corpus-relative pattern or folder, rejecting anything that could leave the corpus
+// root or that the matcher doesn't support.
+function normalizePattern(value, label) {
+  if (typeof value !== "string") throw new Error(`${label} must be a string`);
+  const text = value.trim().replace(/\\/g, "/");
+  if (!text) throw new Error(`${label} must not be empty`);
+  if (text.length > MAX_PATTERN_LENGTH) throw new Error(`${label} is longer than ${MAX_PATTERN_LENGTH} characters`);
+  if (/[\u0000-\u001f]/.test(text)) throw new Error(`${label} contains control characters`);
+  if (/^(?:\/|[A-Za-z]:)/.test(text)) throw new Error(`${label} must be relative to the corpus root: ${value}`);
+  if (text.split("/").includes("..")) throw new Error(`${label} must not contain "..": ${value}`);
+  if (text.startsWith("!")) throw new Error(`${label} must not start with "!"; use exclude instead: ${value}`);
+  const open = text.indexOf("{");
+  if (open >= 0 && (text.indexOf("}", open) < 0 || text.indexOf("{", open + 1) >= 0)) {
+    throw new Error(`${label} has unsupported braces (one {a,b} group only): ${value}`);
+  }
+  return text.replace(/^(?:\.\/)+/, "");
+}
+
+function listOf(value, label, normalize) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  if (items.length > MAX_FILTER_ENTRIES) throw new Error(`${label} accepts at most ${MAX_FILTER_ENTRIES} entries`);
+  return Array.from(new Set(items.map((item) => normalize(item, label))));
+}
+
+function normalizeFolder(value, label) {
+  const folder = normalizePattern(value, label).replace(/\/+$/, "");
+  if (/[*?{}]/.test(folder)) throw new Error(`${label} takes folder paths, not globs: ${value}`);
+  if (!folder || folder === ".") throw new Error(`${label} must name a folder under the corpus root`);
+  return `${folder}/`;
+}
+
+function normalizeExtension(value, label) {
+  if (typeof value !== "string") throw new Error(`${label} must be a string`);
+  const ext = `.${value.trim().toLowerCase().replace(/^\.+/, "")}`;
+  if (!/^\.[a-z0-9]{1,10}$/.test(ext)) throw new Error(`${label} must be a file extension such as "pdf": ${value}`);
+  return ext;
+}
+
+function parseDate(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const ms = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(ms)) throw new Error(`${label} must be an ISO date such as 2024-01-31`);
+  return new Date(ms).toISOString();
+}
+
+function parseSize(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${label} must be a non-negative integer (bytes)`);
+  return n;
+}
+
+// Validate a filter object ({ include, exclude, folders, extensions, modifiedAfter,
+// modifiedBefore, minSize, maxSize }) into its normalized form, or null when it filters nothing.
+// Throws with a message naming the offending field.
+function parseFileFilter(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("filter must be an object");
+  const filter = {
+    include: listOf(input.include, "filter.include", normalizePattern),
+    exclude: listOf(input.exclude, "filter.exclude", normalizePattern),
+    folders: listOf(input.folders, "filter.folders", normalizeFolder),
+    extensions: listOf(input.extensions, "filter.extensions", normalizeExtension),
+    modifiedAfter: parseDate(input.modifiedAfter, "filter.modifiedAfter"),
+    modifiedBefore: parseDate(input.modifiedBefore, "filter.modifiedBefore"),
+    minSize: parseSize(input.minSize, "filter.minSize"),
+    maxSize: parseSize(input.maxSize, "filter.maxSize"),
+  };
+  if (filter.modifiedAfter && filter.modifiedBefore && filter.modifiedAfter > filter.modifiedBefore) {
+    throw new Error("filter.modifiedAfter is later than filter.modifiedBefore");
+  }
+  if (filter.minSize !== null && filter.maxSize !== null && filter.minSize > filter.maxSize) {
+    throw new Error("filter.minSize is larger than filter.maxSize");
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (Array.isArray(value) ? value.length : value !== null) out[key] = value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Compile a parsed filter into { needsStat, test(relPath, stat) }; `stat` ({ mtimeMs, size }) is
+// only consulted when needsStat is true.
+function compileFileFilter(filter) {
+  if (!filter) return { needsStat: false, test: () => true };
+  const include = (filter.include || []).map(globToRegExp);
+  const exclude = (filter.exclude || []).map(globToRegExp);
+  const folders = (filter.folders || []).map((f) => f.toLowerCase());
+  const extensions = new Set(filter.extensions || []);
+  const after = filter.modifiedAfter ? Date.parse(filter.modifiedAfter) : null;
+  const before = filter.modifiedBefore ? Date.parse(filter.modifiedBefore) : null;
+  const minSize = filter.minSize ?? null;
+  const maxSize = filter.maxSize ?? null;
+  const needsStat = after !== null || before !== null || minSize !== null || maxSize !== null;
+  return {
+    needsStat,
+    test(relPath, stat) {
+      const rel = String(relPath || "").replace(/\\/g, "/");
+      if (include.length && !include.some((p) => p.test(rel))) return false;
+      if (exclude.some((p) => p.test(rel))) return false;
+      if (folders.length && !folders.some((f) => rel.toLowerCase().startsWith(f))) return false;
+      if (extensions.size && !extensions.has(path.posix.extname(rel).toLowerCase())) return false;
+      if (!needsStat) return true;
+      if (!stat) return false;
+      if (after !== null && stat.mtimeMs < after) return false;
+      if (before !== null && stat.mtimeMs > before) return false;
+      if (minSize !== null && stat.size < minSize) return false;
+      if (maxSize !== null && stat.size > maxSize) return false;
+      return true;
+    },
+  };
+}
+
+// Validate admin exclusion rules (an array or one rule per line; blank lines and `#` comments
+// are dropped). A single leading `/` is kept: it anchors the rule at the corpus root, as in
+// .gitignore. Returns the normalized rules.
+function parseExclusionRules(input) {
+  const items = Array.isArray(input) ? input : String(input || "").split(/\r?\n/);
+  const rules = [];
+  for (const item of items) {
+    const text = String(item || "").trim();
+    if (!text || text.startsWith("#")) continue;
+    const rooted = /^[\\/]/.test(text);
+    const body = normalizePattern(rooted ? text.slice(1) : text, "Exclusion rule");
+    if (!body.replace(/\/+$/, "")) throw new Error(`Exclusion rule must name files or folders: ${text}`);
+    const rule = rooted ? `/${body}` : body;
+    if (!rules.includes(rule)) rules.push(rule);
+  }
+  if (rules.length > MAX_EXCLUSION_RULES) throw new Error(`At most ${MAX_EXCLUSION_RULES} exclusion rules are allowed`);
+  return rules;
+}
+
+// Compile exclusion rules into a predicate over relative paths, with .gitignore-like semantics:
+// a rule without an inner `/` ("drafts", "*_old.pdf", "archive/") matches a file or folder name
+// at any depth; a rule with a leading or inner one ("/drafts", "Suppliers/old/**") is matched
+// from the corpus root. A trailing `/` matches folders only, and a matched folder excludes
+// everything under it.
+function compileExclusionRules(rules) {
+  const compiled = (rules || []).map((rule) => {
+    const folderOnly = rule.endsWith("/");
+    const body = rule.replace(/\/+$/, "");
+    const rooted = body.startsWith("/");
+    return {
+      anchored: rooted || body.includes("/"),
+      folderOnly,
+      pattern: new RegExp(globSource(rooted ? body.slice(1) : body), "i"),
+    };
+  });
+  if (!compiled.length) return () => false;
+  return (relPath) => {
+    const parts = String(relPath || "").replace(/\\/g, "/").split("/").filter(Boolean);
+    for (const rule of compiled) {
+      const last = rule.folderOnly ? parts.length - 1 : parts.length;
+      for (let i = 0; i < last; i += 1) {
+        const candidate = rule.anchored ? parts.slice(0, i + 1).join("/") : parts[i];
+        if (rule.pattern.test(candidate)) return true;
+      }
+    }
+    return false;
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  parseFileFilter,
+  compileFileFilter,
+  parseExclusionRules,
+  compileExclusionRules,
+};
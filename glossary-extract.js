@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+"use strict";
+
+// Finds Korean/English term pairs that corpus documents state side by side, e.g.
+// "글리세린(Glycerin)", "Sodium Hyaluronate (소듐하이알루로네이트)" or "점도 / Viscosity". These seed
+// the translation glossary; an admin reviews them afterwards.
+
+// Chemical locants ("1,2-헥산다이올", "1,2-Hexanediol") may lead a term in either language.
+const LOCANT = String.raw`(?:\d+(?:,\d+)*-)?`;
+// A Korean term directly before a bracket or slash is one word ("...은 글리세린(Glycerin)" must
+// not pull in the sentence); inside brackets it may be a short phrase.
+const KO_WORD = String.raw`${LOCANT}[가-힣][가-힣0-9·-]*`;
+const KO_PHRASE = String.raw`${KO_WORD}(?:\s[가-힣][가-힣0-9·-]*){0,3}`;
+// English terms outside brackets are runs of capitalized words or numbers (INCI names are title
+// case), so "contains Sodium Hyaluronate (...)" yields "Sodium Hyaluronate".
+const EN_CAPS = String.raw`(?:[A-Z]|\d)[A-Za-z0-9',-]*(?:\s(?:[A-Z]|\d)[A-Za-z0-9',-]*){0,5}`;
+// After a slash nothing closes the term, so numbers are left out ("점도 / Viscosity 1200 cP").
+const EN_WORDS = String.raw`${LOCANT}[A-Z][A-Za-z0-9',-]*(?:\s[A-Z][A-Za-z0-9',-]*){0,5}`;
+const EN_PHRASE = String.raw`${LOCANT}[A-Za-z][A-Za-z0-9',-]*(?:\s[A-Za-z0-9][A-Za-z0-9',-]*){0,5}`;
+const OPEN = String.raw`\s*[(（\[]\s*`;
+const CLOSE = String.raw`\s*[)）\]]`;
+const SLASH = String.raw`\s*/\s*`;
+
+const PAIR_PATTERNS = [
+  { re: new RegExp(String.raw`(?<![가-힣0-9,])(${KO_WORD})${OPEN}(${EN_PHRASE})${CLOSE}`, "g"), ko: 1, en: 2 },
+  { re: new RegExp(String.raw`(?<![A-Za-z0-9,])(${EN_CAPS})${OPEN}(${KO_PHRASE})${CLOSE}`, "g"), ko: 2, en: 1 },
+  { re: new RegExp(String.raw`(?<![가-힣0-9,])(${KO_WORD})${SLASH}(${EN_WORDS})(?![A-Za-z0-9])`, "g"), ko: 1, en: 2 },
+  { re: new RegExp(String.raw`(?<![A-Za-z0-9,])(${EN_WORDS})${SLASH}(${KO_WORD})(?![가-힣])`, "g"), ko: 2, en: 1 },
+];
+
+// Column and form headers of specification sheets ("성분명 / INCI Name", "함량(Content)") are
+// stated bilingually in nearly every document but name no material or property; a pair with
+// one of these on either side is dropped.
+const GENERIC_KOREAN = new Set([
+  "성분", "성분명", "원료명", "제품명", "함량", "시험", "시험항목", "시험방법", "항목", "규격", "기준",
+  "결과", "단위", "비고", "번호", "구분", "내용", "날짜", "일자", "제조사", "공급사",
+]);
+const GENERIC_ENGLISH = new Set([
+  "inci", "inci name", "ingredient", "ingredients", "ingredient name", "material", "material name",
+  "product", "product name", "content", "contents", "test", "tests", "test item", "test items", "test method",
+  "item", "items", "specification", "specifications", "spec", "result", "results", "unit", "units", "remark",
+  "remarks", "note", "notes", "no", "description", "date", "manufacturer", "supplier",
+]);
+
+function cleanTerm(text) {
+  return String(text || "").replace(/[\s,'-]+$/, "").replace(/\s+/g, " ").trim();
+}
+
+// Pairs stated in one line of text: [{ korean, english }].
+function extractTermPairs(text) {
+  const line = String(text || "");
+  if (!/[가-힣]/.test(line) || !/[A-Za-z]/.test(line)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const { re, ko, en } of PAIR_PATTERNS) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(line))) {
+      const korean = cleanTerm(m[ko]);
+      const english = cleanTerm(m[en]);
+      // Units, abbreviations and single letters ("주(%)", "A/B") are not terms.
+      if (korean.length < 2 || english.replace(/[^A-Za-z]/g, "").length < 3) continue;
+      if (GENERIC_KOREAN.has(korean) || GENERIC_ENGLISH.has(english.toLowerCase())) continue;
+      const key = `${korean}\u0000${english.toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push({ korean, english });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  extractTermPairs,
+};
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+"use strict";
+
+// Script-based language guess for corpus text. The corpus is mostly Korean and English
+// supplier documents, so counting letters per script is enough; no n-gram model is needed.
+
+const SCRIPT_PATTERNS = {
+  hangul: /[\uAC00-\uD7A3\u1100-\u11FF\u3130-\u318F]/g,
+  kana: /[\u3040-\u30FF]/g,
+  han: /[\u4E00-\u9FFF]/g,
+  latin: /[A-Za-z\u00C0-\u024F]/g,
+};
+
+// Minimum share of letters a second script needs before text is reported as "mixed".
+const MIXED_MIN_SHARE = 0.2;
+// Below this many letters there isn't enough signal to guess.
+const MIN_LETTERS = 8;
+// Sections are paragraphs (blank-line separated), split further after this many lines.
+const SECTION_MAX_LINES = 40;
+const LANGUAGE_CODES = ["ko", "en", "mixed", "ja", "zh", "unknown"];
+
+function countScripts(text) {
+  const src = String(text || "");
+  const counts = {};
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    const m = src.match(pattern);
+    counts[script] = m ? m.length : 0;
+  }
+  return counts;
+}
+
+// Returns "ko", "ja", "zh", "en", "mixed" (Korean and English both substantial) or "unknown".
+function detectLanguage(text) {
+  const counts = countScripts(text);
+  const total = counts.hangul + counts.kana + counts.han + counts.latin;
+  if (total < MIN_LETTERS) return "unknown";
+
+  // Latin letters are weighted down: a Hangul syllable or Han character carries roughly as
+  // much text as three Latin letters. Han characters next to kana are Japanese kanji.
+  const scores = {
+    ko: counts.hangul,
+    ja: counts.kana ? counts.kana + counts.han : 0,
+    zh: counts.kana ? 0 : counts.han,
+    en: counts.latin / 3,
+  };
+  const weighted = scores.ko + scores.ja + scores.zh + scores.en;
+  const [first, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const mixed = second[1] / weighted >= MIXED_MIN_SHARE
+    && [first[0], second[0]].sort().join("+") === "en+ko";
+  return mixed ? "mixed" : first[0];
+}
+
+// Language runs of a file: [{ startLine, endLine, language }] (1-based, inclusive), covering every
+// line. Paragraphs are detected separately and neighbours with the same language merged; a
+// paragraph too short to guess (a number, a code) takes the language of the run before it.
+function detectLanguageSections(lines) {
+  const blocks = [];
+  let start = -1;
+  const flush = (end) => {
+    if (start < 0) return;
+    blocks.push({ startLine: start + 1, endLine: end, language: detectLanguage(lines.slice(start, end).join("\n")) });
+    start = -1;
+  };
+  for (let i = 0; i < lines.length; i += 1) {
+    const blank = !String(lines[i] || "").trim();
+    if (blank) {
+      flush(i);
+      continue;
+    }
+    if (start < 0) start = i;
+    else if (i - start >= SECTION_MAX_LINES) {
+      flush(i);
+      start = i;
+    }
+  }
+  flush(lines.length);
+
+  const known = blocks.find((b) => b.language !== "unknown");
+  const sections = [];
+  let current = known ? known.language : "unknown";
+  for (const block of blocks) {
+    if (block.language !== "unknown") current = block.language;
+    const last = sections[sections.length - 1];
+    if (last && last.language === current) last.endLine = block.endLine;
+    else sections.push({ startLine: block.startLine, endLine: block.endLine, language: current });
+  }
+  // Blank lines between runs go to the run that follows them.
+  for (let i = 0; i < sections.length; i += 1) {
+    sections[i].startLine = i === 0 ? 1 : sections[i - 1].endLine + 1;
+  }
+  if (sections.length) sections[sections.length - 1].endLine = lines.length;
+  return sections;
+}
+
+// Language of the section containing `line`, or null when no section covers it.
+function languageAtLine(sections, line) {
+  let lo = 0;
+  let hi = (sections || []).length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const s = sections[mid];
+    if (line < s.startLine) hi = mid - 1;
+    else if (line > s.endLine) lo = mid + 1;
+    else return s.language;
+  }
+  return null;
+}
+
+// Whether a file (or, with `line`, the section holding that line) is in `wanted`. Bilingual
+// ("mixed") text counts as both Korean and English; "mixed" itself only matches mixed files.
+function matchesLanguage({ language, sections }, wanted, line) {
+  if (wanted === "mixed") return language === "mixed";
+  const covers = (lang) => lang === wanted || (lang === "mixed" && (wanted === "ko" || wanted === "en"));
+  if (line) return covers(languageAtLine(sections, line) || language);
+  return covers(language) || (sections || []).some((s) => covers(s.language));
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  countScripts,
+  detectLanguage,
+  detectLanguageSections,
+  languageAtLine,
+  matchesLanguage,
+};
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+"use strict";
+
+// Heuristic extraction of catalog facts from corpus text: CAS numbers (checksum-validated),
+// INCI names, supplier/manufacturer names and document types (TDS, MSDS, COA).
+
+const CAS_PATTERN = /(?<![\d-])(\d{2,7})-(\d{2})-(\d)(?![\d-])/g;
+
+const INCI_LABEL = /^\s*(?:inci\s*명|inci(?:\s*name)?|전성분(?:명)?|표준화?\s*성분명)(?![A-Za-z가-힣])\s*[:：]?\s*(.+)$/i;
+const SUPPLIER_LABEL = /^\s*(?:manufacturer|manufactured\s+by|supplier|supplied\s+by|distributor|company(?:\s+name)?|제조(?:사|원|업자)|공급(?:사|원)|판매(?:사|원))(?![A-Za-z가-힣])\s*[:：]?\s*(.+)$/i;
+// Legal-form suffixes that end a company name.
+const COMPANY_SUFFIXES = String.raw`(?:Co\.,?\s*Ltd\.?|Ltd\.?|Inc\.?|Corp(?:oration|\.)?|GmbH|S\.?A\.?S?\.?|S\.p\.A\.?|SE|AG|LLC|B\.V\.|K\.K\.)`;
+// A company name is one to four capitalized tokens ("BASF", "Samsung Fine Chemicals") directly
+// before a suffix; lowercase words end it, so sentence text before the name is left out.
+const COMPANY_SUFFIX = new RegExp(
+  String.raw`(?<![\w&'.-])((?:[A-Z][A-Za-z0-9&'-]*\.?\s+){1,4}${COMPANY_SUFFIXES})(?=[\s,;.)]|$)` +
+    String.raw`|((?:\(주\)|㈜|주식회사)\s*[가-힣A-Za-z0-9]+(?:\s*[가-힣A-Za-z0-9]+)?)`,
+  "g"
+);
+const COMPANY_SUFFIX_ONLY = new RegExp(`^${COMPANY_SUFFIXES}$`);
+// Capitalized at the start of a sentence, these are not part of a company name.
+const NAME_STOPWORDS = new Set(["a", "an", "the", "this", "that", "these", "our", "by", "at", "in", "of", "for", "from", "to", "with", "and", "or", "is", "are", "was", "contact", "call", "see", "please", "mr", "mrs", "ms", "dr"]);
+
+const DOC_TYPE_PATTERNS = [
+  { type: "MSDS", pattern: /\b(?:M?SDS|material\s+safety\s+data\s+sheet|safety\s+data\s+sheet)\b|물질\s*안전\s*보건\s*자료/i },
+  { type: "TDS", pattern: /\b(?:TDS|technical\s+data\s+sheet|product\s+data\s+sheet|product\s+specification)\b|제품\s*사양서|기술\s*자료/i },
+  { type: "COA", pattern: /\b(?:C\.?O\.?A\.?|certificate\s+of\s+analysis)\b|시험\s*성적서|분석\s*증명서/i },
+];
+
+function isValidCas(cas) {
+  const digits = String(cas || "").replace(/-/g, "");
+  if (!/^\d{5,10}$/.test(digits)) return false;
+  const check = Number(digits[digits.length - 1]);
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 1; i >= 0; i -= 1, weight += 1) {
+    sum += Number(digits[i]) * weight;
+  }
+  return sum % 10 === check;
+}
+
+// The name tokens of a COMPANY_SUFFIX match after the last stopword ("Contact Samsung Ltd" ->
+// "Samsung Ltd"), or "" when only the suffix is left.
+function companyName(match) {
+  const tokens = String(match).trim().split(/\s+/);
+  let start = 0;
+  tokens.forEach((token, i) => {
+    if (NAME_STOPWORDS.has(token.replace(/\.$/, "").toLowerCase())) start = i + 1;
+  });
+  const name = tokens.slice(start).join(" ");
+  return name && COMPANY_SUFFIX_ONLY.test(name) ? "" : name;
+}
+
+function cleanValue(value) {
+  return String(value || "")
+    .replace(/\s{2,}.*$/, "")
+    .replace(/[\s,;:.]+$/, "")
+    .trim()
+    .slice(0, 160);
+}
+
+// Extract catalog entries from the lines of one file. Returns
+// [{ kind: "cas"|"inci"|"supplier"|"doc_type", value, line }], deduplicated per kind/value
+// (first occurrence wins).
+function extractMaterialFacts(lines, relPath = "") {
+  const out = [];
+  const seen = new Set();
+  const add = (kind, value, line) => {
+    const v = cleanValue(value);
+    if (!v) return;
+    const key = `${kind}:${v.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({ kind, value: v, line });
+  };
+
+  const fileName = String(relPath || "").replace(/[_.\-/\\]+/g, " ");
+  for (const type of DOC_TYPE_PATTERNS) {
+    if (type.pattern.test(fileName)) add("doc_type", type.type, null);
+  }
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const text = String(lines[i] || "");
+    const lineNo = i + 1;
+    if (!text.trim()) continue;
+
+    for (const m of text.matchAll(CAS_PATTERN)) {
+      const cas = `${m[1]}-${m[2]}-${m[3]}`;
+      if (isValidCas(cas)) add("cas", cas, lineNo);
+    }
+
+    const inci = INCI_LABEL.exec(text);
+    if (inci) add("inci", inci[1], lineNo);
+
+    const supplier = SUPPLIER_LABEL.exec(text);
+    if (supplier) {
+      add("supplier", supplier[1], lineNo);
+    } else {
+      for (const m of text.matchAll(COMPANY_SUFFIX)) add("supplier", m[1] ? companyName(m[1]) : m[2], lineNo);
+    }
+
+    // Document titles are near the top; later mentions are usually cross-references.
+    if (i < 40) {
+      for (const type of DOC_TYPE_PATTERNS) {
+        if (type.pattern.test(text)) add("doc_type", type.type, lineNo);
+      }
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  isValidCas,
+  extractMaterialFacts,
+};
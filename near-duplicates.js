@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+"use strict";
+
+// Near-duplicate detection for corpus files: each file becomes a set of word shingles, summarized
+// by a MinHash signature whose agreement rate estimates the Jaccard similarity of two files.
+// Locality-sensitive hashing over signature bands finds candidate pairs without comparing every
+// pair, and pairs at or above the threshold are merged into clusters.
+
+const SHINGLE_WORDS = 5;
+const SIGNATURE_SIZE = 128;
+const LSH_BANDS = 32;
+const LSH_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+const DEFAULT_THRESHOLD = 0.85;
+
+function fnv1a(text, seed = 0x811c9dc5) {
+  let h = seed;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Murmur3 finalizer, so the derived hash functions below are well mixed.
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Hashed word shingles of `text` (NFKC, case- and punctuation-insensitive). Files shorter than one
+// shingle yield a single shingle of all their words; empty files yield none.
+function shingleHashes(text) {
+  const words = String(text || "").normalize("NFKC").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const out = new Set();
+  if (!words.length) return out;
+  if (words.length < SHINGLE_WORDS) {
+    out.add(fnv1a(words.join(" ")));
+    return out;
+  }
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i += 1) {
+    out.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(" ")));
+  }
+  return out;
+}
+
+// MinHash signature (SIGNATURE_SIZE unsigned ints) of `text`, or null when it has no words. The
+// hash functions are derived from two base hashes per shingle (h1 + i * h2).
+function minhashSignature(text) {
+  const shingles = shingleHashes(text);
+  if (!shingles.size) return null;
+  const sig = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const h1 of shingles) {
+    const h2 = mix32(h1 ^ 0x9e3779b9) | 1;
+    for (let i = 0; i < SIGNATURE_SIZE; i += 1) {
+      const v = mix32((h1 + Math.imul(i, h2)) >>> 0);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+// Estimated Jaccard similarity of two signatures (fraction of agreeing slots).
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i += 1) if (a[i] === b[i]) same += 1;
+  return same / a.length;
+}
+
+// The file that stands for a cluster: the most recently modified version, then the shortest path.
+function pickCanonical(docs) {
+  return docs.slice().sort((a, b) => ((b.mtimeMs || 0) - (a.mtimeMs || 0))
+    || (a.file.length - b.file.length)
+    || a.file.localeCompare(b.file))[0];
+}
+
+// Cluster `docs` ([{ file, signature, mtimeMs?, size? }]) whose estimated similarity reaches
+// `threshold`. Returns [{ canonical, similarity, files: [{ file, similarity, mtimeMs, size }] }]
+// with the canonical file first and each member's similarity to it; singletons are omitted.
+function clusterNearDuplicates(docs, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const items = docs.filter((d) => d && d.signature);
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const checked = new Set();
+  for (let band = 0; band < LSH_BANDS; band += 1) {
+    const buckets = new Map();
+    for (let i = 0; i < items.length; i += 1) {
+      const key = items[i].signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(",");
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+    for (const bucket of buckets.values()) {
+      for (let x = 0; x < bucket.length; x += 1) {
+        for (let y = x + 1; y < bucket.length; y += 1) {
+          const a = bucket[x];
+          const b = bucket[y];
+          const pair = `${a}:${b}`;
+          if (checked.has(pair)) continue;
+          checked.add(pair);
+          if (find(a) === find(b)) continue;
+          if (estimateSimilarity(items[a].signature, items[b].signature) >= threshold) parent[find(a)] = find(b);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((doc, i) => {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(doc);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const canonical = pickCanonical(members);
+    const files = members
+      .map((d) => ({
+        file: d.file,
+        similarity: d === canonical ? 1 : Math.round(estimateSimilarity(canonical.signature, d.signature) * 1000) / 1000,
+        mtimeMs: d.mtimeMs,
+        size: d.size,
+      }))
+      .sort((a, b) => (a.file === canonical.file ? -1 : b.file === canonical.file ? 1 : b.similarity - a.similarity));
+    clusters.push({
+      canonical: canonical.file,
+      similarity: Math.min(...files.map((f) => f.similarity)),
+      files,
+    });
+  }
+  return clusters.sort((a, b) => (b.files.length - a.files.length) || a.canonical.localeCompare(b.canonical));
+}
+
+// Keep one file per duplicate cluster in `items` (hits or ranked file groups, each with `file`).
+// `clusterOf(item)` returns the item's cluster or null. The kept file is the cluster's canonical
+// file when it is among the items, and otherwise the first one listed. Returns { items, collapsed }
+// where collapsed is [{ corpus?, file, alternates, hidden }] per cluster that had duplicates.
+function collapseDuplicates(items, clusterOf) {
+  const kept = new Map();
+  const present = new Map();
+  for (const item of items) {
+    const cluster = clusterOf(item);
+    if (!cluster) continue;
+    const key = `${item.corpus || ""}\u0000${cluster.canonical}`;
+    if (!present.has(key)) present.set(key, new Set());
+    present.get(key).add(item.file);
+  }
+  for (const item of items) {
+    const cluster = clusterOf(item);
+    if (!cluster) continue;
+    const key = `${item.corpus || ""}\u0000${cluster.canonical}`;
+    if (kept.has(key)) continue;
+    const files = present.get(key);
+    kept.set(key, {
+      ...(item.corpus ? { corpus: item.corpus } : {}),
+      file: files.has(cluster.canonical) ? cluster.canonical : item.file,
+      alternates: [],
+      hidden: 0,
+      cluster,
+    });
+  }
+
+  // The kept file's items take the place of the cluster's first (best-ranked) item.
+  const out = [];
+  const emitted = new Set();
+  for (const item of items) {
+    const cluster = clusterOf(item);
+    const key = cluster ? `${item.corpus || ""}\u0000${cluster.canonical}` : null;
+    const entry = key ? kept.get(key) : null;
+    if (!entry) {
+      out.push(item);
+      continue;
+    }
+    if (entry.file !== item.file) entry.hidden += 1;
+    if (emitted.has(key)) continue;
+    emitted.add(key);
+    for (const other of items) {
+      if (other.file === entry.file && (other.corpus || "") === (item.corpus || "")) out.push(other);
+    }
+  }
+
+  const collapsed = [];
+  for (const entry of kept.values()) {
+    entry.alternates = entry.cluster.files.map((f) => f.file).filter((f) => f !== entry.file);
+    delete entry.cluster;
+    if (entry.alternates.length) collapsed.push(entry);
+  }
+  return { items: out, collapsed };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  minhashSignature,
+  estimateSimilarity,
+  clusterNearDuplicates,
+  collapseDuplicates,
+};
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+"use strict";
+
+// Line-to-page maps for corpus text. A page map is a list of { line, page } entries sorted by
+// line: each entry says that `page` starts at `line`. Pages come from form feeds (pdftotext,
+// DOCX page breaks, some TXT exports) or, failing that, from page markers left in the text.
+
+// Markers that open a page: "--- Page 12 ---", "[Page 12]", "<<page 12>>", "## Page 12",
+// "p. 12", "12 페이지", "페이지 12".
+const PAGE_HEADER_PATTERNS = [
+  /^[-=#*_~\s]*[[<(]*\s*(?:page|pg\.?|p\.)\s*(\d{1,4})\s*[\]>)]*[-=#*_~\s]*$/i,
+  /^[-=#*_~\s]*[[<(]*\s*(?:페이지|쪽)\s*(\d{1,4})\s*[\]>)]*[-=#*_~\s]*$/,
+  /^[-=#*_~\s]*[[<(]*\s*(\d{1,4})\s*(?:페이지|쪽)\s*[\]>)]*[-=#*_~\s]*$/,
+];
+// Markers that close a page: "Page 3 of 10", "- 3 / 10 -".
+const PAGE_FOOTER_PATTERN = /^[-\s]*(?:page\s*)?(\d{1,4})\s*(?:of|\/)\s*(\d{1,4})[-\s]*$/i;
+// Fewer markers than this are more likely stray text than pagination.
+const MIN_PAGE_MARKERS = 2;
+
+function isIncreasing(markers) {
+  for (let i = 1; i < markers.length; i += 1) {
+    if (markers[i].page <= markers[i - 1].page) return false;
+  }
+  return true;
+}
+
+// Page map from marker lines, or null when the markers don't look like pagination.
+function pageMapFromMarkers(lines) {
+  const headers = [];
+  const footers = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const text = String(lines[i] || "").trim();
+    if (!text || text.length > 40) continue;
+    const footer = PAGE_FOOTER_PATTERN.exec(text);
+    if (footer && Number(footer[1]) <= Number(footer[2])) {
+      footers.push({ line: i + 1, page: Number(footer[1]) });
+      continue;
+    }
+    for (const pattern of PAGE_HEADER_PATTERNS) {
+      const header = pattern.exec(text);
+      if (header) {
+        headers.push({ line: i + 1, page: Number(header[1]) });
+        break;
+      }
+    }
+  }
+
+  if (headers.length >= footers.length && headers.length >= MIN_PAGE_MARKERS && isIncreasing(headers)) {
+    // Text above the first marker belongs to the page before it (or page 1).
+    const lead = headers[0].line > 1 ? [{ line: 1, page: Math.max(1, headers[0].page - 1) }] : [];
+    return lead.concat(headers).filter((entry, i, all) => i === 0 || entry.page !== all[i - 1].page);
+  }
+  if (footers.length >= MIN_PAGE_MARKERS && isIncreasing(footers)) {
+    const map = [{ line: 1, page: footers[0].page }];
+    for (const footer of footers) {
+      if (footer.line < lines.length) map.push({ line: footer.line + 1, page: footer.page + 1 });
+    }
+    return map;
+  }
+  return null;
+}
+
+// Page map from the first line of each form-feed-separated page.
+function pageMapFromBreaks(breakLines) {
+  const map = [{ line: 1, page: 1 }];
+  for (const line of breakLines) map.push({ line, page: map.length + 1 });
+  return map;
+}
+
+// Page containing `line`, or null without a page map.
+function pageForLine(pageMap, line) {
+  if (!Array.isArray(pageMap) || !pageMap.length) return null;
+  let lo = 0;
+  let hi = pageMap.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (pageMap[mid].line <= line) lo = mid;
+    else hi = mid - 1;
+  }
+  return pageMap[lo].line <= line ? pageMap[lo].page : pageMap[0].page;
+}
+
+// First line of `page`, or null when the page is not in the map.
+function firstLineOfPage(pageMap, page) {
+  if (!Array.isArray(pageMap)) return null;
+  const entry = pageMap.find((e) => e.page === Number(page));
+  return entry ? entry.line : null;
+}
+
+module.exports = {
+  pageMapFromMarkers,
+  pageMapFromBreaks,
+  pageForLine,
+  firstLineOfPage,
+};
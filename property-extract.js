@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+"use strict";
+
+// Heuristic extraction of numeric specification properties from corpus text: pH, viscosity,
+// melting point, HLB and assay/purity. Values are normalized to one canonical unit per property
+// (cP, °C, %) and stored as an interval: "5.0 - 7.0" -> [5, 7], "≥ 99.5 %" -> [99.5, null],
+// "7.0 ± 0.5" -> [6.5, 7.5], a single value -> [v, v].
+
+// A comma followed by exactly three digits groups thousands ("12,000 mPa·s"); any other lone
+// comma is a decimal mark ("5,5").
+const THOUSANDS_NUMBER = String.raw`[1-9]\d{0,2}(?:,\d{3})+(?!\d)(?:\.\d+)?`;
+const NUMBER = String.raw`[-+]?(?:${THOUSANDS_NUMBER}|\d+(?:[.,]\d+)?)`;
+const RANGE_SEP = String.raw`\s*(?:-|–|—|~|～|to|and)\s*`;
+const MIN_OPS = String.raw`≥|>=|>|min\.?|minimum|NLT|not\s+less\s+than|이상`;
+const MAX_OPS = String.raw`≤|<=|<|max\.?|maximum|NMT|not\s+more\s+than|이하`;
+
+const VALUE_EXPR = new RegExp(
+  String.raw`(?:(${MIN_OPS})\s*(${NUMBER})|(${MAX_OPS})\s*(${NUMBER})|(${NUMBER})\s*±\s*(${NUMBER})|(${NUMBER})(?:${RANGE_SEP}(${NUMBER}))?)` +
+  String.raw`\s*(°\s*[CF]|℃|℉|K\b|cP\b|cps\b|mPa\s*[·.•*]?\s*s\b|Pa\s*[·.•*]?\s*s\b|poise\b|P\b|%)?` +
+  String.raw`(?:\s*(${MIN_OPS}|${MAX_OPS}))?`,
+  "i"
+);
+
+// Canonical unit and conversions (value in source unit -> canonical) per property.
+const PROPERTY_DEFS = {
+  ph: {
+    label: /\bpH\b/,
+    unit: "",
+    range: [0, 14],
+  },
+  viscosity: {
+    label: /\bviscosity\b|점도/i,
+    unit: "cP",
+    units: { cp: (v) => v, cps: (v) => v, "mpa·s": (v) => v, "pa·s": (v) => v * 1000, p: (v) => v * 100, poise: (v) => v * 100 },
+    requireUnit: true,
+    range: [0, 1e9],
+  },
+  melting_point: {
+    label: /\bmelting\s+(?:point|range)\b|\bm\.\s?p\.|\bmp\b|녹는점|융점/i,
+    unit: "°C",
+    units: { "°c": (v) => v, "°f": (v) => (v - 32) * 5 / 9, k: (v) => v - 273.15 },
+    range: [-100, 500],
+  },
+  hlb: {
+    label: /\bHLB\b/,
+    unit: "",
+    range: [0, 40],
+  },
+  assay: {
+    label: /\bassay\b|\bpurity\b|\bactive\s+(?:content|matter)\b|함량|순도/i,
+    unit: "%",
+    units: { "%": (v) => v },
+    requireUnit: true,
+    range: [0, 100],
+  },
+};
+
+const PROPERTY_NAMES = Object.keys(PROPERTY_DEFS);
+
+function toNumber(text) {
+  const raw = String(text).replace(/^[-+]/, "");
+  const sign = String(text).startsWith("-") ? -1 : 1;
+  if (new RegExp(`^${THOUSANDS_NUMBER}$`).test(raw)) return sign * Number(raw.replace(/,/g, ""));
+  return Number(String(text).replace(",", "."));
+}
+
+function normalizeUnit(unit) {
+  const u = String(unit || "").toLowerCase().replace(/\s+/g, "");
+  if (!u) return "";
+  if (u === "℃") return "°c";
+  if (u === "℉") return "°f";
+  if (/^m?pa[·.•*]?s$/.test(u)) return u.startsWith("m") ? "mpa·s" : "pa·s";
+  return u;
+}
+
+// Convert `value` given in `unit` to the property's canonical unit. Unknown units throw.
+function convertToCanonical(property, value, unit) {
+  const def = PROPERTY_DEFS[property];
+  if (!def) throw new Error(`Unknown property: ${property}`);
+  const u = normalizeUnit(unit);
+  if (!u || !def.units) return value;
+  const convert = def.units[u];
+  if (!convert) throw new Error(`Unsupported unit for ${property}: ${unit}`);
+  return convert(value);
+}
+
+function round(n) {
+  return n == null ? null : Math.round(n * 10000) / 10000;
+}
+
+// Parse the first value expression in `text` into { min, max, unit } (unit as written, normalized).
+function parseValue(text) {
+  const m = VALUE_EXPR.exec(text);
+  if (!m) return null;
+  const [, minOp, minVal, maxOp, maxVal, center, tolerance, first, second, unit, trailingOp] = m;
+  let min;
+  let max;
+  if (minOp) {
+    min = toNumber(minVal);
+    max = null;
+  } else if (maxOp) {
+    min = null;
+    max = toNumber(maxVal);
+  } else if (center) {
+    min = toNumber(center) - Math.abs(toNumber(tolerance));
+    max = toNumber(center) + Math.abs(toNumber(tolerance));
+  } else {
+    min = toNumber(first);
+    max = second != null ? toNumber(second) : min;
+    // "99.0 % min" / "5 ppm 이하" style: the comparator follows the number.
+    if (second == null && trailingOp) {
+      if (new RegExp(`^(?:${MIN_OPS})$`, "i").test(trailingOp)) max = null;
+      else min = null;
+    }
+  }
+  if (min != null && max != null && min > max) [min, max] = [max, min];
+  return { min, max, unit: normalizeUnit(unit) };
+}
+
+// Extract property values from the lines of one file. Returns
+// [{ property, min, max, unit, raw, line }] with min/max in the canonical unit (null = open end).
+function extractProperties(lines) {
+  const out = [];
+  const seen = new Set();
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = String(lines[i] || "");
+    if (line.length > 400) continue;
+    for (const property of PROPERTY_NAMES) {
+      const def = PROPERTY_DEFS[property];
+      const label = def.label.exec(line);
+      if (!label) continue;
+      // Parenthesized test conditions ("pH (10% sol.)", "Viscosity (25 °C)") are not the value.
+      const rest = line.slice(label.index + label[0].length).replace(/\([^)]*\)/g, " ").replace(/^[^\d<>≤≥+-]*/, (lead) => {
+        // Keep comparator words that precede the number ("min. 99.0 %", "NLT 5").
+        const op = new RegExp(`(${MIN_OPS}|${MAX_OPS})\\s*$`, "i").exec(lead);
+        return op ? op[0] : "";
+      });
+      const value = parseValue(rest);
+      if (!value) continue;
+      if (def.requireUnit && !value.unit) continue;
+      let min;
+      let max;
+      try {
+        min = value.min == null ? null : convertToCanonical(property, value.min, value.unit);
+        max = value.max == null ? null : convertToCanonical(property, value.max, value.unit);
+      } catch {
+        continue;
+      }
+      const [lo, hi] = def.range;
+      if ((min != null && (min < lo || min > hi)) || (max != null && (max < lo || max > hi))) continue;
+      const key = `${property}\u0000${min}\u0000${max}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push({ property, min: round(min), max: round(max), unit: def.unit, raw: line.trim().slice(0, 200), line: i + 1 });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  PROPERTY_DEFS,
+  PROPERTY_NAMES,
+  convertToCanonical,
+  extractProperties,
+  parseValue,
+};
@@ -0,0 +1,683 @@
+#!/usr/bin/env node
+"use strict";
+
+const path = require("path");
+const Database = require("better-sqlite3");
+const { foldText } = require("./text-match");
+const { parseCsvRecords } = require("./csv");
+
+const DEFAULT_DB_PATH = path.join(__dirname, ".reference.db");
+const SYNONYM_KINDS = ["inci", "korean", "cas", "trade", "misspelling", "other"];
+// CSV columns accepted by importSynonymsCsv(), mapped to term kinds. Cells may hold several
+// values separated by `|` or `;`.
+const SYNONYM_CSV_COLUMNS = {
+  inci: "inci",
+  inci_name: "inci",
+  korean: "korean",
+  korean_name: "korean",
+  cas: "cas",
+  cas_no: "cas",
+  cas_number: "cas",
+  trade: "trade",
+  trade_name: "trade",
+  trade_names: "trade",
+  misspelling: "misspelling",
+  misspellings: "misspelling",
+  synonym: "other",
+  synonyms: "other",
+  other: "other",
+};
+
+// Regulatory lists: `restricted` lists (EU Annex II/III, MFDS restricted lists) name substances
+// that are prohibited or limited; `inventory` lists (China IECIC) name substances that may be
+// used, so a material missing from one is itself a finding.
+const REGULATORY_LIST_TYPES = ["restricted", "inventory"];
+// Entry statuses; the wording of the source list is kept alongside as `statusText`.
+const REGULATORY_STATUSES = ["prohibited", "restricted", "listed"];
+// Result statuses of a check from most to least severe. `not_in_inventory`: an inventory list was
+// checked and the material is missing from it; `not_listed`: no list names it at all.
+const REGULATORY_CHECK_STATUSES = ["prohibited", "restricted", "not_in_inventory", "listed", "not_listed"];
+// CSV columns accepted by importRegulatoryCsv(). Name and CAS cells may hold several values
+// separated by `|` or `;`.
+const REGULATORY_CSV_COLUMNS = {
+  inci: "name",
+  inci_name: "name",
+  name: "name",
+  substance: "name",
+  substance_name: "name",
+  chemical_name: "name",
+  ingredient: "name",
+  korean: "name",
+  korean_name: "name",
+  cas: "cas",
+  cas_no: "cas",
+  cas_number: "cas",
+  status: "status",
+  category: "status",
+  limit: "limit",
+  max_concentration: "limit",
+  maximum_concentration: "limit",
+  max_conc: "limit",
+  concentration_limit: "limit",
+  conditions: "conditions",
+  condition: "conditions",
+  restrictions: "conditions",
+  product_type: "conditions",
+  field_of_application: "conditions",
+  notes: "notes",
+  note: "notes",
+  warnings: "notes",
+  comments: "notes",
+  reference: "reference",
+  ref: "reference",
+  entry: "reference",
+  entry_no: "reference",
+  annex: "reference",
+};
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function splitMulti(value) {
+  return String(value || "")
+    .split(/[|;]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Map a status as written in a source list ("Prohibited (Annex II)", "Annex III", "배합금지",
+// "Listed") to one of REGULATORY_STATUSES, or null when it can't be mapped. Prohibitions are
+// checked first so "not permitted" doesn't read as permitted.
+function normalizeRegulatoryStatus(text) {
+  const t = String(text || "").trim().toLowerCase();
+  if (!t || /\bnot\s+listed\b|\b(?:un|de)listed\b/.test(t)) return null;
+  if (/prohibit|\bban(?:ned)?\b|forbidden|not\s+(?:permitted|allowed|authori[sz]ed)|\bannex\s*ii\b|금지/.test(t)) return "prohibited";
+  if (/restrict|\blimit|\bannex\s*(?:iii|iv|v|vi)\b|conditional|제한|한도/.test(t)) return "restricted";
+  if (/\blisted\b|inventory|iecic|\b(?:permitted|allowed|approved|authori[sz]ed)\b|등재|허용|사용\s*가능/.test(t)) return "listed";
+  return null;
+}
+
+function normalizeKind(kind) {
+  const k = String(kind || "").trim().toLowerCase();
+  return SYNONYM_KINDS.includes(k) ? k : "other";
+}
+
+class ReferenceStore {
+  constructor(dbPath = DEFAULT_DB_PATH) {
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.initSchema();
+  }
+
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS synonym_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        canonical TEXT NOT NULL,
+        canonical_key TEXT NOT NULL UNIQUE,
+        notes TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS synonym_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL REFERENCES synonym_groups(id) ON DELETE CASCADE,
+        term TEXT NOT NULL,
+        term_key TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        UNIQUE (group_id, term_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_synonym_terms_key ON synonym_terms(term_key);
+
+      CREATE TABLE IF NOT EXISTS regulatory_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        name_key TEXT NOT NULL UNIQUE,
+        jurisdiction TEXT NOT NULL DEFAULT '',
+        list_type TEXT NOT NULL,
+        default_status TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        imported_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS regulatory_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list_id INTEGER NOT NULL REFERENCES regulatory_lists(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        cas TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL,
+        status_text TEXT NOT NULL DEFAULT '',
+        limit_text TEXT NOT NULL DEFAULT '',
+        conditions TEXT NOT NULL DEFAULT '',
+        notes TEXT NOT NULL DEFAULT '',
+        reference TEXT NOT NULL DEFAULT ''
+      );
+
+      -- Folded names and CAS numbers an entry is found by.
+      CREATE TABLE IF NOT EXISTS regulatory_keys (
+        entry_id INTEGER NOT NULL REFERENCES regulatory_entries(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        key TEXT NOT NULL,
+        PRIMARY KEY (entry_id, kind, key)
+      );
+
+      -- Korean/English translation pairs. Pairs seeded from the corpus that an admin deletes are
+      -- kept as rejected, so the next seeding run doesn't bring them back.
+      CREATE TABLE IF NOT EXISTS glossary_pairs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        korean TEXT NOT NULL,
+        korean_key TEXT NOT NULL,
+        english TEXT NOT NULL,
+        english_key TEXT NOT NULL,
+        source TEXT NOT NULL,
+        occurrences INTEGER NOT NULL DEFAULT 0,
+        evidence TEXT NOT NULL DEFAULT '',
+        rejected INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (korean_key, english_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_glossary_pairs_korean ON glossary_pairs(korean_key);
+      CREATE INDEX IF NOT EXISTS idx_glossary_pairs_english ON glossary_pairs(english_key);
+      CREATE INDEX IF NOT EXISTS idx_regulatory_entries_list ON regulatory_entries(list_id);
+      CREATE INDEX IF NOT EXISTS idx_regulatory_keys_key ON regulatory_keys(key, kind);
+    `);
+  }
+
+  getSynonymGroup(groupId) {
+    const group = this.db.prepare(`
+      SELECT id, canonical, notes, created_at, updated_at
+      FROM synonym_groups
+      WHERE id = ?
+    `).get(groupId);
+    if (!group) return null;
+    const terms = this.db.prepare(`
+      SELECT term, kind
+      FROM synonym_terms
+      WHERE group_id = ?
+      ORDER BY id ASC
+    `).all(groupId);
+    return { ...group, terms };
+  }
+
+  listSynonymGroups({ contains = "", limit = 200 } = {}) {
+    const key = foldText(contains);
+    const rows = key
+      ? this.db.prepare(`
+        SELECT DISTINCT g.id
+        FROM synonym_groups g
+        JOIN synonym_terms t ON t.group_id = g.id
+        WHERE instr(t.term_key, ?) > 0
+        ORDER BY g.canonical ASC
+        LIMIT ?
+      `).all(key, limit)
+      : this.db.prepare(`
+        SELECT id
+        FROM synonym_groups
+        ORDER BY canonical ASC
+        LIMIT ?
+      `).all(limit);
+    return rows.map((r) => this.getSynonymGroup(r.id)).filter(Boolean);
+  }
+
+  // Create or extend a group. The canonical name (usually the INCI name) identifies the group;
+  // it is always stored as one of the group's terms, as an INCI name unless `terms` lists it
+  // under another kind. With `replace`, existing terms are dropped.
+  upsertSynonymGroup({ canonical, terms = [], notes, replace = false }) {
+    const name = String(canonical || "").trim();
+    const canonicalKey = foldText(name);
+    if (!canonicalKey) throw new Error("canonical name is required");
+    const listed = (Array.isArray(terms) ? terms : [])
+      .find((entry) => entry && foldText(entry.term) === canonicalKey);
+    const canonicalKind = listed && listed.kind ? normalizeKind(listed.kind) : "inci";
+
+    const write = this.db.transaction(() => {
+      const now = nowIso();
+      let group = this.db.prepare("SELECT id FROM synonym_groups WHERE canonical_key = ?").get(canonicalKey);
+      if (!group) {
+        const info = this.db.prepare(`
+          INSERT INTO synonym_groups (canonical, canonical_key, notes, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(name, canonicalKey, String(notes || ""), now, now);
+        group = { id: info.lastInsertRowid };
+      } else {
+        this.db.prepare(`
+          UPDATE synonym_groups
+          SET canonical = ?, notes = COALESCE(?, notes), updated_at = ?
+          WHERE id = ?
+        `).run(name, typeof notes === "string" ? notes : null, now, group.id);
+        if (replace) this.db.prepare("DELETE FROM synonym_terms WHERE group_id = ?").run(group.id);
+      }
+
+      const insertTerm = this.db.prepare(`
+        INSERT INTO synonym_terms (group_id, term, term_key, kind)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(group_id, term_key) DO NOTHING
+      `);
+      insertTerm.run(group.id, name, canonicalKey, canonicalKind);
+      for (const entry of Array.isArray(terms) ? terms : []) {
+        const term = String(entry && entry.term ? entry.term : "").trim();
+        const termKey = foldText(term);
+        if (!termKey) continue;
+        insertTerm.run(group.id, term, termKey, normalizeKind(entry.kind));
+      }
+      return group.id;
+    });
+
+    return this.getSynonymGroup(write());
+  }
+
+  deleteSynonymGroup(groupId) {
+    const id = Number(groupId);
+    if (!Number.isInteger(id) || id <= 0) throw new Error("invalid synonym group id");
+    const info = this.db.prepare("DELETE FROM synonym_groups WHERE id = ?").run(id);
+    if (!info || info.changes < 1) throw new Error("synonym group not found");
+  }
+
+  // Import one group per CSV row. Rows are keyed by their `inci` column (falling back to the
+  // first non-empty recognised column, which keeps its own kind) and merged into existing groups
+  // with the same name.
+  importSynonymsCsv(text) {
+    const records = parseCsvRecords(text);
+    let imported = 0;
+    let skipped = 0;
+    const run = this.db.transaction(() => {
+      for (const record of records) {
+        const terms = [];
+        for (const [column, value] of Object.entries(record)) {
+          const kind = SYNONYM_CSV_COLUMNS[column];
+          if (!kind) continue;
+          for (const term of splitMulti(value)) terms.push({ term, kind });
+        }
+        const inci = terms.find((t) => t.kind === "inci");
+        const canonical = inci ? inci.term : (terms[0] ? terms[0].term : "");
+        if (!canonical) {
+          skipped += 1;
+          continue;
+        }
+        this.upsertSynonymGroup({ canonical, terms, notes: record.notes });
+        imported += 1;
+      }
+    });
+    run();
+    return { imported, skipped };
+  }
+
+  listRegulatoryLists() {
+    return this.db.prepare(`
+      SELECT l.id, l.name, l.jurisdiction, l.list_type AS type, l.default_status AS defaultStatus,
+        l.description, l.imported_at AS importedAt, COUNT(e.id) AS entryCount
+      FROM regulatory_lists l
+      LEFT JOIN regulatory_entries e ON e.list_id = l.id
+      GROUP BY l.id
+      ORDER BY l.jurisdiction ASC, l.name ASC
+    `).all();
+  }
+
+  deleteRegulatoryList(listId) {
+    const id = Number(listId);
+    if (!Number.isInteger(id) || id <= 0) throw new Error("invalid regulatory list id");
+    const info = this.db.prepare("DELETE FROM regulatory_lists WHERE id = ?").run(id);
+    if (!info || info.changes < 1) throw new Error("regulatory list not found");
+  }
+
+  // Load a regulatory list from CSV, replacing the entries of an existing list with the same name
+  // (lists are re-uploaded whole when the regulation is amended). Rows without a name or CAS
+  // number are skipped; rows without a status get the list's `defaultStatus`. Statuses are mapped
+  // to prohibited/restricted/listed (see normalizeRegulatoryStatus); an upload with a status that
+  // can't be mapped is rejected as a whole.
+  importRegulatoryCsv({ name, jurisdiction = "", type = "restricted", defaultStatus, description = "" }, text) {
+    const listName = String(name || "").trim();
+    const nameKey = foldText(listName);
+    if (!nameKey) throw new Error("list name is required");
+    const listType = String(type || "").trim().toLowerCase();
+    if (!REGULATORY_LIST_TYPES.includes(listType)) {
+      throw new Error(`list type must be one of: ${REGULATORY_LIST_TYPES.join(", ")}`);
+    }
+    const rawDefault = String(defaultStatus || "").trim();
+    const fallbackStatus = rawDefault
+      ? normalizeRegulatoryStatus(rawDefault)
+      : (listType === "inventory" ? "listed" : "restricted");
+    if (!fallbackStatus) {
+      throw new Error(`default status "${rawDefault}" is not one of: ${REGULATORY_STATUSES.join(", ")}`);
+    }
+    const records = parseCsvRecords(text);
+    if (!records.length) throw new Error("CSV has no data rows");
+
+    let imported = 0;
+    let skipped = 0;
+    const unmapped = [];
+    const run = this.db.transaction(() => {
+      this.db.prepare("DELETE FROM regulatory_lists WHERE name_key = ?").run(nameKey);
+      const listId = this.db.prepare(`
+        INSERT INTO regulatory_lists (name, name_key, jurisdiction, list_type, default_status, description, imported_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(listName, nameKey, String(jurisdiction || "").trim(), listType, fallbackStatus, String(description || "").trim(), nowIso()).lastInsertRowid;
+      const insertEntry = this.db.prepare(`
+        INSERT INTO regulatory_entries (list_id, name, cas, status, status_text, limit_text, conditions, notes, reference)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertKey = this.db.prepare(`
+        INSERT INTO regulatory_keys (entry_id, kind, key) VALUES (?, ?, ?)
+        ON CONFLICT DO NOTHING
+      `);
+
+      records.forEach((record, i) => {
+        const fields = { name: [], cas: [], status: [], limit: [], conditions: [], notes: [], reference: [] };
+        for (const [column, value] of Object.entries(record)) {
+          const field = REGULATORY_CSV_COLUMNS[column];
+          if (field && value) fields[field].push(value);
+        }
+        const names = fields.name.flatMap(splitMulti);
+        const casNumbers = fields.cas.flatMap(splitMulti).filter((c) => /\d/.test(c));
+        if (!names.length && !casNumbers.length) {
+          skipped += 1;
+          return;
+        }
+        const statusText = fields.status[0] || "";
+        const status = statusText ? normalizeRegulatoryStatus(statusText) : fallbackStatus;
+        if (!status) {
+          unmapped.push(`data row ${i + 1} "${statusText}"`);
+          return;
+        }
+        const entryId = insertEntry.run(
+          listId,
+          names.join("; ") || casNumbers[0],
+          casNumbers.join("; "),
+          status,
+          statusText,
+          fields.limit.join("; "),
+          fields.conditions.join("; "),
+          fields.notes.join("; "),
+          fields.reference.join("; ")
+        ).lastInsertRowid;
+        for (const n of names) if (foldText(n)) insertKey.run(entryId, "name", foldText(n));
+        for (const c of casNumbers) insertKey.run(entryId, "cas", foldText(c));
+        imported += 1;
+      });
+      // Throwing rolls the replacement back, so a malformed upload keeps the previous list.
+      if (unmapped.length) {
+        throw new Error(`Unrecognized status on ${unmapped.length} row(s): ${unmapped.slice(0, 5).join(", ")}`
+          + `${unmapped.length > 5 ? ", ..." : ""}. Use ${REGULATORY_STATUSES.join(", ")} or the list's own wording `
+          + "(e.g. \"Prohibited (Annex II)\", \"Annex III\", \"배합금지\").");
+      }
+      if (!imported) throw new Error("CSV has no rows with a name or CAS number column");
+      return listId;
+    });
+    const listId = run();
+    const list = this.listRegulatoryLists().find((l) => l.id === listId);
+    return { list, imported, skipped };
+  }
+
+  // Regulatory list entries for a material, found by INCI/other name or CAS number. Names are
+  // also expanded through the synonym dictionary, so a Korean or trade name reaches entries listed
+  // under the INCI name or CAS number. `lists` optionally restricts the search to lists by name;
+  // unknown names throw. Returns { status, matches, lists } where status is the most severe of
+  // REGULATORY_CHECK_STATUSES that applies and lists reports, per list checked, whether it matched
+  // and the resulting status for that list.
+  checkRegulatoryStatus({ inci = "", cas = "", name = "", lists = [] } = {}) {
+    const keys = [];
+    const addKey = (kind, value, via) => {
+      const key = foldText(value);
+      if (key && !keys.some((k) => k.kind === kind && k.key === key)) keys.push({ kind, key, term: String(value).trim(), via });
+    };
+    for (const term of [inci, name]) {
+      if (!String(term || "").trim()) continue;
+      addKey("name", term, "name");
+      for (const variant of this.expandTerm(term).slice(1)) {
+        addKey(variant.kind === "cas" ? "cas" : "name", variant.term, "synonym");
+      }
+    }
+    for (const c of splitMulti(cas)) addKey("cas", c, "cas");
+    if (!keys.length) throw new Error("inci, name or cas is required");
+
+    const requested = (Array.isArray(lists) ? lists : [lists]).filter((l) => foldText(l));
+    const available = this.listRegulatoryLists();
+    const unknown = requested.filter((l) => !available.some((a) => foldText(a.name) === foldText(l)));
+    if (unknown.length) {
+      throw new Error(`Unknown regulatory list: ${unknown.join(", ")}. Available lists: ${available.map((l) => l.name).join(", ") || "none"}`);
+    }
+    const wanted = requested.map(foldText);
+    const checked = available.filter((l) => !wanted.length || wanted.includes(foldText(l.name)));
+    const findEntries = this.db.prepare(`
+      SELECT e.id, e.name, e.cas, e.status, e.status_text, e.limit_text, e.conditions, e.notes, e.reference, l.name AS list
+      FROM regulatory_keys k
+      JOIN regulatory_entries e ON e.id = k.entry_id
+      JOIN regulatory_lists l ON l.id = e.list_id
+      WHERE k.kind = ? AND k.key = ?
+    `);
+    const checkedNames = new Set(checked.map((l) => l.name));
+    const byEntry = new Map();
+    for (const k of keys) {
+      for (const row of findEntries.all(k.kind, k.key)) {
+        if (!checkedNames.has(row.list) || byEntry.has(row.id)) continue;
+        const list = checked.find((l) => l.name === row.list);
+        byEntry.set(row.id, {
+          list: list.name,
+          jurisdiction: list.jurisdiction,
+          listType: list.type,
+          name: row.name,
+          cas: row.cas,
+          status: row.status,
+          statusText: row.status_text,
+          limit: row.limit_text,
+          conditions: row.conditions,
+          notes: row.notes,
+          reference: row.reference,
+          matchedOn: k.via === "synonym" ? `synonym ${k.term}` : k.kind,
+        });
+      }
+    }
+
+    const matches = Array.from(byEntry.values());
+    const severity = (status) => REGULATORY_CHECK_STATUSES.indexOf(status);
+    matches.sort((a, b) => (severity(a.status) - severity(b.status)) || a.list.localeCompare(b.list));
+    const perList = checked.map((l) => {
+      const own = matches.find((m) => m.list === l.name);
+      return {
+        name: l.name,
+        jurisdiction: l.jurisdiction,
+        type: l.type,
+        matched: Boolean(own),
+        status: own ? own.status : (l.type === "inventory" ? "not_in_inventory" : "not_listed"),
+      };
+    });
+    const statuses = perList.map((l) => l.status).sort((a, b) => severity(a) - severity(b));
+    return {
+      status: statuses.length ? statuses[0] : "not_listed",
+      matches,
+      lists: perList,
+    };
+  }
+
+  listGlossaryPairs({ contains = "", source = "", limit = 200 } = {}) {
+    const key = foldText(contains);
+    const clauses = ["rejected = 0"];
+    const params = [];
+    if (key) {
+      clauses.push("(instr(korean_key, ?) > 0 OR instr(english_key, ?) > 0)");
+      params.push(key, key);
+    }
+    if (source) {
+      clauses.push("source = ?");
+      params.push(source);
+    }
+    return this.db.prepare(`
+      SELECT id, korean, english, source, occurrences, evidence, updated_at AS updatedAt
+      FROM glossary_pairs
+      WHERE ${clauses.join(" AND ")}
+      ORDER BY source = 'admin' DESC, occurrences DESC, english ASC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  // Add a pair by hand. Admin pairs override a rejected or corpus-seeded copy of the same pair.
+  addGlossaryPair({ korean, english }) {
+    const ko = String(korean || "").trim();
+    const en = String(english || "").trim();
+    if (!foldText(ko) || !foldText(en)) throw new Error("korean and english are required");
+    if (!/[가-힣]/.test(ko)) throw new Error("korean must contain Hangul");
+    const now = nowIso();
+    this.db.prepare(`
+      INSERT INTO glossary_pairs (korean, korean_key, english, english_key, source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'admin', ?, ?)
+      ON CONFLICT(korean_key, english_key) DO UPDATE SET
+        korean = excluded.korean, english = excluded.english, source = 'admin', rejected = 0, updated_at = excluded.updated_at
+    `).run(ko, foldText(ko), en, foldText(en), now, now);
+    return this.db.prepare(`
+      SELECT id, korean, english, source, occurrences, evidence, updated_at AS updatedAt
+      FROM glossary_pairs WHERE korean_key = ? AND english_key = ?
+    `).get(foldText(ko), foldText(en));
+  }
+
+  deleteGlossaryPair(pairId) {
+    const id = Number(pairId);
+    if (!Number.isInteger(id) || id <= 0) throw new Error("invalid glossary pair id");
+    const pair = this.db.prepare("SELECT source FROM glossary_pairs WHERE id = ?").get(id);
+    if (!pair) throw new Error("glossary pair not found");
+    if (pair.source === "corpus") {
+      this.db.prepare("UPDATE glossary_pairs SET rejected = 1, updated_at = ? WHERE id = ?").run(nowIso(), id);
+    } else {
+      this.db.prepare("DELETE FROM glossary_pairs WHERE id = ?").run(id);
+    }
+  }
+
+  // Store pairs found in the corpus ([{ korean, english, occurrences, evidence }]). Counts of
+  // existing corpus pairs are refreshed; admin and rejected pairs are left as they are.
+  seedGlossaryPairs(pairs) {
+    let added = 0;
+    let updated = 0;
+    const run = this.db.transaction(() => {
+      const find = this.db.prepare("SELECT id, source, rejected FROM glossary_pairs WHERE korean_key = ? AND english_key = ?");
+      const insert = this.db.prepare(`
+        INSERT INTO glossary_pairs (korean, korean_key, english, english_key, source, occurrences, evidence, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'corpus', ?, ?, ?, ?)
+      `);
+      const update = this.db.prepare("UPDATE glossary_pairs SET occurrences = ?, evidence = ?, updated_at = ? WHERE id = ?");
+      const now = nowIso();
+      for (const pair of pairs) {
+        const koKey = foldText(pair.korean);
+        const enKey = foldText(pair.english);
+        if (!koKey || !enKey) continue;
+        const existing = find.get(koKey, enKey);
+        if (!existing) {
+          insert.run(pair.korean, koKey, pair.english, enKey, pair.occurrences || 1, pair.evidence || "", now, now);
+          added += 1;
+        } else if (existing.source === "corpus" && !existing.rejected) {
+          update.run(pair.occurrences || 1, pair.evidence || "", now, existing.id);
+          updated += 1;
+        }
+      }
+    });
+    run();
+    return { added, updated };
+  }
+
+  // Translations of `term` in the other language, from the glossary and from synonym groups (whose
+  // Korean names pair with their INCI, trade and other names). Direction follows the term's
+  // script unless given as "ko-en" or "en-ko". Returns { direction, translations, spellings }:
+  // translations are [{ term, source, occurrences? }], and spellings every candidate spelling in
+  // both languages (the term itself first) for searching.
+  translateTerm(term, { direction = "auto" } = {}) {
+    const original = String(term || "").trim();
+    const key = foldText(original);
+    if (!key) throw new Error("term is required");
+    const dir = direction === "ko-en" || direction === "en-ko"
+      ? direction
+      : (/[가-힣]/.test(original) ? "ko-en" : "en-ko");
+    const toKorean = dir === "en-ko";
+
+    const translations = [];
+    const spellings = [original];
+    const addSpelling = (t) => {
+      if (!spellings.some((s) => foldText(s) === foldText(t))) spellings.push(t);
+    };
+    const addTranslation = (entry) => {
+      const existing = translations.find((t) => foldText(t.term) === foldText(entry.term));
+      if (existing) {
+        if (entry.source === "admin" || (existing.source !== "admin" && entry.source === "synonyms")) existing.source = entry.source;
+        existing.occurrences = Math.max(existing.occurrences || 0, entry.occurrences || 0) || undefined;
+        return;
+      }
+      translations.push(entry);
+    };
+
+    const pairs = this.db.prepare(`
+      SELECT korean, english, source, occurrences
+      FROM glossary_pairs
+      WHERE rejected = 0 AND ${toKorean ? "english_key" : "korean_key"} = ?
+      ORDER BY source = 'admin' DESC, occurrences DESC
+    `).all(key);
+    for (const p of pairs) {
+      addTranslation({ term: toKorean ? p.korean : p.english, source: p.source, ...(p.occurrences ? { occurrences: p.occurrences } : {}) });
+    }
+
+    // Synonym variants: same-language ones are alternate spellings, the others translations.
+    for (const variant of this.expandTerm(original).slice(1)) {
+      if (variant.kind === "cas") continue;
+      const isKorean = variant.kind === "korean" || /[가-힣]/.test(variant.term);
+      if (isKorean === toKorean) addTranslation({ term: variant.term, source: "synonyms" });
+      else addSpelling(variant.term);
+    }
+
+    // Synonyms of a translation are more translations (Glycerin -> Glycerol) or more spellings of
+    // the term; glossary pairs of a translation lead back to other spellings of the term.
+    for (const t of translations.slice()) {
+      for (const variant of this.expandTerm(t.term).slice(1)) {
+        if (variant.kind === "cas") continue;
+        const isKorean = variant.kind === "korean" || /[가-힣]/.test(variant.term);
+        if (isKorean === toKorean) addTranslation({ term: variant.term, source: "synonyms" });
+        else addSpelling(variant.term);
+      }
+      for (const p of this.db.prepare(`
+        SELECT korean, english FROM glossary_pairs
+        WHERE rejected = 0 AND ${toKorean ? "korean_key" : "english_key"} = ?
+      `).all(foldText(t.term))) {
+        addSpelling(toKorean ? p.english : p.korean);
+      }
+    }
+    for (const t of translations) addSpelling(t.term);
+    return { direction: dir, translations, spellings };
+  }
+
+  // All known variants of `query` (including the query itself first), each tagged with its kind
+  // and the group it came from. Lookup is on folded keys, so spacing/case/width don't matter.
+  expandTerm(query) {
+    const original = String(query || "").trim();
+    const key = foldText(original);
+    const out = [{ term: original, kind: "query", group: null }];
+    if (!key) return out;
+    const seen = new Set([key]);
+    const groups = this.db.prepare(`
+      SELECT DISTINCT g.id, g.canonical
+      FROM synonym_terms t
+      JOIN synonym_groups g ON g.id = t.group_id
+      WHERE t.term_key = ?
+    `).all(key);
+    for (const group of groups) {
+      const terms = this.db.prepare(`
+        SELECT term, term_key, kind
+        FROM synonym_terms
+        WHERE group_id = ?
+        ORDER BY id ASC
+      `).all(group.id);
+      for (const t of terms) {
+        if (seen.has(t.term_key)) continue;
+        seen.add(t.term_key);
+        out.push({ term: t.term, kind: t.kind, group: group.canonical });
+      }
+    }
+    return out;
+  }
+}
+
+module.exports = {
+  ReferenceStore,
+  SYNONYM_KINDS,
+  REGULATORY_LIST_TYPES,
+};
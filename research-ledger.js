@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+"use strict";
+
+// Per-turn research ledger: every search the research tools ran (query, mode, filters, hit count,
+// files touched) and every file range they read. The turn log keeps the entries; this module
+// formats them for the logs and for the "Searches attempted" line appended to the final answer.
+
+const MAX_LEDGER_FILES = 50;
+const MAX_SUMMARY_SEARCHES = 25;
+
+// Ledger entry for one search: { tool, query, mode, options?, filter?, hits, fileCount, files,
+// error? }. `files` are "corpus:relative/path" keys, in result order, capped at MAX_LEDGER_FILES.
+function searchEntry({ tool, query, mode, options, filter, hits, totalHits, totalFiles, error }) {
+  const files = [];
+  for (const hit of hits || []) {
+    const key = `${hit.corpus}:${hit.file}`;
+    if (!files.includes(key)) files.push(key);
+  }
+  const setOptions = Object.fromEntries(
+    Object.entries(options || {}).filter(([, value]) => value !== undefined && value !== null && value !== false && value !== "")
+  );
+  return {
+    tool,
+    query: String(query || ""),
+    mode: mode || "literal",
+    ...(Object.keys(setOptions).length ? { options: setOptions } : {}),
+    ...(filter ? { filter } : {}),
+    hits: typeof totalHits === "number" ? totalHits : (hits || []).length,
+    fileCount: typeof totalFiles === "number" ? totalFiles : files.length,
+    files: files.slice(0, MAX_LEDGER_FILES),
+    ...(error ? { error } : {}),
+  };
+}
+
+function describeFilter(filter) {
+  return Object.entries(filter || {})
+    .map(([key, value]) => `${key} ${Array.isArray(value) ? value.join(",") : value}`)
+    .join("; ");
+}
+
+// "`glycerin` (search_ingredient_text, fuzzy, language ko, filter folders Suppliers/): 3 hits in 2 files"
+function describeSearch(entry) {
+  const bits = [entry.tool, entry.mode];
+  for (const [key, value] of Object.entries(entry.options || {})) bits.push(value === true ? key : `${key} ${value}`);
+  if (entry.filter) bits.push(`filter ${describeFilter(entry.filter)}`);
+  const found = entry.error
+    ? `error: ${entry.error}`
+    : `${entry.hits} hit${entry.hits === 1 ? "" : "s"}${entry.fileCount ? ` in ${entry.fileCount} file${entry.fileCount === 1 ? "" : "s"}` : ""}`;
+  return `\`${entry.query}\` (${bits.filter(Boolean).join(", ")}): ${found}`;
+}
+
+// "[corpus] `relative/path.txt:10-80` (read_ingredient_file)"
+function describeRead(entry) {
+  const range = entry.endLine && entry.endLine !== entry.startLine ? `${entry.startLine}-${entry.endLine}` : `${entry.startLine}`;
+  const page = entry.page ? ` p.${entry.page}${entry.endPage && entry.endPage !== entry.page ? `-${entry.endPage}` : ""}` : "";
+  return `[${entry.corpus}] \`${entry.file}:${range}\`${page} (${entry.tool})`;
+}
+
+// { searches, reads, filesTouched, filesRead } for turn results; the file lists are unique
+// "corpus:relative/path" keys.
+function researchTrail(ledger) {
+  const searches = ledger.searches || [];
+  const reads = ledger.reads || [];
+  const filesRead = Array.from(new Set(reads.map((r) => `${r.corpus}:${r.file}`)));
+  const filesTouched = Array.from(new Set([...searches.flatMap((s) => s.files || []), ...filesRead]));
+  return { searches, reads, filesTouched, filesRead };
+}
+
+// Markdown paragraph listing the searches of a turn, zero-hit ones included, for the end of the
+// final answer. Empty when nothing was searched.
+function summarizeSearches(ledger) {
+  const searches = ledger.searches || [];
+  if (!searches.length) return "";
+  const shown = searches.slice(0, MAX_SUMMARY_SEARCHES).map((s) => {
+    const found = s.error ? "error" : `${s.hits} hit${s.hits === 1 ? "" : "s"}`;
+    return `\`${s.query}\` (${s.mode}${s.options && s.options.language ? `, ${s.options.language}` : ""}${s.filter ? ", filtered" : ""}, ${found})`;
+  });
+  const more = searches.length > shown.length ? `; and ${searches.length - shown.length} more` : "";
+  const reads = (ledger.reads || []).length;
+  return `**Searches attempted (${searches.length}):** ${shown.join("; ")}${more}.${reads ? ` ${reads} file range(s) read.` : ""}`;
+}
+
+module.exports = {
+  searchEntry,
+  describeSearch,
+  describeRead,
+  researchTrail,
+  summarizeSearches,
+};
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+"use strict";
+
+// Ranking for search_ingredient_text. Raw hits (one per matching line) are deduplicated,
+// grouped by file and scored BM25-style: each file is a "document" whose term frequencies come
+// from its matching lines. Hits also earn a phrase bonus, a proximity bonus when all query terms
+// sit close together, and boosts for heading-like lines and INCI/CAS table rows.
+
+const crypto = require("crypto");
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const HEADING_BOOST = 1.5;
+const INCI_TABLE_BOOST = 1.3;
+const PHRASE_BONUS = 1;
+// Hits found without a literal term match (fuzzy, normalized, cross-line) count as one occurrence
+// of this pseudo-term.
+const MATCH_TERM = "\u0000match";
+
+const CAS_PATTERN = /\b\d{2,7}-\d{2}-\d\b/;
+
+function fold(text) {
+  return String(text || "").normalize("NFKC").toLowerCase();
+}
+
+function queryTerms(query) {
+  return Array.from(new Set(fold(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean)));
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i >= 0; i = haystack.indexOf(needle, i + needle.length)) count += 1;
+  return count;
+}
+
+// 1 when all terms appear within a few characters of each other, falling toward 0 as the
+// smallest window containing every term widens. 0 for single-term queries.
+function proximityScore(line, terms) {
+  if (terms.length < 2) return 0;
+  const positions = [];
+  terms.forEach((term, t) => {
+    for (let i = line.indexOf(term); i >= 0; i = line.indexOf(term, i + 1)) positions.push({ pos: i, end: i + term.length, t });
+  });
+  positions.sort((a, b) => a.pos - b.pos);
+  const counts = new Array(terms.length).fill(0);
+  let covered = 0;
+  let best = Infinity;
+  let left = 0;
+  for (let right = 0; right < positions.length; right += 1) {
+    if (counts[positions[right].t]++ === 0) covered += 1;
+    while (covered === terms.length) {
+      const span = positions[right].end - positions[left].pos;
+      if (span < best) best = span;
+      if (--counts[positions[left].t] === 0) covered -= 1;
+      left += 1;
+    }
+  }
+  if (!Number.isFinite(best)) return 0;
+  const slack = Math.max(0, best - terms.reduce((sum, t) => sum + t.length + 1, -1));
+  return 1 / (1 + slack / 20);
+}
+
+function isHeadingLine(text) {
+  const t = String(text || "").trim();
+  if (!t || t.length > 80) return false;
+  if (/^#{1,6}\s/.test(t)) return true;
+  if (/^\d+(\.\d+)*\.?\s+\S/.test(t) && t.length <= 60) return true;
+  if (t.length <= 60 && /\p{Lu}/u.test(t) && t === t.toUpperCase()) return true;
+  return /[:：]$/.test(t);
+}
+
+function isInciTableLine(text) {
+  const t = String(text || "");
+  if (/\bINCI\b/i.test(t)) return true;
+  return CAS_PATTERN.test(t) && /\t| {2,}/.test(t.trim());
+}
+
+function lineBoost(text) {
+  let boost = 1;
+  if (isHeadingLine(text)) boost *= HEADING_BOOST;
+  if (isInciTableLine(text)) boost *= INCI_TABLE_BOOST;
+  return boost;
+}
+
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// Rank `hits` ({ corpus?, file, line, endLine?, text, joinedText?, variant? }) for `query`.
+// Returns file groups, best first: [{ corpus, file, score, matchCount, duplicates, hits }], with
+// each group's hits ordered by score and capped at `hitsPerFile`.
+function rankSearchHits(hits, { query, regex = false, hitsPerFile = 3 } = {}) {
+  const baseTerms = regex ? [] : queryTerms(query);
+  const phraseOf = (q) => fold(q).replace(/\s+/g, " ").trim();
+  const groups = new Map();
+  const seenLines = new Set();
+
+  for (const hit of hits) {
+    const lineKey = `${hit.corpus || ""}\u0000${hit.file}\u0000${hit.line}`;
+    if (seenLines.has(lineKey)) continue;
+    seenLines.add(lineKey);
+    const groupKey = `${hit.corpus || ""}\u0000${hit.file}`;
+    let group = groups.get(groupKey);
+    if (!group) {
+      group = { corpus: hit.corpus, file: hit.file, order: groups.size, hits: [], texts: new Set(), duplicates: 0 };
+      groups.set(groupKey, group);
+    }
+    const text = String(hit.joinedText || hit.text || "");
+    const normalized = fold(text).replace(/\s+/g, " ").trim();
+    // The same sentence repeated in a document (headers, footers, boilerplate) counts once.
+    if (normalized && group.texts.has(normalized)) {
+      group.duplicates += 1;
+      continue;
+    }
+    group.texts.add(normalized);
+
+    const terms = hit.variant && !regex ? queryTerms(hit.variant) : baseTerms;
+    const tf = new Map();
+    for (const term of terms) {
+      const n = countOccurrences(normalized, term);
+      if (n) tf.set(term, n);
+    }
+    if (!tf.size) tf.set(MATCH_TERM, 1);
+    const phrase = regex ? "" : phraseOf(hit.variant || query);
+    group.hits.push({
+      hit,
+      tf,
+      boost: lineBoost(hit.text),
+      phrase: phrase && normalized.includes(phrase) ? PHRASE_BONUS : 0,
+      proximity: proximityScore(normalized, terms),
+    });
+  }
+
+  const list = Array.from(groups.values()).filter((g) => g.hits.length);
+  const docFreq = new Map();
+  for (const g of list) {
+    const termsInFile = new Set();
+    for (const h of g.hits) for (const term of h.tf.keys()) termsInFile.add(term);
+    for (const term of termsInFile) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+  const fileCount = list.length;
+  const idf = (term) => {
+    const df = docFreq.get(term) || 0;
+    return Math.log(1 + (fileCount - df + 0.5) / (df + 0.5));
+  };
+  const avgHits = list.reduce((sum, g) => sum + g.hits.length, 0) / (fileCount || 1);
+
+  for (const g of list) {
+    const fileTf = new Map();
+    for (const h of g.hits) {
+      let score = 0;
+      for (const [term, n] of h.tf) {
+        score += idf(term) * n;
+        fileTf.set(term, (fileTf.get(term) || 0) + n);
+      }
+      h.score = (score + h.phrase + h.proximity) * h.boost;
+    }
+    let bm25 = 0;
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (g.hits.length / (avgHits || 1)));
+    for (const [term, f] of fileTf) bm25 += idf(term) * (f * (BM25_K1 + 1)) / (f + norm);
+    const best = g.hits.reduce((a, b) => (b.score > a.score ? b : a));
+    g.score = bm25 * best.boost + best.phrase * 0.5 + best.proximity;
+    g.hits.sort((a, b) => (b.score - a.score) || (a.hit.line - b.hit.line));
+  }
+
+  list.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+  return list.map((g) => ({
+    ...(g.corpus ? { corpus: g.corpus } : {}),
+    file: g.file,
+    score: round(g.score),
+    matchCount: g.hits.length,
+    ...(g.duplicates ? { duplicates: g.duplicates } : {}),
+    hits: g.hits.slice(0, hitsPerFile).map((h) => {
+      const { corpus, file, ...rest } = h.hit;
+      return { ...rest, score: round(h.score) };
+    }),
+  }));
+}
+
+// Cursors are opaque to the agent: the offset into the ranked file list plus a signature of the
+// search parameters, so a cursor can't be replayed against a different query.
+function searchSignature(params) {
+  return crypto.createHash("sha1").update(JSON.stringify(params)).digest("hex").slice(0, 12);
+}
+
+function encodeCursor(signature, offset) {
+  return Buffer.from(JSON.stringify({ s: signature, o: offset })).toString("base64url");
+}
+
+// Returns the offset, or throws when the cursor is malformed or belongs to another search.
+function decodeCursor(cursor, signature) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+  if (!parsed || parsed.s !== signature || !Number.isInteger(parsed.o) || parsed.o < 0) {
+    throw new Error("Cursor does not belong to this search; repeat the original parameters with it");
+  }
+  return parsed.o;
+}
+
+module.exports = {
+  rankSearchHits,
+  searchSignature,
+  encodeCursor,
+  decodeCursor,
+  isHeadingLine,
+  isInciTableLine,
+};
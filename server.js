@@ -10,12 +10,71 @@ const OpenAI = require("openai");
 const { z } = require("zod");
 const {
   Agent,
+  handoff,
   run,
   tool,
+  MaxTurnsExceededError,
   OpenAIConversationsSession,
   startOpenAIConversationsSession,
 } = require("@openai/agents");
 const { AuthStore, SESSION_TTL_MS } = require("./auth-store");
+const { CorpusIndex } = require("./corpus-index");
+const { ReferenceStore } = require("./reference-store");
+const { EvidenceStore } = require("./evidence-store");
+const { foldText, findFuzzyLineMatches, findCrossLineMatches } = require("./text-match");
+const {
+  LANGUAGE_CODES,
+  detectLanguage,
+  detectLanguageSections,
+  matchesLanguage,
+} = require("./language-detect");
+const {
+  getExtractor,
+  isCorpusFile,
+  sourceFormat,
+  extractCorpusText,
+  readCorpusText,
+  splitCorpusLines,
+} = require("./extractors");
+const { pageForLine, firstLineOfPage } = require("./page-map");
+const { PROPERTY_DEFS, PROPERTY_NAMES, convertToCanonical } = require("./property-extract");
+const { CorpusWatcher } = require("./corpus-watcher");
+const { VectorStore, chunkLines } = require("./vector-store");
+const { createEmbeddingProvider } = require("./embeddings");
+const { rankSearchHits, searchSignature, encodeCursor, decodeCursor } = require("./search-rank");
+const { detectTables, tableRecords } = require("./table-detect");
+const { toCsv } = require("./csv");
+const { minhashSignature, clusterNearDuplicates, collapseDuplicates } = require("./near-duplicates");
+const { extractTermPairs } = require("./glossary-extract");
+const {
+  parseFileFilter,
+  compileFileFilter,
+  parseExclusionRules,
+  compileExclusionRules,
+} = require("./file-filter");
+const {
+  DEFAULT_SNIPPET_CHARS,
+  contentHash,
+  evidenceId,
+  parseEvidenceId,
+  findMatchSpans,
+  buildSnippet,
+} = require("./evidence");
+const { findCitations, annotateCitations } = require("./citation-check");
+const {
+  STRUCTURED_ANSWER_OUTPUT,
+  STRUCTURED_ANSWER_INSTRUCTIONS,
+  parseStructuredAnswer,
+  renderStructuredAnswer,
+  createAnswerStream,
+} = require("./structured-answer");
+const {
+  searchEntry,
+  describeSearch,
+  describeRead,
+  researchTrail,
+  summarizeSearches,
+} = require("./research-ledger");
 
 // Load local `.env` if present so the server can be started from tmux/systemd/etc.
 // We only set keys that are not already present in `process.env`.
@@ -51,11 +110,87 @@ const DEFAULT_MODEL_FALLBACK = process.env.DEFAULT_MODEL || "gpt-5-mini";
 const REASONING_SUMMARY = String(process.env.REASONING_SUMMARY || "auto").trim().toLowerCase();
 const REASONING_EFFORT_DEFAULT = String(process.env.REASONING_EFFORT || "low").trim().toLowerCase();
 const TURN_TIMEOUT_MS = Number(process.env.TURN_TIMEOUT_MS || 10 * 60 * 1000);
+// A turn that reaches MAX_TURNS or TURN_TIMEOUT_MS ends with one more model call, without tools,
+// that writes up the partial findings; the turn is aborted if that takes longer than this.
+const TURN_FINALIZER_GRACE_MS = Number(process.env.TURN_FINALIZER_GRACE_MS || 2 * 60 * 1000);
+const FINALIZER_AGENT_NAME = "IngredientResearchFinalizer";
 const MAX_TURNS_DEFAULT = Number(process.env.MAX_TURNS || 25);
 const CONTEXT_COMPACTION_ENABLED_DEFAULT = String(
   process.env.CONTEXT_COMPACTION_ENABLED == null ? "1" : process.env.CONTEXT_COMPACTION_ENABLED
 ).trim().toLowerCase();
 const CONTEXT_COMPACTION_THRESHOLD_DEFAULT = Number(process.env.CONTEXT_COMPACTION_THRESHOLD || 160000);
+// `single` runs one research agent per turn. `multi` runs a planner that fans sub-questions out to
+// searcher agents in parallel and hands their findings off to a verifier that writes the answer.
+const RESEARCH_PIPELINES = ["single", "multi"];
+const RESEARCH_PIPELINE_DEFAULT = String(process.env.RESEARCH_PIPELINE || "single").trim().toLowerCase();
+const PIPELINE_SEARCHERS_DEFAULT = Number(process.env.PIPELINE_SEARCHERS || 4);
+// Final answers as JSON ({ answer, materials, gaps, searchesTried }; structured-answer.js) as well
+// as markdown. Admin-editable; `structuredOutput` on /api/turn* overrides it per turn.
+const STRUCTURED_OUTPUT_DEFAULT = ["1", "true", "on", "yes"].includes(String(process.env.STRUCTURED_OUTPUT || "").trim().toLowerCase());
+const PIPELINE_AGENT_NAMES = {
+  planner: "IngredientResearchPlanner",
+  searcher: "IngredientResearchSearcher",
+  verifier: "IngredientResearchVerifier",
+};
+// Local SQLite FTS index over the corpus. Set `CORPUS_INDEX_ENABLED=0` to always search with ripgrep.
+const CORPUS_INDEX_ENABLED = !["0", "false", "off", "no"].includes(
+  String(process.env.CORPUS_INDEX_ENABLED == null ? "1" : process.env.CORPUS_INDEX_ENABLED).trim().toLowerCase()
+);
+// Minimum interval between incremental (mtime-based) index refreshes triggered by searches.
+const CORPUS_INDEX_REFRESH_MS = Number(process.env.CORPUS_INDEX_REFRESH_MS || 60 * 1000);
+const CORPUS_INDEX_MAX_FILES = 50000;
+// Corpus roots are watched so new or edited documents are indexed without waiting for a search.
+// `auto` uses fs.watch, except for /mnt/* drives (WSL, shares) where inotify doesn't fire; `poll`
+// forces polling everywhere and `off` disables watching.
+const CORPUS_WATCH_MODE = String(process.env.CORPUS_WATCH_MODE || "auto").trim().toLowerCase();
+const CORPUS_WATCH_POLL_MS = Number(process.env.CORPUS_WATCH_POLL_MS || 30 * 1000);
+const CORPUS_WATCH_RESCAN_MS = Number(process.env.CORPUS_WATCH_RESCAN_MS || 10 * 60 * 1000);
+const CORPUS_CHANGE_LOG_MAX = 1000;
+// Semantic search embeds corpus chunks into `.vector-store.db` on first use (and after changes).
+// EMBEDDING_PROVIDER selects a registered provider from embeddings.js: `openai` or the offline
+// `hash` stand-in.
+const SEMANTIC_SEARCH_ENABLED = !["0", "false", "off", "no"].includes(
+  String(process.env.SEMANTIC_SEARCH_ENABLED == null ? "1" : process.env.SEMANTIC_SEARCH_ENABLED).trim().toLowerCase()
+);
+const EMBEDDING_PROVIDER = String(process.env.EMBEDDING_PROVIDER || "openai").trim().toLowerCase();
+const EMBEDDING_MODEL = String(process.env.EMBEDDING_MODEL || "text-embedding-3-small").trim();
+// How long a semantic search waits for a running embedding sync before ranking what is embedded
+// so far. The sync keeps going in the background.
+const EMBEDDING_SYNC_WAIT_MS = Number(process.env.EMBEDDING_SYNC_WAIT_MS || 10 * 1000);
+// Ranked keyword search scores up to this many raw hits per call before grouping and paging.
+const SEARCH_RANK_CANDIDATES = 1000;
+// Reciprocal rank fusion constant for merging keyword and vector rankings.
+const HYBRID_RRF_K = 60;
+// Files whose estimated shingle (Jaccard) similarity reaches this are treated as one document in
+// the duplicate report and when search tools collapse duplicates.
+const NEAR_DUPLICATE_THRESHOLD = Math.min(1, Math.max(0.5, Number(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.85));
+// Characters of context either side of the first match in search hit snippets (0 = no snippets).
+const SNIPPET_CONTEXT_CHARS = clampNumber(process.env.SNIPPET_CONTEXT_CHARS || undefined, 0, 400, DEFAULT_SNIPPET_CHARS);
+// File references in final answers are checked against the corpus. `annotate` marks each one as
+// verified/unverified in the answer, `report` only records the check, `off` skips it.
+const CITATION_CHECK_MODE = ["annotate", "report", "off"].includes(String(process.env.CITATION_CHECK || "").trim().toLowerCase())
+  ? String(process.env.CITATION_CHECK).trim().toLowerCase()
+  : "annotate";
+// Lines after a cited range that a quote may still fall on, for references that stop short.
+const CITATION_QUOTE_SLACK_LINES = 2;
+// PDF/DOCX/HTML/CSV sources are converted to text once and cached here (keyed by path, mtime, size).
+const EXTRACT_CACHE_DIR = process.env.EXTRACT_CACHE_DIR
+  ? path.resolve(process.env.EXTRACT_CACHE_DIR)
+  : path.join(__dirname, ".extract-cache");
+// PDFs are converted with poppler's `pdftotext`, which keeps page breaks as form feeds. A run
+// that takes longer than PDFTOTEXT_TIMEOUT_MS is killed and the PDF reported as unreadable.
+const PDFTOTEXT_BIN = process.env.PDFTOTEXT_BIN || "pdftotext";
+const PDFTOTEXT_TIMEOUT_MS = Number(process.env.PDFTOTEXT_TIMEOUT_MS || 60 * 1000);
+const CORPUS_TEXT_OPTIONS = {
+  cacheDir: EXTRACT_CACHE_DIR,
+  pdftotextBin: PDFTOTEXT_BIN,
+  pdftotextTimeoutMs: PDFTOTEXT_TIMEOUT_MS,
+};
+// ripgrep runs are killed after this long (patterns come from the model); the search then falls
+// back to the scans that follow it.
+const RG_TIMEOUT_MS = 20 * 1000;
+// Extracted text files passed to one rg run, to stay well under the argument length limit.
+const RG_PATHS_PER_RUN = 500;
 const PUBLIC_DIR = path.join(__dirname, "public");
 const CONVERSATIONS_DIR = path.join(__dirname, "conversations");
 const TURN_LOGS_DIR = path.join(__dirname, "logs", "turns");
@@ -144,7 +279,7 @@ function getBuildInfo() {
 
 const DEFAULT_THREAD_PREAMBLE_FALLBACK = `This is a deep research job.
 
-The folder ../ingredients contains TXT exports of many documents related to cosmetics raw materials.
+The folder ../ingredients contains TXT exports and original PDF/DOCX/HTML/CSV documents related to cosmetics raw materials.
 
 I need you to search for all raw materials that answer the user query.
 
@@ -157,6 +292,9 @@ Do not rely on extraction only. Use your own reasoning to review findings and im
 Below is the user query.`;
 
 const authStore = new AuthStore();
+const referenceStore = new ReferenceStore();
+// Match offsets of the evidence IDs handed out by the search tools, for highlighting on resolve.
+const evidenceStore = new EvidenceStore();
 
 function parseCookies(req) {
   const out = {};
@@ -276,6 +414,63 @@ function resolveIngredientsDir() {
   return path.resolve(__dirname, wslPath);
 }
 
+const DEFAULT_CORPUS_NAME = "default";
+
+// Normalize the admin `corpora` setting to [{ name, root, description }]. Names are lowercased
+// slugs and must be unique; roots accept Windows paths like INGREDIENTS_DIR does.
+function normalizeCorpusList(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  for (const entry of raw) {
+    if (!entry || typeof entry !== "object") continue;
+    const name = String(entry.name || "").trim().toLowerCase();
+    const rawRoot = windowsPathToWsl(String(entry.root || ""));
+    if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(name) || !rawRoot) continue;
+    if (out.some((c) => c.name === name)) continue;
+    out.push({
+      name,
+      root: path.isAbsolute(rawRoot) ? rawRoot : path.resolve(__dirname, rawRoot),
+      description: typeof entry.description === "string" ? entry.description.trim() : "",
+    });
+  }
+  return out;
+}
+
+// Threads keep the corpus names they picked, so a change to the configured corpora reaches
+// existing threads only partly. Returns { added, removed, note } for the admin, or null when the
+// corpus names did not change.
+function describeCorporaChange(before, after) {
+  const added = after.filter((name) => !before.includes(name));
+  const removed = before.filter((name) => !after.includes(name));
+  if (!added.length && !removed.length) return null;
+  return {
+    added,
+    removed,
+    note: "Threads without a corpus selection search every corpus, including added ones, from their next turn. "
+      + "Threads that picked corpora keep their selection: removed corpora drop out of it (a thread left with none "
+      + "searches every corpus) and added corpora are only offered to new threads.",
+  };
+}
+
+// Round-robin merge of several hit lists so one prolific source can't crowd out the others.
+// `runs` is [{ hits, annotate? }]; duplicates (by `keyOf`) keep their first occurrence.
+function interleaveHits(runs, maxMatches, keyOf) {
+  const seen = new Set();
+  const out = [];
+  for (let i = 0; out.length < maxMatches && runs.some((run) => i < run.hits.length); i += 1) {
+    for (const run of runs) {
+      if (!run.hits[i]) continue;
+      const hit = run.annotate ? run.annotate(run.hits[i]) : run.hits[i];
+      const key = keyOf(hit);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(hit);
+      if (out.length >= maxMatches) break;
+    }
+  }
+  return out;
+}
+
 function clampNumber(value, min, max, fallback) {
   const n = Number(value);
   if (!Number.isFinite(n)) return fallback;
@@ -314,14 +509,18 @@ function listTextFiles(rootDir, limit = 2000) {
         stack.push(full);
         continue;
       }
-      const lower = entry.name.toLowerCase();
-      if (lower.endsWith(".txt")) out.push(full);
+      if (isCorpusFile(entry.name)) out.push(full);
     }
   }
 
   return out;
 }
 
+// Lines of a corpus file (text extracted for non-TXT sources) and its page map, if any.
+async function readCorpusLines(fullPath) {
+  return splitCorpusLines(await readCorpusText(fullPath, CORPUS_TEXT_OPTIONS));
+}
+
 function parseRgMatches(stdout, maxMatches) {
   const lines = String(stdout || "").split(/\r?\n/).filter(Boolean);
   const hits = [];
@@ -385,6 +584,22 @@ function estimateCostUsd({ model, inputTokens, cachedTokens, outputTokens }) {
   };
 }
 
+// Turn-log usage fields from an Agents SDK run's aggregated Usage (`result.state.usage`), whose
+// token details are per-request { cached_tokens } / { reasoning_tokens } records.
+function runUsageTotals(usage) {
+  const sumDetail = (details, key) => (Array.isArray(details) ? details : [details])
+    .reduce((sum, d) => sum + Number((d && d[key]) || 0), 0);
+  const inputTokens = Number(usage.inputTokens || 0);
+  const outputTokens = Number(usage.outputTokens || 0);
+  return {
+    inputTokens,
+    cachedTokens: sumDetail(usage.inputTokensDetails, "cached_tokens"),
+    outputTokens,
+    reasoningTokens: sumDetail(usage.outputTokensDetails, "reasoning_tokens"),
+    totalTokens: Number(usage.totalTokens || (inputTokens + outputTokens)),
+  };
+}
+
 function toIsoNow() {
   return new Date().toISOString();
 }
@@ -409,6 +624,9 @@ function createTurnLogFiles({
   const chatMdPath = path.join(CHAT_LOGS_DIR, `${safeThreadId}.md`);
   const chatJsonPath = path.join(CHAT_LOGS_DIR, `${safeThreadId}.json`);
 
+  // Evidence ID -> query key (evidence-store.js) of the turn's latest search that returned it.
+  // Used to cite the answer's evidence IDs with the search behind them; not logged.
+  const evidenceQueries = new Map();
   const data = {
     queryId: turnId,
     runId: "",
@@ -441,10 +659,17 @@ function createTurnLogFiles({
     compactionThreshold: Number.isFinite(Number(compactionThreshold)) ? Number(compactionThreshold) : 0,
     stoppedByMaxTurns: false,
     finalizerUsed: false,
+    stopReason: "",
+    continuedFrom: "",
+    researchPipeline: "single",
     estimatedCostUsd: 0,
     pricingModelKey: "",
     pricingSource: "",
     cliCommands: [],
+    pipelineStages: [],
+    researchLedger: { searches: [], reads: [] },
+    citationCheck: null,
+    structuredAnswer: null,
     reasoningTrace: [],
   };
 
@@ -484,6 +709,9 @@ function createTurnLogFiles({
     }
     lines.push(`- Stopped By Max Turns: ${data.stoppedByMaxTurns}`);
     lines.push(`- Finalizer Used: ${data.finalizerUsed}`);
+    if (data.stopReason) lines.push(`- Stop Reason: ${data.stopReason}`);
+    if (data.continuedFrom) lines.push(`- Continued From: ${data.continuedFrom}`);
+    lines.push(`- Research Pipeline: ${data.researchPipeline}`);
     lines.push(`- Estimated Cost USD: ${data.estimatedCostUsd}`);
     if (data.pricingModelKey) lines.push(`- Pricing Model Key: ${data.pricingModelKey}`);
     if (data.pricingSource) lines.push(`- Pricing Source: ${data.pricingSource}`);
@@ -514,6 +742,16 @@ function createTurnLogFiles({
         if (cmd.stderr) lines.push(`  - stderr: ${cmd.stderr}`);
       }
     }
+    if (data.pipelineStages.length) {
+      lines.push("");
+      lines.push(`## Pipeline Stages`);
+      lines.push("");
+      for (const st of data.pipelineStages) lines.push(`- ${formatPipelineStage(st)}`);
+    }
+    lines.push("");
+    lines.push(`## Research Trail`);
+    lines.push("");
+    lines.push(...formatResearchTrail(data.researchLedger));
     lines.push("");
     lines.push(`## Reasoning Trace (Summary Events)`);
     lines.push("");
@@ -527,6 +765,18 @@ function createTurnLogFiles({
         else lines.push(`- ${bits}`);
       }
     }
+    if (data.structuredAnswer) {
+      lines.push("");
+      lines.push(`## Structured Answer`);
+      lines.push("");
+      lines.push(...formatStructuredAnswer(data.structuredAnswer));
+    }
+    if (data.citationCheck) {
+      lines.push("");
+      lines.push(`## Citation Check`);
+      lines.push("");
+      lines.push(...formatCitationCheck(data.citationCheck));
+    }
     lines.push("");
     lines.push(`## Final Answer`);
     lines.push("");
@@ -556,6 +806,12 @@ function createTurnLogFiles({
       data.cliCommands.push({ ts: toIsoNow(), ...entry });
       save();
     },
+    noteEvidence(evidenceId, queryKey) {
+      evidenceQueries.set(evidenceId, queryKey);
+    },
+    evidenceQueryKey(evidenceId) {
+      return evidenceQueries.get(evidenceId) || "";
+    },
     recordReasoning(entry) {
       if (!entry || typeof entry !== "object") return;
       data.reasoningTrace.push({ ts: toIsoNow(), ...entry });
@@ -568,15 +824,46 @@ function createTurnLogFiles({
       if (typeof entry.reasoningEffort === "string" && entry.reasoningEffort) data.reasoningEffort = entry.reasoningEffort;
       if (Number.isFinite(Number(entry.maxOutputTokens))) data.maxOutputTokens = Number(entry.maxOutputTokens);
       if (typeof entry.systemPrompt === "string") data.systemPrompt = entry.systemPrompt;
+      if (typeof entry.researchPipeline === "string" && entry.researchPipeline) data.researchPipeline = entry.researchPipeline;
+      if (typeof entry.continuedFrom === "string" && entry.continuedFrom) data.continuedFrom = entry.continuedFrom;
+      save();
+    },
+    recordStage(entry) {
+      if (!entry || typeof entry !== "object") return;
+      data.pipelineStages.push({ ts: toIsoNow(), ...entry });
+      save();
+    },
+    recordSearch(entry) {
+      if (!entry || typeof entry !== "object") return;
+      data.researchLedger.searches.push({ ts: toIsoNow(), ...entry });
+      save();
+    },
+    recordRead(entry) {
+      if (!entry || typeof entry !== "object") return;
+      data.researchLedger.reads.push({ ts: toIsoNow(), ...entry });
+      save();
+    },
+    getResearchTrail() {
+      return researchTrail(data.researchLedger);
+    },
+    recordStructuredAnswer(structured) {
+      if (!structured || typeof structured !== "object") return;
+      data.structuredAnswer = structured;
       save();
     },
+    recordCitationCheck(report) {
+      if (!report || typeof report !== "object") return;
+      data.citationCheck = report;
+      save();
+    },
+    // Adds one model response's (or one nested run's) usage to the turn's totals.
     recordUsage(entry) {
       if (!entry || typeof entry !== "object") return;
-      if (Number.isFinite(Number(entry.inputTokens))) data.inputTokens = Number(entry.inputTokens);
-      if (Number.isFinite(Number(entry.cachedTokens))) data.cachedTokens = Number(entry.cachedTokens);
-      if (Number.isFinite(Number(entry.outputTokens))) data.outputTokens = Number(entry.outputTokens);
-      if (Number.isFinite(Number(entry.reasoningTokens))) data.reasoningTokens = Number(entry.reasoningTokens);
-      if (Number.isFinite(Number(entry.totalTokens))) data.totalTokens = Number(entry.totalTokens);
+      if (Number.isFinite(Number(entry.inputTokens))) data.inputTokens += Number(entry.inputTokens);
+      if (Number.isFinite(Number(entry.cachedTokens))) data.cachedTokens += Number(entry.cachedTokens);
+      if (Number.isFinite(Number(entry.outputTokens))) data.outputTokens += Number(entry.outputTokens);
+      if (Number.isFinite(Number(entry.reasoningTokens))) data.reasoningTokens += Number(entry.reasoningTokens);
+      if (Number.isFinite(Number(entry.totalTokens))) data.totalTokens += Number(entry.totalTokens);
       save();
     },
     recordToolCall(entry) {
@@ -587,6 +874,14 @@ function createTurnLogFiles({
       }
       save();
     },
+    // The run stopped at its turn limit ("max_turns") or time limit ("timeout") and the finalizer
+    // wrote the answer from the partial findings.
+    recordFinalizer({ reason }) {
+      data.finalizerUsed = true;
+      data.stopReason = reason || "max_turns";
+      if (data.stopReason === "max_turns") data.stoppedByMaxTurns = true;
+      save();
+    },
     markCompactionTriggered() {
       data.compactionTriggered = true;
       save();
@@ -597,7 +892,7 @@ function createTurnLogFiles({
       if (typeof turnsUsed === "number" && Number.isFinite(turnsUsed)) data.turnsUsed = turnsUsed;
       data.finalAnswer = typeof finalAnswer === "string" ? finalAnswer : data.finalAnswer;
       data.error = typeof error === "string" ? error : "";
-      data.stoppedByMaxTurns = Boolean(
+      data.stoppedByMaxTurns = data.stoppedByMaxTurns || Boolean(
         (typeof data.error === "string" && /max[_\s-]*turns?/i.test(data.error)) ||
         (typeof data.turnsUsed === "number" && typeof data.maxTurns === "number" && data.turnsUsed >= data.maxTurns)
       );
@@ -641,6 +936,58 @@ function createTurnLogFiles({
   };
 }
 
+// One line of the "Pipeline Stages" log section, e.g.
+// "[ts] searcher searcher-2 tool_call: search_ingredient_text {"query":"glycerin"}".
+function formatPipelineStage(st) {
+  const head = [st.ts ? `[${st.ts}]` : "", st.stage || "", st.id || "", st.event || ""].filter(Boolean).join(" ");
+  let detail = "";
+  if (st.event === "tool_call") detail = `${st.tool || ""} ${st.arguments || ""}`.trim();
+  else if (st.event === "handoff") detail = `to ${st.to} after ${st.searchers} searcher(s)`;
+  else if (st.event === "failed") detail = st.error || "";
+  else if (st.question) detail = st.terms && st.terms.length ? `${st.question} (terms: ${st.terms.join(", ")})` : st.question;
+  else if (typeof st.toolCalls === "number") detail = `${st.toolCalls} tool call(s), ${st.findingsChars || 0} chars of findings`;
+  return detail ? `${head}: ${detail}` : head;
+}
+
+// Lines of the "Research Trail" log section: every search with its hits, then every range read.
+function formatResearchTrail(ledger) {
+  const searches = Array.isArray(ledger.searches) ? ledger.searches : [];
+  const reads = Array.isArray(ledger.reads) ? ledger.reads : [];
+  if (!searches.length && !reads.length) return ["(no searches or reads in this turn)"];
+  return [
+    ...searches.map((s) => `- search ${describeSearch(s)}`),
+    ...reads.map((r) => `- read ${describeRead(r)}`),
+  ];
+}
+
+// Lines of the "Structured Answer" log section: counts, then the JSON without the markdown answer
+// (the log already has it as the final answer).
+function formatStructuredAnswer(structured) {
+  const { answer, ...fields } = structured;
+  return [
+    `- Materials: ${Array.isArray(fields.materials) ? fields.materials.length : 0}`,
+    `- Gaps: ${Array.isArray(fields.gaps) ? fields.gaps.length : 0}`,
+    `- Searches Tried: ${Array.isArray(fields.searchesTried) ? fields.searchesTried.length : 0}`,
+    "",
+    "```json",
+    JSON.stringify(fields, null, 2),
+    "```",
+  ];
+}
+
+// Lines of the "Citation Check" log section: a summary, then one line per reference.
+function formatCitationCheck(report) {
+  const citations = Array.isArray(report.citations) ? report.citations : [];
+  const lines = [`- ${report.verified || 0} of ${report.total || 0} reference(s) verified (mode: ${report.mode || "annotate"})`];
+  for (const c of citations) {
+    const range = c.endLine && c.endLine !== c.line ? `${c.line}-${c.endLine}` : String(c.line);
+    const where = `${c.corpus ? `[${c.corpus}] ` : ""}\`${c.file}:${range}\`${c.evidenceId ? ` \`${c.evidenceId}\`` : ""}`;
+    if (c.status === "verified") lines.push(`- verified ${where}`);
+    else lines.push(`- UNVERIFIED ${where}: ${(c.reasons || []).join("; ")}`);
+  }
+  return lines;
+}
+
 function upsertChatLogTurn(turnData) {
   if (!turnData || typeof turnData !== "object" || !turnData.threadId) return;
   ensureDirSync(CHAT_LOGS_DIR);
@@ -723,6 +1070,9 @@ function upsertChatLogTurn(turnData) {
     }
     lines.push(`- Stopped By Max Turns: ${Boolean(turn.stoppedByMaxTurns)}`);
     lines.push(`- Finalizer Used: ${Boolean(turn.finalizerUsed)}`);
+    if (turn.stopReason) lines.push(`- Stop Reason: ${turn.stopReason}`);
+    if (turn.continuedFrom) lines.push(`- Continued From: ${turn.continuedFrom}`);
+    if (turn.researchPipeline) lines.push(`- Research Pipeline: ${turn.researchPipeline}`);
     lines.push(`- Estimated Cost USD: ${Number.isFinite(Number(turn.estimatedCostUsd)) ? Number(turn.estimatedCostUsd) : 0}`);
     if (turn.pricingModelKey) lines.push(`- Pricing Model Key: ${turn.pricingModelKey}`);
     if (turn.pricingSource) lines.push(`- Pricing Source: ${turn.pricingSource}`);
@@ -751,6 +1101,18 @@ function upsertChatLogTurn(turnData) {
         if (cmd.error) lines.push(`  - error: ${cmd.error}`);
       }
     }
+    if (Array.isArray(turn.pipelineStages) && turn.pipelineStages.length) {
+      lines.push("");
+      lines.push(`### Pipeline Stages`);
+      lines.push("");
+      for (const st of turn.pipelineStages) lines.push(`- ${formatPipelineStage(st)}`);
+    }
+    if (turn.researchLedger && typeof turn.researchLedger === "object") {
+      lines.push("");
+      lines.push(`### Research Trail`);
+      lines.push("");
+      lines.push(...formatResearchTrail(turn.researchLedger));
+    }
     lines.push("");
     lines.push(`### Reasoning Trace (Summary Events)`);
     lines.push("");
@@ -764,6 +1126,18 @@ function upsertChatLogTurn(turnData) {
         else lines.push(`- ${bits}`);
       }
     }
+    if (turn.structuredAnswer && typeof turn.structuredAnswer === "object") {
+      lines.push("");
+      lines.push(`### Structured Answer`);
+      lines.push("");
+      lines.push(...formatStructuredAnswer(turn.structuredAnswer));
+    }
+    if (turn.citationCheck && typeof turn.citationCheck === "object") {
+      lines.push("");
+      lines.push(`### Citation Check`);
+      lines.push("");
+      lines.push(...formatCitationCheck(turn.citationCheck));
+    }
     lines.push("");
     lines.push(`### Final Answer`);
     lines.push("");
@@ -780,10 +1154,6 @@ function upsertChatLogTurn(turnData) {
   fs.writeFileSync(mdPath, lines.join("\n"), "utf8");
 }
 
-function escapeRegExp(value) {
-  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
 function extractTextFromMessageContent(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -837,176 +1207,1039 @@ class AgentsClient {
     this.sessions = new Map();
     this.activeTurns = new Map();
 
-    this.ingredientsRoot = resolveIngredientsDir();
+    this.corpusIndex = null;
+    // Per corpus root: time of the last index sync and its result, the sync in progress, and
+    // whether files changed since the last sync started (so index results may be out of date).
+    this.corpusIndexSyncedAt = new Map();
+    this.corpusIndexLastSync = new Map();
+    this.corpusIndexSyncs = new Map();
+    this.corpusIndexStale = new Set();
+    // full path -> { mtimeMs, size, format, lineCount, ... }; recomputed when the file changes.
+    this.corpusFileMeta = new Map();
+    // Compiled admin exclusion rules, keyed by the rule list they came from.
+    this.exclusionMatcher = null;
+    // Per corpus root: { corpus, watcher }. While a root is watched, its file list comes from
+    // the watcher's last scan instead of a directory walk per call.
+    this.corpusWatchers = new Map();
+    // Newest last; capped at CORPUS_CHANGE_LOG_MAX entries.
+    this.corpusChanges = [];
+    this.corpusChangeSeq = 0;
+    // Per corpus root: { computedAt, clusters, byFile } from the last near-duplicate pass, and the
+    // pass in flight.
+    this.duplicateClusters = new Map();
+    this.duplicateClusterRuns = new Map();
+    // Per corpus root: { at, languages } from getCorpusLanguages; dropped when the corpus changes.
+    this.corpusLanguages = new Map();
+    if (CORPUS_INDEX_ENABLED) {
+      try {
+        this.corpusIndex = new CorpusIndex();
+      } catch (err) {
+        console.error(`[corpus-index] disabled: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+
+    this.vectorStore = null;
+    this.embeddingProvider = null;
+    // Per corpus root: in-flight embedding sync ({ run, total, done }), and when the last one
+    // finished.
+    this.embeddingSyncs = new Map();
+    this.embeddingSyncedAt = new Map();
+    if (SEMANTIC_SEARCH_ENABLED) {
+      try {
+        this.embeddingProvider = createEmbeddingProvider(EMBEDDING_PROVIDER, {
+          openai: this.openai,
+          model: EMBEDDING_MODEL,
+        });
+        this.vectorStore = new VectorStore();
+      } catch (err) {
+        this.embeddingProvider = null;
+        console.error(`[semantic] disabled: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
 
     ensureDirSync(CONVERSATIONS_DIR);
   }
 
-  getDefaultModel() {
-    const configured = this.appSettings && typeof this.appSettings.defaultModel === "string"
-      ? this.appSettings.defaultModel.trim()
-      : "";
-    return configured || DEFAULT_MODEL_FALLBACK;
+  // Named corpora from admin settings, or the INGREDIENTS_DIR corpus ("default") when none are
+  // configured. Each is { name, root, description }.
+  getCorpora() {
+    const configured = normalizeCorpusList(this.appSettings && this.appSettings.corpora);
+    if (configured.length) return configured;
+    return [{ name: DEFAULT_CORPUS_NAME, root: resolveIngredientsDir(), description: "" }];
   }
 
-  getDefaultThreadPreamble() {
-    const configured = this.appSettings && typeof this.appSettings.defaultThreadPreamble === "string"
-      ? this.appSettings.defaultThreadPreamble.trim()
-      : "";
-    return configured || DEFAULT_THREAD_PREAMBLE_FALLBACK;
+  getCorpus(name) {
+    const corpora = this.getCorpora();
+    if (!name) return corpora[0];
+    const corpus = corpora.find((c) => c.name === String(name).trim().toLowerCase());
+    if (!corpus) throw new Error(`Unknown corpus: ${name}`);
+    return corpus;
   }
 
-  getReasoningEffort() {
-    const configured = this.appSettings && typeof this.appSettings.reasoningEffort === "string"
-      ? this.appSettings.reasoningEffort.trim().toLowerCase()
-      : "";
-    if (ALLOWED_REASONING_EFFORTS.includes(configured)) return configured;
-    return ALLOWED_REASONING_EFFORTS.includes(REASONING_EFFORT_DEFAULT) ? REASONING_EFFORT_DEFAULT : "low";
+  // Validate corpus names for a thread selection. Returns normalized names; throws on unknown ones.
+  resolveCorpusSelection(names) {
+    if (!Array.isArray(names)) throw new Error("corpora must be an array of corpus names");
+    const selected = [];
+    for (const name of names) {
+      const corpus = this.getCorpus(String(name || "").trim() || "(empty)");
+      if (!selected.includes(corpus.name)) selected.push(corpus.name);
+    }
+    return selected;
   }
 
-  getMaxTurns() {
-    const configured = this.appSettings ? Number(this.appSettings.maxTurns) : NaN;
-    if (Number.isFinite(configured)) return clampNumber(configured, 1, 100, 25);
-    if (Number.isFinite(MAX_TURNS_DEFAULT)) return clampNumber(MAX_TURNS_DEFAULT, 1, 100, 25);
-    return 25;
+  // Corpora the thread's research tools may search: its selection, or every corpus when the
+  // thread has none (or none of its corpora still exist).
+  getThreadCorpora(threadId) {
+    const corpora = this.getCorpora();
+    const selected = threadId ? this.getThreadMeta(threadId).corpora : null;
+    const scoped = Array.isArray(selected) ? corpora.filter((c) => selected.includes(c.name)) : [];
+    return scoped.length ? scoped : corpora;
   }
 
-  getCompactionEnabled() {
-    const configured = this.appSettings && Object.prototype.hasOwnProperty.call(this.appSettings, "compactionEnabled")
-      ? this.appSettings.compactionEnabled
-      : undefined;
-    if (typeof configured === "boolean") return configured;
-    if (typeof configured === "string") {
-      const v = configured.trim().toLowerCase();
-      return !(v === "0" || v === "false" || v === "off" || v === "no");
+  // Incrementally refresh the index for one corpus root; resolves to the sync result, or null when
+  // the root is missing or the sync failed. Without `force`, refreshes are throttled to
+  // CORPUS_INDEX_REFRESH_MS so back-to-back searches don't re-stat the whole corpus. Concurrent
+  // callers share one run; a forced refresh during a run queues another one after it, since the
+  // running one may have listed the files before they changed. Files a sync re-indexed or dropped
+  // go to the change log, except on the first sync of a root after startup.
+  refreshCorpusIndex(root, { force = false } = {}) {
+    if (!this.corpusIndex) return Promise.resolve(null);
+    const inFlight = this.corpusIndexSyncs.get(root);
+    if (inFlight) {
+      if (!force) return inFlight.run;
+      if (!inFlight.next) inFlight.next = inFlight.run.then(() => this.refreshCorpusIndex(root, { force: true }));
+      return inFlight.next;
     }
-    return !(CONTEXT_COMPACTION_ENABLED_DEFAULT === "0" ||
-      CONTEXT_COMPACTION_ENABLED_DEFAULT === "false" ||
-      CONTEXT_COMPACTION_ENABLED_DEFAULT === "off" ||
-      CONTEXT_COMPACTION_ENABLED_DEFAULT === "no");
+    const syncedAt = this.corpusIndexSyncedAt.get(root) || 0;
+    if (!force && syncedAt && !this.corpusIndexStale.has(root) && Date.now() - syncedAt < CORPUS_INDEX_REFRESH_MS) {
+      return Promise.resolve(this.corpusIndexLastSync.get(root) || null);
+    }
+    if (!fs.existsSync(root)) return Promise.resolve(null);
+
+    const entry = { run: null, next: null };
+    entry.run = (async () => {
+      this.corpusIndexStale.delete(root);
+      try {
+        const files = this.listCorpusTextFiles(root, CORPUS_INDEX_MAX_FILES);
+        const { changes, ...result } = await this.corpusIndex.sync(root, files, readCorpusLines);
+        const sync = { ...result, syncedAt: toIsoNow() };
+        if (changes.length) this.corpusLanguages.delete(root);
+        const corpus = this.getCorpora().find((c) => c.root === root);
+        if (corpus && changes.length && this.corpusIndexSyncedAt.has(root)) {
+          this.handleCorpusChanges(corpus.name, root, changes, sync.syncedAt);
+        }
+        this.corpusIndexLastSync.set(root, sync);
+        this.corpusIndexSyncedAt.set(root, Date.now());
+        return sync;
+      } catch (err) {
+        this.corpusIndexStale.add(root);
+        console.error(`[corpus-index] sync failed: ${err && err.message ? err.message : String(err)}`);
+        return null;
+      }
+    })().finally(() => this.corpusIndexSyncs.delete(root));
+    this.corpusIndexSyncs.set(root, entry);
+    return entry.run;
   }
 
-  getCompactionThreshold() {
-    const configured = this.appSettings ? Number(this.appSettings.compactionThreshold) : NaN;
-    if (Number.isFinite(configured)) return clampNumber(configured, 1024, 1_000_000, 160000);
-    if (Number.isFinite(CONTEXT_COMPACTION_THRESHOLD_DEFAULT)) {
-      return clampNumber(CONTEXT_COMPACTION_THRESHOLD_DEFAULT, 1024, 1_000_000, 160000);
+  // Whether the index reflects `root`: a sync has finished, no reported change is waiting to be
+  // indexed, and (for roots without a watcher to report changes) the last sync is recent.
+  isCorpusIndexFresh(root) {
+    const syncedAt = this.corpusIndexSyncedAt.get(root);
+    if (!syncedAt || this.corpusIndexStale.has(root)) return false;
+    return this.corpusWatchers.has(root) || Date.now() - syncedAt < CORPUS_INDEX_REFRESH_MS;
+  }
+
+  // For lookups with a non-index fallback: starts a background refresh when one is due and says
+  // whether the index can answer now. While it is stale or still being built, callers use rg and
+  // file reads instead of treating an incomplete index as authoritative.
+  useCorpusIndex(root) {
+    if (!this.corpusIndex) return false;
+    this.refreshCorpusIndex(root);
+    return this.isCorpusIndexFresh(root);
+  }
+
+  // For features only the index can serve: wait for a refresh when the index is stale.
+  async ensureCorpusIndex(root) {
+    if (!this.isCorpusIndexFresh(root)) await this.refreshCorpusIndex(root);
+  }
+
+  // Corpus files under `root` (full paths), capped at `limit`. Files matched by the admin
+  // exclusion rules are left out, so no index, scan or tool ever sees them.
+  listCorpusTextFiles(root, limit) {
+    const entry = this.corpusWatchers.get(root);
+    const files = entry ? entry.watcher.getFiles() : null;
+    const isExcluded = this.getCorpusExclusionMatcher();
+    if (!isExcluded.active) return files ? files.slice(0, limit) : listTextFiles(root, limit);
+    const out = [];
+    for (const full of files || listTextFiles(root, CORPUS_INDEX_MAX_FILES)) {
+      if (isExcluded(path.relative(root, full))) continue;
+      out.push(full);
+      if (out.length >= limit) break;
     }
-    return 160000;
+    return out;
   }
 
-  getAdminSettings() {
-    return {
-      defaultModel: this.getDefaultModel(),
-      defaultThreadPreamble: this.getDefaultThreadPreamble(),
-      reasoningEffort: this.getReasoningEffort(),
-      maxTurns: this.getMaxTurns(),
-      compactionEnabled: this.getCompactionEnabled(),
-      compactionThreshold: this.getCompactionThreshold(),
-      ingredientsRoot: this.ingredientsRoot,
-    };
+  getCorpusExclusions() {
+    return Array.isArray(this.appSettings && this.appSettings.corpusExclusions)
+      ? this.appSettings.corpusExclusions
+      : [];
   }
 
-  setAdminSettings(next) {
-    const current = this.getAdminSettings();
-    const defaultModel = typeof next.defaultModel === "string" && next.defaultModel.trim()
-      ? next.defaultModel.trim()
-      : current.defaultModel;
-    const defaultThreadPreamble = typeof next.defaultThreadPreamble === "string"
-      ? next.defaultThreadPreamble.trim()
-      : current.defaultThreadPreamble;
-    const reasoningEffort = typeof next.reasoningEffort === "string" &&
-      ALLOWED_REASONING_EFFORTS.includes(next.reasoningEffort.trim().toLowerCase())
-      ? next.reasoningEffort.trim().toLowerCase()
-      : current.reasoningEffort;
-    const maxTurns = Number.isFinite(Number(next.maxTurns))
-      ? clampNumber(Number(next.maxTurns), 1, 100, current.maxTurns)
-      : current.maxTurns;
-    const compactionEnabled = Object.prototype.hasOwnProperty.call(next, "compactionEnabled")
-      ? Boolean(next.compactionEnabled)
-      : current.compactionEnabled;
-    const compactionThreshold = Number.isFinite(Number(next.compactionThreshold))
-      ? clampNumber(Number(next.compactionThreshold), 1024, 1_000_000, current.compactionThreshold)
-      : current.compactionThreshold;
+  // Predicate over corpus-relative paths for the admin exclusion rules (`active` is false when
+  // there are none). Compiled once per rule set.
+  getCorpusExclusionMatcher() {
+    const rules = this.getCorpusExclusions();
+    const key = rules.join("\n");
+    if (!this.exclusionMatcher || this.exclusionMatcher.key !== key) {
+      const matcher = compileExclusionRules(rules);
+      matcher.active = rules.length > 0;
+      this.exclusionMatcher = { key, matcher };
+    }
+    return this.exclusionMatcher.matcher;
+  }
 
-    this.appSettings = {
-      defaultModel,
-      defaultThreadPreamble,
-      reasoningEffort,
-      maxTurns,
-      compactionEnabled,
-      compactionThreshold,
+  // Full path of a corpus file the research tools may open. Throws on paths that escape the root
+  // and on files excluded by the admin rules.
+  resolveCorpusPath(root, relPath) {
+    const full = toSafeRelPath(root, relPath);
+    if (this.getCorpusExclusionMatcher()(path.relative(root, full))) {
+      throw new Error(`File is excluded from research by an admin rule: ${relPath}`);
+    }
+    return full;
+  }
+
+  // Predicate over corpus-relative paths for a parsed file filter (see file-filter.js), or null
+  // when there is no filter. Files are stat'ed once, and only for date and size conditions.
+  corpusFileFilter(root, filter) {
+    if (!filter) return null;
+    const compiled = compileFileFilter(filter);
+    if (!compiled.needsStat) return (rel) => compiled.test(rel);
+    const stats = new Map();
+    return (rel) => {
+      if (!stats.has(rel)) {
+        let stat = null;
+        try {
+          stat = fs.statSync(path.join(root, rel));
+        } catch {
+          // Deleted since it was listed or indexed.
+        }
+        stats.set(rel, stat);
+      }
+      return compiled.test(rel, stats.get(rel));
     };
-    saveJson(APP_SETTINGS_PATH, this.appSettings);
-    return this.getAdminSettings();
   }
 
-  async listModels() {
-    try {
-      const listed = await this.openai.models.list();
-      const data = Array.isArray(listed && listed.data) ? listed.data : [];
-      const ids = data
-        .map((m) => (m && typeof m.id === "string" ? m.id : ""))
-        .filter(Boolean)
-        .sort();
-      if (!ids.length) return [{ id: this.getDefaultModel() }];
-      return ids.map((id) => ({ id }));
-    } catch {
-      return [{ id: this.getDefaultModel() }];
+  // Start a watcher for every configured corpus root and stop those no longer configured.
+  syncCorpusWatchers() {
+    if (["0", "off", "false", "no"].includes(CORPUS_WATCH_MODE)) return;
+    const corpora = this.getCorpora();
+    for (const [root, entry] of this.corpusWatchers) {
+      const corpus = corpora.find((c) => c.root === root);
+      if (corpus) {
+        entry.corpus = corpus.name;
+        continue;
+      }
+      entry.watcher.stop();
+      this.corpusWatchers.delete(root);
+    }
+    for (const corpus of corpora) {
+      if (this.corpusWatchers.has(corpus.root)) continue;
+      const entry = { corpus: corpus.name, watcher: null };
+      // With the index enabled, a rescan is a forced index sync over the freshly listed files
+      // (listCorpusTextFiles reads them from the watcher): the index already compares mtime and
+      // size per file, and the sync logs what changed.
+      entry.watcher = new CorpusWatcher({
+        rootDir: corpus.root,
+        listFiles: (root) => listTextFiles(root, CORPUS_INDEX_MAX_FILES),
+        onChange: (changes) => this.handleCorpusChanges(entry.corpus, corpus.root, changes),
+        syncFiles: this.corpusIndex ? () => this.refreshCorpusIndex(corpus.root, { force: true }) : null,
+        mode: CORPUS_WATCH_MODE,
+        pollMs: clampNumber(CORPUS_WATCH_POLL_MS, 1000, 24 * 60 * 60 * 1000, 30 * 1000),
+        rescanMs: clampNumber(CORPUS_WATCH_RESCAN_MS, 60 * 1000, 24 * 60 * 60 * 1000, 10 * 60 * 1000),
+      });
+      this.corpusWatchers.set(corpus.root, entry);
+      entry.watcher.start();
     }
   }
 
-  getThreadMeta(threadId) {
-    return this.threadMeta[threadId] && typeof this.threadMeta[threadId] === "object"
-      ? this.threadMeta[threadId]
-      : {};
+  // Record changed files in the change log and drop cached per-file data. `indexedAt` is the time
+  // of the index sync that found them; it stays null without the index, where searches read the
+  // files from disk.
+  handleCorpusChanges(corpusName, root, changes, indexedAt = null) {
+    const isExcluded = this.getCorpusExclusionMatcher();
+    changes = changes.filter((c) => !isExcluded(path.relative(root, c.file)));
+    if (!changes.length) return;
+    const at = toIsoNow();
+    const entries = changes.map((c) => {
+      this.corpusFileMeta.delete(c.file);
+      this.corpusChangeSeq += 1;
+      return {
+        id: this.corpusChangeSeq,
+        at,
+        corpus: corpusName,
+        file: path.relative(root, c.file).replace(/\\/g, "/"),
+        change: c.change,
+        size: c.size,
+        mtime: new Date(c.mtimeMs).toISOString(),
+        indexedAt,
+      };
+    });
+    this.corpusChanges.push(...entries);
+    if (this.corpusChanges.length > CORPUS_CHANGE_LOG_MAX) {
+      this.corpusChanges.splice(0, this.corpusChanges.length - CORPUS_CHANGE_LOG_MAX);
+    }
+    console.log(`[corpus-watch] ${corpusName}: ${entries.map((e) => `${e.change} ${e.file}`).join(", ")}`);
+
+    this.embeddingSyncedAt.delete(root);
+    this.duplicateClusters.delete(root);
+    this.corpusLanguages.delete(root);
   }
 
-  setThreadMeta(threadId, patch) {
-    const current = this.getThreadMeta(threadId);
-    this.threadMeta[threadId] = {
-      ...current,
-      ...patch,
-      updatedAt: new Date().toISOString(),
+  // Change log entries newer than `since` (an entry id), newest first, plus watcher status.
+  getCorpusChanges({ since = 0, limit = 200 } = {}) {
+    const data = [];
+    for (let i = this.corpusChanges.length - 1; i >= 0 && data.length < limit; i -= 1) {
+      if (this.corpusChanges[i].id <= since) break;
+      data.push(this.corpusChanges[i]);
+    }
+    return {
+      lastId: this.corpusChangeSeq,
+      watchers: Array.from(this.corpusWatchers.values()).map(({ corpus, watcher }) => ({
+        corpus,
+        ...watcher.getStatus(),
+      })),
+      data,
     };
-    saveJson(THREAD_META_PATH, this.threadMeta);
   }
 
-  listTrackedThreads() {
+  async refreshAllCorpusIndexes({ force = false } = {}) {
     const out = [];
-    for (const [id, meta] of Object.entries(this.threadMeta)) {
-      if (!id || !meta || typeof meta !== "object") continue;
+    for (const corpus of this.getCorpora()) {
       out.push({
-        id,
-        conversationDir: typeof meta.conversationDir === "string" ? meta.conversationDir : null,
-        createdAt: typeof meta.createdAt === "string" ? Date.parse(meta.createdAt) : undefined,
-        updatedAt: typeof meta.updatedAt === "string" ? Date.parse(meta.updatedAt) : undefined,
-        preview: typeof meta.lastPreview === "string" ? meta.lastPreview : "",
+        corpus: corpus.name,
+        ...((await this.refreshCorpusIndex(corpus.root, { force })) || { root: corpus.root, skipped: true }),
       });
     }
-    out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
     return out;
   }
 
-  getThreadConversationDir(threadId) {
-    const meta = this.getThreadMeta(threadId);
-    return typeof meta.conversationDir === "string" ? meta.conversationDir : null;
-  }
-
-  createConversationDir(threadId) {
-    const dirName = `${safeNowFolderName()}_${threadId}`;
-    const fullPath = path.join(CONVERSATIONS_DIR, dirName);
-    ensureDirSync(fullPath);
-    return fullPath;
+  getCorpusIndexStatus() {
+    if (!this.corpusIndex) return { enabled: false };
+    return {
+      enabled: true,
+      refreshMs: CORPUS_INDEX_REFRESH_MS,
+      corpora: this.getCorpora().map((corpus) => ({
+        corpus: corpus.name,
+        ...this.corpusIndex.getStatus(corpus.root),
+        syncing: this.corpusIndexSyncs.has(corpus.root),
+        fresh: this.isCorpusIndexFresh(corpus.root),
+        lastSync: this.corpusIndexLastSync.get(corpus.root) || null,
+        ...(this.vectorStore ? { embeddings: this.vectorStore.getStatus(corpus.root, this.getEmbeddingModelKey()) } : {}),
+      })),
+    };
   }
 
-  getThreadPreamble(threadId) {
-    const meta = this.getThreadMeta(threadId);
-    if (typeof meta.preamble === "string" && meta.preamble.trim()) return meta.preamble.trim();
-    return this.getDefaultThreadPreamble();
+  // Embeddings are stored per provider+model so switching providers re-embeds instead of mixing.
+  getEmbeddingModelKey() {
+    return this.embeddingProvider ? `${this.embeddingProvider.name}:${this.embeddingProvider.model}` : "";
   }
 
-  getSession(threadId) {
+  // Embed new and changed files under `root` and drop removed ones. Throttled like the keyword
+  // index; concurrent callers share one run. The run isn't tied to any turn, so an interrupted
+  // turn doesn't leave the corpus half embedded; callers that can't wait for a long backfill use
+  // waitForEmbeddings instead. A file whose text or embedding fails is counted in `failed` and
+  // retried on the next sync.
+  async syncEmbeddings(root, { force = false } = {}) {
+    if (!this.vectorStore) throw new Error("Semantic search is disabled (SEMANTIC_SEARCH_ENABLED=0 or provider unavailable)");
+    const inFlight = this.embeddingSyncs.get(root);
+    if (inFlight) return inFlight.run;
+    const syncedAt = this.embeddingSyncedAt.get(root) || 0;
+    if (!force && syncedAt && Date.now() - syncedAt < CORPUS_INDEX_REFRESH_MS) return null;
+
+    const entry = { run: null, total: 0, done: 0 };
+    entry.run = (async () => {
+      const model = this.getEmbeddingModelKey();
+      const known = this.vectorStore.getFileStates(root, model);
+      const stats = { embedded: 0, removed: 0, unchanged: 0, failed: 0, chunks: 0 };
+      const seen = new Set();
+      const files = this.listCorpusTextFiles(root, CORPUS_INDEX_MAX_FILES);
+      entry.total = files.length;
+      for (const full of files) {
+        const relPath = path.relative(root, full).replace(/\\/g, "/");
+        seen.add(relPath);
+        try {
+          const st = await fs.promises.stat(full);
+          const existing = known.get(relPath);
+          if (existing && existing.mtimeMs === st.mtimeMs && existing.size === st.size) {
+            stats.unchanged += 1;
+            continue;
+          }
+          const { lines } = await readCorpusLines(full);
+          const chunks = chunkLines(lines);
+          const vectors = chunks.length ? await this.embeddingProvider.embed(chunks.map((c) => c.text)) : [];
+          this.vectorStore.replaceFile(root, relPath, model, { mtimeMs: st.mtimeMs, size: st.size },
+            chunks.map((c, i) => ({ ...c, embedding: vectors[i] })));
+          stats.embedded += 1;
+          stats.chunks += chunks.length;
+        } catch (err) {
+          if (!stats.failed) console.error(`[semantic] embedding ${relPath} failed: ${err && err.message ? err.message : String(err)}`);
+          stats.failed += 1;
+        } finally {
+          entry.done += 1;
+        }
+      }
+      const gone = Array.from(known.entries()).filter(([relPath]) => !seen.has(relPath)).map(([, v]) => v.id);
+      if (gone.length) this.vectorStore.removeFiles(gone);
+      stats.removed = gone.length;
+      this.embeddingSyncedAt.set(root, Date.now());
+      return stats;
+    })().finally(() => this.embeddingSyncs.delete(root));
+    this.embeddingSyncs.set(root, entry);
+    return entry.run;
+  }
+
+  // Start (or join) the embedding sync for `root` and wait up to EMBEDDING_SYNC_WAIT_MS for it, or
+  // until `signal` aborts. Resolves to null once embeddings are current, or to { done, total }
+  // files when the sync is still running and searches see only part of the corpus.
+  async waitForEmbeddings(root, signal) {
+    const run = this.syncEmbeddings(root);
+    const entry = this.embeddingSyncs.get(root);
+    if (!entry) {
+      await run;
+      return null;
+    }
+    // A sync that fails after the wait gave up must not surface as an unhandled rejection.
+    const settled = run.then(() => true);
+    settled.catch(() => {});
+    let timer = null;
+    let onAbort = null;
+    const finished = await Promise.race([
+      settled,
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), clampNumber(EMBEDDING_SYNC_WAIT_MS, 0, 10 * 60 * 1000, 10 * 1000));
+        onAbort = () => resolve(false);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      }),
+    ]).finally(() => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    });
+    if (signal && signal.aborted) throw new Error("Semantic search was interrupted");
+    return finished ? null : { done: entry.done, total: entry.total };
+  }
+
+  // Hybrid semantic search: vector hits over embedded chunks fused with keyword hits by
+  // reciprocal rank fusion. Keyword hits inside an embedded chunk merge with that chunk.
+  // `indexing` lists corpora whose embeddings are still being built ({ corpus, done, total }).
+  async semanticSearch(corpora, { query, limit = 10, hybrid = true }, turnLog, signal) {
+    const model = this.getEmbeddingModelKey();
+    const available = corpora.filter((c) => fs.existsSync(c.root));
+    const indexing = [];
+    for (const corpus of available) {
+      const progress = await this.waitForEmbeddings(corpus.root, signal);
+      if (progress) indexing.push({ corpus: corpus.name, ...progress });
+    }
+    const [queryVector] = await this.embeddingProvider.embed([query], { signal });
+
+    const items = new Map();
+    const addRank = (key, base, field, rank) => {
+      const item = items.get(key) || { ...base, score: 0 };
+      item.score += 1 / (HYBRID_RRF_K + rank);
+      if (!item[field]) item[field] = rank;
+      items.set(key, item);
+      return item;
+    };
+
+    const vectorHits = [];
+    for (const corpus of available) {
+      for (const hit of this.vectorStore.search(corpus.root, model, queryVector, { limit: limit * 2 })) {
+        vectorHits.push({ corpus, hit });
+      }
+    }
+    vectorHits.sort((a, b) => b.hit.score - a.hit.score);
+    vectorHits.forEach(({ corpus, hit }, i) => {
+      const { chunkId, score, ...rest } = hit;
+      const item = addRank(`${corpus.name}:c${chunkId}`, { corpus: corpus.name, ...rest }, "vectorRank", i + 1);
+      item.similarity = Math.round(score * 1000) / 1000;
+    });
+
+    let keywordCount = 0;
+    if (hybrid) {
+      const keyword = await this.searchCorpora(available, { query, maxMatches: limit * 2 }, turnLog);
+      keywordCount = keyword.hits.length;
+      keyword.hits.forEach((hit, i) => {
+        const corpus = available.find((c) => c.name === hit.corpus);
+        const chunk = this.vectorStore.findChunk(corpus.root, model, hit.file, hit.line);
+        const key = chunk ? `${hit.corpus}:c${chunk.chunkId}` : `${hit.corpus}:${hit.file}:${hit.line}`;
+        const base = { corpus: hit.corpus, file: hit.file, line: hit.line, endLine: hit.endLine || hit.line, text: hit.text };
+        const item = addRank(key, base, "keywordRank", i + 1);
+        if (!item.matchedLine) item.matchedLine = hit.line;
+      });
+    }
+
+    const ranked = Array.from(items.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((item) => ({ ...item, score: Math.round(item.score * 10000) / 10000 }));
+    const hits = [];
+    for (const corpus of available) {
+      const own = ranked.filter((h) => h.corpus === corpus.name);
+      if (own.length) hits.push(...(await this.attachPages(corpus.root, own)));
+    }
+    hits.sort((a, b) => b.score - a.score);
+    return { hits, vectorCount: vectorHits.length, keywordCount, indexing };
+  }
+
+  // Returns index hits, or null when the index is disabled, stale, failed, or can't serve the
+  // query.
+  searchCorpusIndex(root, { query, caseSensitive, maxMatches, acceptFile }) {
+    if (!this.useCorpusIndex(root)) return null;
+    try {
+      return this.corpusIndex.search(root, query, { caseSensitive, maxMatches, acceptFile });
+    } catch (err) {
+      console.error(`[corpus-index] search failed: ${err && err.message ? err.message : String(err)}`);
+      return null;
+    }
+  }
+
+  // Query the material catalog extracted during indexing. Throws when the index is disabled.
+  async lookupMaterials(root, filters) {
+    if (!this.corpusIndex) throw new Error("Material catalog requires the corpus index (CORPUS_INDEX_ENABLED=1)");
+    await this.ensureCorpusIndex(root);
+    return this.corpusIndex.lookupMaterials(root, filters);
+  }
+
+  // Files whose extracted `property` values fall in [min, max], given in `unit` (converted to the
+  // property's canonical unit). Throws on an unknown property/unit or when the index is disabled.
+  async searchProperties(root, { property, min, max, unit, match, limit }) {
+    if (!this.corpusIndex) throw new Error("Property search requires the corpus index (CORPUS_INDEX_ENABLED=1)");
+    if (!PROPERTY_DEFS[property]) throw new Error(`Unknown property: ${property}. Expected one of ${PROPERTY_NAMES.join(", ")}`);
+    if (unit) convertToCanonical(property, 0, unit);
+    const toCanonical = (v) => (v == null ? null : convertToCanonical(property, v, unit));
+    await this.ensureCorpusIndex(root);
+    const files = this.corpusIndex.searchProperties(root, {
+      property,
+      min: toCanonical(min),
+      max: toCanonical(max),
+      match: match === "within" ? "within" : "overlap",
+      limit,
+    });
+    const out = [];
+    for (const f of files) {
+      let pageMap = null;
+      try {
+        pageMap = await this.getPageMap(root, f.file);
+      } catch {
+        // Unreadable now; return its values without pages.
+      }
+      const values = f.values.map((v) => {
+        const page = pageForLine(pageMap, v.line);
+        return page ? { ...v, page } : v;
+      });
+      out.push({ ...f, values });
+    }
+    return out;
+  }
+
+  // Size, mtime, format, line/page counts, page map and detected language of one corpus file
+  // (cached per mtime/size).
+  async describeCorpusFile(root, relPath) {
+    const full = toSafeRelPath(root, relPath);
+    const st = await fs.promises.stat(full);
+    const cached = this.corpusFileMeta.get(full);
+    if (cached && cached.mtimeMs === st.mtimeMs && cached.size === st.size) return { file: relPath, ...cached };
+
+    const { lines, pageMap } = await readCorpusLines(full);
+    const meta = {
+      mtimeMs: st.mtimeMs,
+      size: st.size,
+      format: sourceFormat(full),
+      lineCount: lines.length,
+      pageCount: pageMap ? pageMap.length : null,
+      pageMap,
+      language: detectLanguage(lines.join("\n")),
+      languageSections: detectLanguageSections(lines),
+      minhash: minhashSignature(lines.join("\n")),
+    };
+    this.corpusFileMeta.set(full, meta);
+    return { file: relPath, ...meta };
+  }
+
+  // rel_path -> { language, sections } for the files under `root`: from the index when it is
+  // enabled, otherwise from the per-file metadata cache (which reads files not seen yet). Cached
+  // until the index or the watcher sees the corpus change; without the index, where neither may
+  // notice, for at most CORPUS_INDEX_REFRESH_MS.
+  async getCorpusLanguages(root) {
+    if (this.corpusIndex) {
+      try {
+        await this.ensureCorpusIndex(root);
+        const cached = this.corpusLanguages.get(root);
+        if (cached) return cached.languages;
+        const languages = this.corpusIndex.getLanguages(root);
+        this.corpusLanguages.set(root, { at: Date.now(), languages });
+        return languages;
+      } catch (err) {
+        console.error(`[corpus-index] language lookup failed: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+    const cached = this.corpusLanguages.get(root);
+    if (cached && Date.now() - cached.at < CORPUS_INDEX_REFRESH_MS) return cached.languages;
+    const out = new Map();
+    for (const full of this.listCorpusTextFiles(root, CORPUS_INDEX_MAX_FILES)) {
+      const rel = path.relative(root, full).replace(/\\/g, "/");
+      try {
+        const meta = await this.describeCorpusFile(root, rel);
+        out.set(rel, { language: meta.language, sections: meta.languageSections });
+      } catch {
+        // Deleted between listing and stat, or text extraction failed.
+      }
+    }
+    this.corpusLanguages.set(root, { at: Date.now(), languages: out });
+    return out;
+  }
+
+  // Files and lines per language for each corpus. A file counts under its overall language;
+  // lines count under the language of the section they are in.
+  async getCorpusLanguageStats() {
+    const out = [];
+    for (const corpus of this.getCorpora().filter((c) => fs.existsSync(c.root))) {
+      const files = {};
+      const lines = {};
+      const languages = await this.getCorpusLanguages(corpus.root);
+      for (const { language, sections } of languages.values()) {
+        files[language] = (files[language] || 0) + 1;
+        for (const section of sections) {
+          lines[section.language] = (lines[section.language] || 0) + section.endLine - section.startLine + 1;
+        }
+      }
+      out.push({
+        corpus: corpus.name,
+        fileCount: languages.size,
+        languages: LANGUAGE_CODES
+          .filter((code) => files[code] || lines[code])
+          .map((code) => ({ language: code, files: files[code] || 0, lines: lines[code] || 0 })),
+      });
+    }
+    return out;
+  }
+
+  // Seed the translation glossary with Korean/English pairs stated side by side in the corpus
+  // ("글리세린(Glycerin)"). Pairs seen fewer than `minOccurrences` times are ignored.
+  async seedGlossaryFromCorpus({ minOccurrences = 2 } = {}) {
+    const found = new Map();
+    let files = 0;
+    for (const corpus of this.getCorpora()) {
+      if (!fs.existsSync(corpus.root)) continue;
+      await this.forEachCorpusFile(corpus.root, (file, lines) => {
+        files += 1;
+        for (const { line, text } of lines) {
+          for (const pair of extractTermPairs(text)) {
+            const key = `${foldText(pair.korean)}\u0000${foldText(pair.english)}`;
+            const entry = found.get(key);
+            if (entry) entry.occurrences += 1;
+            else found.set(key, { ...pair, occurrences: 1, evidence: `[${corpus.name}] ${file}:${line}` });
+          }
+        }
+      });
+    }
+    const pairs = Array.from(found.values()).filter((p) => p.occurrences >= minOccurrences);
+    return { files, found: found.size, kept: pairs.length, ...referenceStore.seedGlossaryPairs(pairs) };
+  }
+
+  // Near-duplicate clusters among the files under `root`. Recomputed at most every
+  // CORPUS_INDEX_REFRESH_MS, or after a change; concurrent callers share one pass.
+  getDuplicateClusters(root, { force = false } = {}) {
+    const cached = this.duplicateClusters.get(root);
+    if (!force && cached && Date.now() - cached.at < CORPUS_INDEX_REFRESH_MS) return Promise.resolve(cached);
+    const inFlight = this.duplicateClusterRuns.get(root);
+    if (inFlight) return inFlight;
+    const run = (async () => {
+      const docs = await this.getDuplicateSignatures(root);
+      const clusters = clusterNearDuplicates(docs, { threshold: NEAR_DUPLICATE_THRESHOLD });
+      const byFile = new Map();
+      for (const cluster of clusters) for (const f of cluster.files) byFile.set(f.file, cluster);
+      const result = { at: Date.now(), computedAt: toIsoNow(), fileCount: docs.length, clusters, byFile };
+      this.duplicateClusters.set(root, result);
+      return result;
+    })().finally(() => this.duplicateClusterRuns.delete(root));
+    this.duplicateClusterRuns.set(root, run);
+    return run;
+  }
+
+  // MinHash signatures ({ file, signature, mtimeMs, size }) of the files under `root`. The index
+  // computes them while it (re)indexes a file, in its batched sync, so only changed files are ever
+  // read again; without the index they come from the per-file metadata cache.
+  async getDuplicateSignatures(root) {
+    if (this.corpusIndex) {
+      try {
+        await this.ensureCorpusIndex(root);
+        return this.corpusIndex.getSignatures(root);
+      } catch (err) {
+        console.error(`[corpus-index] signature lookup failed: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+    const docs = [];
+    for (const full of this.listCorpusTextFiles(root, CORPUS_INDEX_MAX_FILES)) {
+      const rel = path.relative(root, full).replace(/\\/g, "/");
+      try {
+        const meta = await this.describeCorpusFile(root, rel);
+        docs.push({ file: rel, signature: meta.minhash, mtimeMs: meta.mtimeMs, size: meta.size });
+      } catch {
+        // Deleted between listing and stat, or text extraction failed.
+      }
+    }
+    return docs;
+  }
+
+  // Collapse hits or ranked file groups ({ corpus, file, ... }) from near-duplicate files to one
+  // file per cluster. Returns { items, collapsed: [{ corpus, file, alternates, hidden }] }.
+  async collapseDuplicateResults(corpora, items) {
+    const byCorpus = new Map();
+    for (const corpus of corpora) {
+      if (!fs.existsSync(corpus.root)) continue;
+      try {
+        byCorpus.set(corpus.name, (await this.getDuplicateClusters(corpus.root)).byFile);
+      } catch (err) {
+        console.error(`[duplicates] ${corpus.name}: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+    return collapseDuplicates(items, (item) => {
+      const byFile = byCorpus.get(item.corpus);
+      return (byFile && byFile.get(item.file)) || null;
+    });
+  }
+
+  // Page through corpus files sorted by path. Only the returned page is stat'ed and read.
+  async listCorpusFiles(root, { contains = "", offset = 0, limit = 100 } = {}) {
+    const needle = String(contains || "").trim().toLowerCase();
+    const all = this.listCorpusTextFiles(root, CORPUS_INDEX_MAX_FILES)
+      .map((full) => path.relative(root, full).replace(/\\/g, "/"))
+      .filter((rel) => (!needle || rel.toLowerCase().includes(needle)))
+      .sort((a, b) => a.localeCompare(b));
+
+    const files = [];
+    for (const rel of all.slice(offset, offset + limit)) {
+      try {
+        const meta = await this.describeCorpusFile(root, rel);
+        files.push({
+          file: meta.file,
+          size: meta.size,
+          mtime: new Date(meta.mtimeMs).toISOString(),
+          format: meta.format,
+          lineCount: meta.lineCount,
+          pageCount: meta.pageCount,
+          language: meta.language,
+        });
+      } catch {
+        // Deleted between listing and stat, or text extraction failed.
+      }
+    }
+    return { root, total: all.length, offset, limit, files };
+  }
+
+  // Read a line range of a corpus file, starting at `startLine` or at the first line of `page`.
+  // Paginated files also report the page range and the page breaks inside it. Throws on unsafe
+  // paths, unreadable files and unknown pages.
+  async readCorpusFile(root, relativePath, { startLine, maxLines, page } = {}) {
+    const full = this.resolveCorpusPath(root, relativePath);
+    const { lines, pageMap } = await readCorpusLines(full);
+    let first = startLine;
+    if (page !== undefined && page !== null && page !== "") {
+      first = firstLineOfPage(pageMap, page);
+      if (!first) throw new Error(pageMap ? `Page ${page} not found` : "File has no page information");
+    }
+    const start = clampNumber(first, 1, Math.max(lines.length, 1), 1);
+    const startIndex = start - 1;
+    const endIndex = Math.min(lines.length, startIndex + clampNumber(maxLines, 1, 800, 260));
+    const result = {
+      relativePath: path.relative(root, full).replace(/\\/g, "/"),
+      startLine: start,
+      endLine: endIndex,
+      totalLines: lines.length,
+    };
+    if (pageMap) {
+      result.page = pageForLine(pageMap, start);
+      result.endPage = pageForLine(pageMap, Math.max(start, endIndex));
+      result.pageBreaks = pageMap.filter((e) => e.line > start && e.line <= endIndex);
+    }
+    result.text = lines.slice(startIndex, endIndex).join("\n");
+    return result;
+  }
+
+  // [{ line, page }] for a corpus file, or null when it has no pagination. Uses the index when
+  // the file is indexed, and reads the file otherwise.
+  async getPageMap(root, relPath) {
+    if (this.corpusIndex) {
+      try {
+        const indexed = this.corpusIndex.getPageMap(root, relPath);
+        if (indexed) return indexed.length ? indexed : null;
+      } catch (err) {
+        console.error(`[corpus-index] page lookup failed: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+    return (await this.describeCorpusFile(root, relPath)).pageMap;
+  }
+
+  // Visit every corpus file as (relPath, [{ line, text }]), from the index when available and
+  // from disk otherwise. `acceptFile(relPath)`, when given, picks the files to visit before any is
+  // read. The visitor can return false to stop.
+  async forEachCorpusFile(root, visitor, acceptFile = null) {
+    if (this.useCorpusIndex(root)) {
+      try {
+        await this.corpusIndex.forEachFile(root, visitor, acceptFile);
+        return;
+      } catch (err) {
+        console.error(`[corpus-index] file scan failed: ${err && err.message ? err.message : String(err)}`);
+      }
+    }
+    for (const file of this.listCorpusTextFiles(root, 12000)) {
+      const rel = path.relative(root, file).replace(/\\/g, "/");
+      if (acceptFile && !acceptFile(rel)) continue;
+      let lines;
+      try {
+        lines = (await readCorpusLines(file)).lines.map((text, i) => ({ line: i + 1, text }));
+      } catch {
+        continue;
+      }
+      if (visitor(rel, lines) === false) return;
+    }
+  }
+
+  scanCorpusIndex(root, predicate, maxMatches, acceptFile) {
+    if (!this.useCorpusIndex(root)) return null;
+    try {
+      return this.corpusIndex.scanLines(root, predicate, maxMatches, acceptFile);
+    } catch (err) {
+      console.error(`[corpus-index] scan failed: ${err && err.message ? err.message : String(err)}`);
+      return null;
+    }
+  }
+
+  getDefaultModel() {
+    const configured = this.appSettings && typeof this.appSettings.defaultModel === "string"
+      ? this.appSettings.defaultModel.trim()
+      : "";
+    return configured || DEFAULT_MODEL_FALLBACK;
+  }
+
+  getDefaultThreadPreamble() {
+    const configured = this.appSettings && typeof this.appSettings.defaultThreadPreamble === "string"
+      ? this.appSettings.defaultThreadPreamble.trim()
+      : "";
+    return configured || DEFAULT_THREAD_PREAMBLE_FALLBACK;
+  }
+
+  getReasoningEffort() {
+    const configured = this.appSettings && typeof this.appSettings.reasoningEffort === "string"
+      ? this.appSettings.reasoningEffort.trim().toLowerCase()
+      : "";
+    if (ALLOWED_REASONING_EFFORTS.includes(configured)) return configured;
+    return ALLOWED_REASONING_EFFORTS.includes(REASONING_EFFORT_DEFAULT) ? REASONING_EFFORT_DEFAULT : "low";
+  }
+
+  getMaxTurns() {
+    const configured = this.appSettings ? Number(this.appSettings.maxTurns) : NaN;
+    if (Number.isFinite(configured)) return clampNumber(configured, 1, 100, 25);
+    if (Number.isFinite(MAX_TURNS_DEFAULT)) return clampNumber(MAX_TURNS_DEFAULT, 1, 100, 25);
+    return 25;
+  }
+
+  getCompactionEnabled() {
+    const configured = this.appSettings && Object.prototype.hasOwnProperty.call(this.appSettings, "compactionEnabled")
+      ? this.appSettings.compactionEnabled
+      : undefined;
+    if (typeof configured === "boolean") return configured;
+    if (typeof configured === "string") {
+      const v = configured.trim().toLowerCase();
+      return !(v === "0" || v === "false" || v === "off" || v === "no");
+    }
+    return !(CONTEXT_COMPACTION_ENABLED_DEFAULT === "0" ||
+      CONTEXT_COMPACTION_ENABLED_DEFAULT === "false" ||
+      CONTEXT_COMPACTION_ENABLED_DEFAULT === "off" ||
+      CONTEXT_COMPACTION_ENABLED_DEFAULT === "no");
+  }
+
+  getCompactionThreshold() {
+    const configured = this.appSettings ? Number(this.appSettings.compactionThreshold) : NaN;
+    if (Number.isFinite(configured)) return clampNumber(configured, 1024, 1_000_000, 160000);
+    if (Number.isFinite(CONTEXT_COMPACTION_THRESHOLD_DEFAULT)) {
+      return clampNumber(CONTEXT_COMPACTION_THRESHOLD_DEFAULT, 1024, 1_000_000, 160000);
+    }
+    return 160000;
+  }
+
+  getResearchPipeline() {
+    const configured = this.appSettings && typeof this.appSettings.researchPipeline === "string"
+      ? this.appSettings.researchPipeline.trim().toLowerCase()
+      : "";
+    if (RESEARCH_PIPELINES.includes(configured)) return configured;
+    return RESEARCH_PIPELINES.includes(RESEARCH_PIPELINE_DEFAULT) ? RESEARCH_PIPELINE_DEFAULT : "single";
+  }
+
+  getPipelineSearchers() {
+    const configured = this.appSettings ? Number(this.appSettings.pipelineSearchers) : NaN;
+    if (Number.isFinite(configured)) return clampNumber(configured, 1, 8, 4);
+    if (Number.isFinite(PIPELINE_SEARCHERS_DEFAULT)) return clampNumber(PIPELINE_SEARCHERS_DEFAULT, 1, 8, 4);
+    return 4;
+  }
+
+  getStructuredOutput() {
+    const configured = this.appSettings ? this.appSettings.structuredOutput : undefined;
+    return typeof configured === "boolean" ? configured : STRUCTURED_OUTPUT_DEFAULT;
+  }
+
+  getAdminSettings() {
+    return {
+      defaultModel: this.getDefaultModel(),
+      defaultThreadPreamble: this.getDefaultThreadPreamble(),
+      reasoningEffort: this.getReasoningEffort(),
+      maxTurns: this.getMaxTurns(),
+      compactionEnabled: this.getCompactionEnabled(),
+      compactionThreshold: this.getCompactionThreshold(),
+      researchPipeline: this.getResearchPipeline(),
+      pipelineSearchers: this.getPipelineSearchers(),
+      structuredOutput: this.getStructuredOutput(),
+      ingredientsRoot: resolveIngredientsDir(),
+      corpora: normalizeCorpusList(this.appSettings && this.appSettings.corpora),
+      corpusExclusions: this.getCorpusExclusions(),
+    };
+  }
+
+  setAdminSettings(next) {
+    const current = this.getAdminSettings();
+    const defaultModel = typeof next.defaultModel === "string" && next.defaultModel.trim()
+      ? next.defaultModel.trim()
+      : current.defaultModel;
+    const defaultThreadPreamble = typeof next.defaultThreadPreamble === "string"
+      ? next.defaultThreadPreamble.trim()
+      : current.defaultThreadPreamble;
+    const reasoningEffort = typeof next.reasoningEffort === "string" &&
+      ALLOWED_REASONING_EFFORTS.includes(next.reasoningEffort.trim().toLowerCase())
+      ? next.reasoningEffort.trim().toLowerCase()
+      : current.reasoningEffort;
+    const maxTurns = Number.isFinite(Number(next.maxTurns))
+      ? clampNumber(Number(next.maxTurns), 1, 100, current.maxTurns)
+      : current.maxTurns;
+    const compactionEnabled = Object.prototype.hasOwnProperty.call(next, "compactionEnabled")
+      ? Boolean(next.compactionEnabled)
+      : current.compactionEnabled;
+    const compactionThreshold = Number.isFinite(Number(next.compactionThreshold))
+      ? clampNumber(Number(next.compactionThreshold), 1024, 1_000_000, current.compactionThreshold)
+      : current.compactionThreshold;
+    const researchPipeline = typeof next.researchPipeline === "string" &&
+      RESEARCH_PIPELINES.includes(next.researchPipeline.trim().toLowerCase())
+      ? next.researchPipeline.trim().toLowerCase()
+      : current.researchPipeline;
+    const pipelineSearchers = Number.isFinite(Number(next.pipelineSearchers))
+      ? clampNumber(Number(next.pipelineSearchers), 1, 8, current.pipelineSearchers)
+      : current.pipelineSearchers;
+    const structuredOutput = Object.prototype.hasOwnProperty.call(next, "structuredOutput") && typeof next.structuredOutput === "boolean"
+      ? next.structuredOutput
+      : current.structuredOutput;
+    let corpora = current.corpora;
+    if (Object.prototype.hasOwnProperty.call(next, "corpora")) {
+      if (!Array.isArray(next.corpora)) throw new Error("corpora must be an array of { name, root, description }");
+      corpora = normalizeCorpusList(next.corpora);
+      if (corpora.length !== next.corpora.length) {
+        throw new Error("Each corpus needs a unique name (letters, digits, - or _) and a root path");
+      }
+    }
+    const corpusExclusions = Object.prototype.hasOwnProperty.call(next, "corpusExclusions")
+      ? parseExclusionRules(next.corpusExclusions)
+      : current.corpusExclusions;
+
+    this.appSettings = {
+      defaultModel,
+      defaultThreadPreamble,
+      reasoningEffort,
+      maxTurns,
+      compactionEnabled,
+      compactionThreshold,
+      researchPipeline,
+      pipelineSearchers,
+      structuredOutput,
+      corpora,
+      corpusExclusions,
+    };
+    saveJson(APP_SETTINGS_PATH, this.appSettings);
+    if (corpusExclusions.join("\n") !== current.corpusExclusions.join("\n")) {
+      // Drop newly excluded files from (or restore re-included ones to) the index on next use.
+      for (const corpus of this.getCorpora()) this.corpusIndexStale.add(corpus.root);
+      this.embeddingSyncedAt.clear();
+      this.duplicateClusters.clear();
+      this.corpusLanguages.clear();
+    }
+    if (this.corpusWatchers.size) this.syncCorpusWatchers();
+    return this.getAdminSettings();
+  }
+
+  async listModels() {
+    try {
+      const listed = await this.openai.models.list();
+      const data = Array.isArray(listed && listed.data) ? listed.data : [];
+      const ids = data
+        .map((m) => (m && typeof m.id === "string" ? m.id : ""))
+        .filter(Boolean)
+        .sort();
+      if (!ids.length) return [{ id: this.getDefaultModel() }];
+      return ids.map((id) => ({ id }));
+    } catch {
+      return [{ id: this.getDefaultModel() }];
+    }
+  }
+
+  getThreadMeta(threadId) {
+    return this.threadMeta[threadId] && typeof this.threadMeta[threadId] === "object"
+      ? this.threadMeta[threadId]
+      : {};
+  }
+
+  setThreadMeta(threadId, patch) {
+    const current = this.getThreadMeta(threadId);
+    this.threadMeta[threadId] = {
+      ...current,
+      ...patch,
+      updatedAt: new Date().toISOString(),
+    };
+    saveJson(THREAD_META_PATH, this.threadMeta);
+  }
+
+  listTrackedThreads() {
+    const out = [];
+    for (const [id, meta] of Object.entries(this.threadMeta)) {
+      if (!id || !meta || typeof meta !== "object") continue;
+      out.push({
+        id,
+        conversationDir: typeof meta.conversationDir === "string" ? meta.conversationDir : null,
+        createdAt: typeof meta.createdAt === "string" ? Date.parse(meta.createdAt) : undefined,
+        updatedAt: typeof meta.updatedAt === "string" ? Date.parse(meta.updatedAt) : undefined,
+        preview: typeof meta.lastPreview === "string" ? meta.lastPreview : "",
+        corpora: Array.isArray(meta.corpora) ? meta.corpora : null,
+      });
+    }
+    out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    return out;
+  }
+
+  getThreadConversationDir(threadId) {
+    const meta = this.getThreadMeta(threadId);
+    return typeof meta.conversationDir === "string" ? meta.conversationDir : null;
+  }
+
+  createConversationDir(threadId) {
+    const dirName = `${safeNowFolderName()}_${threadId}`;
+    const fullPath = path.join(CONVERSATIONS_DIR, dirName);
+    ensureDirSync(fullPath);
+    return fullPath;
+  }
+
+  getThreadPreamble(threadId) {
+    const meta = this.getThreadMeta(threadId);
+    if (typeof meta.preamble === "string" && meta.preamble.trim()) return meta.preamble.trim();
+    return this.getDefaultThreadPreamble();
+  }
+
+  getSession(threadId) {
     const cached = this.sessions.get(threadId);
     if (cached) return cached;
     const session = new OpenAIConversationsSession({
@@ -1090,7 +2323,11 @@ class AgentsClient {
     return session;
   }
 
-  async ensureThread({ model, threadId, preamble }) {
+  // `corpora` (optional) selects which named corpora the thread's research tools search; it is
+  // fixed when the thread is created. Unknown names throw before anything is created.
+  async ensureThread({ model, threadId, preamble, corpora }) {
+    const resolved = corpora == null ? [] : this.resolveCorpusSelection(corpora);
+    const selectedCorpora = resolved.length ? resolved : null;
     if (threadId) {
       const existing = this.getThreadMeta(threadId);
       if (!existing || typeof existing !== "object" || !existing.createdAt) {
@@ -1098,6 +2335,7 @@ class AgentsClient {
           conversationDir: this.createConversationDir(threadId),
           createdAt: new Date().toISOString(),
           preamble: preamble || this.getDefaultThreadPreamble(),
+          ...(selectedCorpora ? { corpora: selectedCorpora } : {}),
         });
       }
       this.getSession(threadId);
@@ -1105,31 +2343,488 @@ class AgentsClient {
         threadId,
         isNewThread: false,
         conversationDir: this.getThreadConversationDir(threadId),
+        corpora: this.getThreadCorpora(threadId).map((c) => c.name),
       };
     }
 
-    const newThreadId = await startOpenAIConversationsSession(this.openai);
-    const conversationDir = this.createConversationDir(newThreadId);
-    this.setThreadMeta(newThreadId, {
-      conversationDir,
-      createdAt: new Date().toISOString(),
-      preamble: (typeof preamble === "string" && preamble.trim())
-        ? preamble.trim()
-        : this.getDefaultThreadPreamble(),
-      lastPreview: "",
-    });
-
-    this.getSession(newThreadId);
+    const newThreadId = await startOpenAIConversationsSession(this.openai);
+    const conversationDir = this.createConversationDir(newThreadId);
+    this.setThreadMeta(newThreadId, {
+      conversationDir,
+      createdAt: new Date().toISOString(),
+      preamble: (typeof preamble === "string" && preamble.trim())
+        ? preamble.trim()
+        : this.getDefaultThreadPreamble(),
+      lastPreview: "",
+      ...(selectedCorpora ? { corpora: selectedCorpora } : {}),
+    });
+
+    this.getSession(newThreadId);
+
+    return {
+      threadId: newThreadId,
+      isNewThread: true,
+      conversationDir,
+      corpora: this.getThreadCorpora(newThreadId).map((c) => c.name),
+    };
+  }
+
+  // Run one search over the corpus and return { mode, hits }. Fixed-string queries are served
+  // from the local index; regex searches (and anything the index can't answer) go through
+  // ripgrep, followed by normalized and cross-line scans when nothing matched. `filter` is a
+  // parsed file filter (file-filter.js) applied to every pass. `language` keeps hits in sections
+  // of that language: files with no such section are left out of every pass (so they don't use
+  // up maxMatches), and hits in other-language sections of bilingual files are dropped.
+  async searchCorpus(root, {
+    query,
+    regex = false,
+    caseSensitive = false,
+    contextLines = 0,
+    maxMatches = 80,
+    filter = null,
+    fuzzy = false,
+    maxEdits,
+    multiline = false,
+    language = "",
+  }, turnLog) {
+    const fileFilter = this.corpusFileFilter(root, filter);
+    const languages = language ? await this.getCorpusLanguages(root) : null;
+    const acceptFile = languages
+      ? (rel) => languages.has(rel) && matchesLanguage(languages.get(rel), language) && (!fileFilter || fileFilter(rel))
+      : fileFilter;
+    const inLanguage = (hit) => !languages
+      || (languages.has(hit.file) && matchesLanguage(languages.get(hit.file), language, hit.line));
+    if (fuzzy) {
+      const matches = [];
+      await this.forEachCorpusFile(root, (file, lines) => {
+        for (const m of findFuzzyLineMatches(lines, query, { maxEdits })) {
+          if (inLanguage({ file, line: m.line })) matches.push({ file, ...m });
+        }
+        return true;
+      }, acceptFile);
+      // Best scores first; ties keep corpus order.
+      const hits = matches
+        .map((m, i) => ({ m, i }))
+        .sort((a, b) => (b.m.score - a.m.score) || (a.i - b.i))
+        .slice(0, maxMatches)
+        .map(({ m }) => m);
+      return { mode: "fuzzy", hits: await this.attachPages(root, hits), totalMatches: matches.length };
+    }
+
+    let hits = [];
+    let mode = "rg";
+
+    const indexed = !regex
+      ? this.searchCorpusIndex(root, { query, caseSensitive, maxMatches, acceptFile })
+      : null;
+
+    if (indexed) {
+      hits = indexed;
+      mode = "index";
+    } else {
+      const args = ["-n", "--no-heading", "--color", "never", "--max-count", String(maxMatches)];
+      if (!caseSensitive) args.push("-i");
+      if (!regex) args.push("-F");
+      if (contextLines > 0) args.push("-C", String(contextLines));
+      args.push("-e", query, ".");
+
+      const rg = spawnSync("rg", args, {
+        cwd: root,
+        encoding: "utf8",
+        maxBuffer: 16 * 1024 * 1024,
+        timeout: RG_TIMEOUT_MS,
+      });
+
+      if (turnLog) {
+        turnLog.recordCliCommand({
+          command: "rg",
+          args,
+          cwd: root,
+          exitCode: Number.isFinite(rg.status) ? rg.status : -1,
+          error: rg.error ? (rg.error.message || String(rg.error)) : "",
+          stderr: String(rg.stderr || "").trim().slice(0, 1000),
+        });
+      }
+
+      if (!rg.error) {
+        // rg sees raw bytes; extracted sources (PDF, DOCX, HTML, CSV) are searched separately
+        // so their line numbers refer to the extracted text. rg walks the whole root, so the
+        // exclusion rules and the file filter are applied to its output before capping.
+        const isExcluded = this.getCorpusExclusionMatcher();
+        const filtered = acceptFile || isExcluded.active;
+        hits = parseRgMatches(rg.stdout, filtered ? Infinity : maxMatches)
+          .map((h) => ({
+            file: h.file.replace(/\\/g, "/").replace(/^\.\//, ""),
+            line: h.line,
+            text: h.text,
+          }))
+          .filter((h) => !getExtractor(h.file)
+            && !(isExcluded.active && isExcluded(h.file))
+            && !(acceptFile && !acceptFile(h.file)))
+          .slice(0, maxMatches);
+        if (hits.length < maxMatches) {
+          hits = hits.concat(await this.scanExtractedSources(root, {
+            query,
+            regex,
+            caseSensitive,
+            acceptFile,
+            maxMatches: maxMatches - hits.length,
+          }, turnLog));
+        }
+      } else {
+        mode = "fallback_scan";
+      }
+    }
+
+    if (!hits.length) {
+      const normalizedQuery = query.toLowerCase().replace(/\s+/g, "");
+      const indexedScan = normalizedQuery
+        ? this.scanCorpusIndex(
+          root,
+          (line) => line.toLowerCase().replace(/\s+/g, "").includes(normalizedQuery),
+          maxMatches,
+          acceptFile
+        )
+        : null;
+      if (indexedScan) {
+        if (indexedScan.length) {
+          hits = indexedScan;
+          mode = "normalized_scan";
+        }
+      } else if (normalizedQuery) {
+        const files = this.listCorpusTextFiles(root, 12000);
+        const results = [];
+        for (const file of files) {
+          if (results.length >= maxMatches) break;
+          const rel = path.relative(root, file).replace(/\\/g, "/");
+          if (acceptFile && !acceptFile(rel)) continue;
+          let lines;
+          try {
+            ({ lines } = await readCorpusLines(file));
+          } catch {
+            continue;
+          }
+          for (let i = 0; i < lines.length; i += 1) {
+            if (results.length >= maxMatches) break;
+            const normalizedLine = lines[i].toLowerCase().replace(/\s+/g, "");
+            if (!normalizedLine.includes(normalizedQuery)) continue;
+            results.push({
+              file: rel,
+              line: i + 1,
+              text: lines[i],
+            });
+          }
+        }
+        if (results.length) {
+          hits = results;
+          mode = "normalized_scan";
+        }
+      }
+    }
+
+    // PDF exports often break phrases (and hyphenated words) across lines, which none of
+    // the line-based passes above can see.
+    if (!regex && (multiline || !hits.length) && hits.length < maxMatches) {
+      const crossLine = [];
+      await this.forEachCorpusFile(root, (file, lines) => {
+        for (const m of findCrossLineMatches(lines, query)) {
+          crossLine.push({ file, ...m });
+          if (hits.length + crossLine.length >= maxMatches) return false;
+        }
+        return true;
+      }, acceptFile);
+      if (crossLine.length) {
+        if (!hits.length) mode = "cross_line";
+        hits = hits.concat(crossLine);
+      }
+    }
+
+    return { mode, hits: await this.attachPages(root, languages ? hits.filter(inLanguage) : hits) };
+  }
+
+  // Run searchCorpus over each corpus and interleave the results; every hit carries its corpus
+  // name. Corpora whose root is missing are skipped (and reported in `missing`).
+  async searchCorpora(corpora, options, turnLog) {
+    const runs = [];
+    const missing = [];
+    for (const corpus of corpora) {
+      if (!fs.existsSync(corpus.root)) {
+        missing.push(corpus.name);
+        continue;
+      }
+      runs.push({ corpus, result: await this.searchCorpus(corpus.root, options, turnLog) });
+    }
+    const maxMatches = options.maxMatches || 80;
+    const hits = interleaveHits(
+      runs.map(({ corpus, result }) => ({
+        hits: result.hits,
+        annotate: (hit) => ({ corpus: corpus.name, ...hit }),
+      })),
+      maxMatches,
+      (hit) => `${hit.corpus}:${hit.file}:${hit.line}`
+    );
+    const modes = [...new Set(runs.map(({ result }) => result.mode))];
+    const totals = runs.map(({ result }) => result.totalMatches).filter((n) => typeof n === "number");
+    return {
+      mode: modes.length === 1 ? modes[0] : modes.join("+") || "none",
+      hits,
+      ...(totals.length ? { totalMatches: totals.reduce((a, b) => a + b, 0) } : {}),
+      ...(missing.length ? { missing } : {}),
+    };
+  }
+
+  // Pick the corpus a relative path refers to: the named one (which must be among `corpora`),
+  // else the first of `corpora` that contains the file.
+  resolveCorpusForFile(corpora, relPath, name) {
+    if (name) {
+      const wanted = String(name).trim().toLowerCase();
+      const corpus = corpora.find((c) => c.name === wanted);
+      if (!corpus) throw new Error(`Unknown corpus: ${name}`);
+      return corpus;
+    }
+    for (const corpus of corpora) {
+      try {
+        if (fs.statSync(toSafeRelPath(corpus.root, relPath)).isFile()) return corpus;
+      } catch {
+        // Not in this corpus.
+      }
+    }
+    return corpora[0];
+  }
+
+  // Literal or regex line search over non-TXT sources, for the ripgrep path. Their cached
+  // extracted text is searched with rg itself, so model-supplied patterns get the same engine,
+  // literal handling and time limit as the main pass. Sources that fail to extract are skipped.
+  async scanExtractedSources(root, { query, regex, caseSensitive, acceptFile, maxMatches }, turnLog) {
+    const sources = new Map();
+    for (const file of this.listCorpusTextFiles(root, 12000)) {
+      if (!getExtractor(file)) continue;
+      const rel = path.relative(root, file).replace(/\\/g, "/");
+      if (acceptFile && !acceptFile(rel)) continue;
+      try {
+        sources.set(await extractCorpusText(file, CORPUS_TEXT_OPTIONS), rel);
+      } catch {
+        continue;
+      }
+    }
+
+    const textPaths = Array.from(sources.keys());
+    const order = new Map(textPaths.map((p, i) => [sources.get(p), i]));
+    const out = [];
+    for (let i = 0; i < textPaths.length && out.length < maxMatches; i += RG_PATHS_PER_RUN) {
+      const batch = textPaths.slice(i, i + RG_PATHS_PER_RUN);
+      const args = ["-n", "--no-heading", "--with-filename", "--color", "never", "--max-count", String(maxMatches)];
+      if (!caseSensitive) args.push("-i");
+      if (!regex) args.push("-F");
+      args.push("-e", query, "--");
+      const rg = spawnSync("rg", [...args, ...batch], {
+        encoding: "utf8",
+        maxBuffer: 16 * 1024 * 1024,
+        timeout: RG_TIMEOUT_MS,
+      });
+      if (turnLog) {
+        turnLog.recordCliCommand({
+          command: "rg",
+          args: [...args, `(${batch.length} extracted text files)`],
+          cwd: EXTRACT_CACHE_DIR,
+          exitCode: Number.isFinite(rg.status) ? rg.status : -1,
+          error: rg.error ? (rg.error.message || String(rg.error)) : "",
+          stderr: String(rg.stderr || "").trim().slice(0, 1000),
+        });
+      }
+      if (rg.error) break;
+      for (const hit of parseRgMatches(rg.stdout, maxMatches - out.length)) {
+        const file = sources.get(hit.file);
+        // Cached text keeps pdftotext's form feeds; corpus lines don't.
+        if (file) out.push({ file, line: hit.line, text: hit.text.replace(/\f/g, "") });
+      }
+    }
+    // rg searches files in parallel; report hits in corpus order.
+    return out.sort((a, b) => (order.get(a.file) - order.get(b.file)) || (a.line - b.line));
+  }
+
+  // Add match offsets into `text`, a snippet with the matches marked and an evidence ID to a
+  // search hit. Ranked hits carry no corpus/file of their own, so both are passed in. The offsets
+  // are stored for the ID and this search, and noted on the turn so the answer can cite them.
+  withEvidence(hit, { corpus, file, query, regex = false, caseSensitive = false, snippetChars = SNIPPET_CONTEXT_CHARS }, turnLog = null) {
+    const text = String(hit.text || "");
+    const search = { query: hit.variant || query, regex, caseSensitive };
+    const matches = findMatchSpans(text, { ...search, matchedText: hit.matchedText });
+    const id = evidenceId({ corpus, file, line: hit.line, endLine: hit.endLine, text });
+    const queryKey = evidenceStore.recordMatches(id, search, matches);
+    if (turnLog) turnLog.noteEvidence(id, queryKey);
+    return {
+      ...hit,
+      evidenceId: id,
+      matches,
+      ...(snippetChars > 0 ? { snippet: buildSnippet(text, matches, { chars: snippetChars }) } : {}),
+    };
+  }
+
+  // Resolve an evidence ID to its lines. When the lines no longer hash to the ID (the file was
+  // edited), the nearest line range with the same content is returned instead (`movedFrom`), or
+  // the original range with `stale: true` when there is none. `matches` are the offsets of the
+  // search the citing answer relied on (`turnId`, else the thread's latest citation of the ID,
+  // else the latest search that returned it), and `query` that search. Throws on malformed IDs,
+  // unknown corpora and unreadable or excluded files.
+  async resolveEvidence(id, { turnId = "", threadId = "" } = {}) {
+    const ref = parseEvidenceId(id);
+    const corpus = this.getCorpus(ref.corpus);
+    const { lines, pageMap } = await readCorpusLines(this.resolveCorpusPath(corpus.root, ref.file));
+    const span = ref.endLine - ref.line + 1;
+    const textAt = (start) => lines.slice(start - 1, start - 1 + span).join("\n");
+
+    let line = ref.line;
+    let stale = contentHash(textAt(line)) !== ref.hash;
+    if (stale) {
+      let best = 0;
+      for (let start = 1; start + span - 1 <= lines.length; start += 1) {
+        if (contentHash(textAt(start)) !== ref.hash) continue;
+        if (!best || Math.abs(start - ref.line) < Math.abs(best - ref.line)) best = start;
+      }
+      if (best) {
+        line = best;
+        stale = false;
+      }
+    }
+    const endLine = line + span - 1;
+    const stored = stale ? null : evidenceStore.getMatches(String(id).trim(), { turnId, threadId });
+    const page = pageForLine(pageMap, line);
+    const endPage = pageForLine(pageMap, endLine);
+    return {
+      id: String(id).trim(),
+      corpus: corpus.name,
+      file: ref.file,
+      line,
+      endLine,
+      ...(line !== ref.line ? { movedFrom: ref.line } : {}),
+      ...(page ? { page } : {}),
+      ...(endPage && endPage !== page ? { endPage } : {}),
+      stale,
+      text: textAt(line),
+      matches: stored ? stored.matches : [],
+      ...(stored ? { query: stored.query } : {}),
+    };
+  }
+
+  // Check the file references and evidence IDs in a final answer against the thread's corpora:
+  // the file exists and may be read, the line range is inside it, a cited page matches the
+  // lines, quoted text appears at the cited lines and evidence IDs still resolve to unchanged
+  // text. Returns { total, verified, unverified, citations } with { status, reasons } per
+  // reference, in answer order.
+  async verifyCitations(threadId, text) {
+    const corpora = this.getThreadCorpora(threadId);
+    const files = new Map();
+    const load = async (corpus, file) => {
+      const key = `${corpus.name}\u0000${file}`;
+      if (!files.has(key)) {
+        let entry;
+        try {
+          const full = this.resolveCorpusPath(corpus.root, file);
+          entry = fs.existsSync(full) ? { corpus, ...(await readCorpusLines(full)) } : null;
+        } catch (err) {
+          entry = { error: err.message || String(err) };
+        }
+        files.set(key, entry);
+      }
+      return files.get(key);
+    };
+
+    const citations = findCitations(text);
+    for (const c of citations) {
+      const reasons = [];
+      const notes = {};
+      if (c.evidenceId) {
+        try {
+          const ev = await this.resolveEvidence(c.evidenceId);
+          if (ev.stale) reasons.push("evidence ID does not match the current text of its lines");
+          else if (ev.movedFrom) notes.evidenceMovedTo = ev.line;
+        } catch (err) {
+          reasons.push(`evidence ID does not resolve (${err.message || String(err)})`);
+        }
+      }
+
+      const candidates = c.corpus ? corpora.filter((corpus) => corpus.name === c.corpus) : corpora;
+      let target = null;
+      let loadError = "";
+      for (const corpus of candidates) {
+        const entry = await load(corpus, c.file);
+        if (entry && entry.error) loadError = loadError || entry.error;
+        else if (entry) {
+          target = entry;
+          break;
+        }
+      }
+      if (!candidates.length) reasons.push(`corpus "${c.corpus}" is not available in this thread`);
+      else if (!target) reasons.push(loadError || "file not found in the corpus");
+
+      if (target) {
+        const total = target.lines.length;
+        if (c.line < 1 || c.endLine < c.line) reasons.push("invalid line range");
+        else if (c.endLine > total) reasons.push(`line ${c.endLine} is past the end of the file (${total} lines)`);
+        else {
+          const page = pageForLine(target.pageMap, c.line);
+          const endPage = pageForLine(target.pageMap, c.endLine) || page;
+          if (c.page && page && (c.page > endPage || (c.endPage || c.page) < page)) {
+            reasons.push(`line ${c.line} is on p.${page}, not p.${c.page}`);
+          }
+          if (c.quote) {
+            // Ellipses separate fragments of the quote; each must be present.
+            const pieces = c.quote.split(/…|\.\.\./).map((q) => foldText(q)).filter((q) => q.length >= 3);
+            const window = (start, end) => foldText(target.lines.slice(start - 1, end).join(" "));
+            const at = window(c.line, Math.min(total, c.endLine + CITATION_QUOTE_SLACK_LINES));
+            notes.quoteFound = pieces.every((q) => at.includes(q));
+            if (!notes.quoteFound && pieces.length) {
+              reasons.push("quoted text not found at the cited lines");
+              const span = c.endLine - c.line + 1 + CITATION_QUOTE_SLACK_LINES;
+              for (let start = 1; start <= total; start += 1) {
+                if (window(start, Math.min(total, start + span - 1)).includes(pieces[0])) {
+                  notes.quoteFoundAtLine = start;
+                  break;
+                }
+              }
+            }
+          }
+        }
+        c.corpus = target.corpus.name;
+      }
+      Object.assign(c, { status: reasons.length ? "unverified" : "verified", reasons, ...notes });
+    }
+
+    const verified = citations.filter((c) => c.status === "verified").length;
+    return { total: citations.length, verified, unverified: citations.length - verified, citations };
+  }
 
-    return {
-      threadId: newThreadId,
-      isNewThread: true,
-      conversationDir,
-    };
+  // Add the source page (and `endPage` for hits spanning a page break) to hits from paginated
+  // files: PDFs, DOCX, and exports with form feeds or page markers.
+  async attachPages(root, hits) {
+    const mapsByFile = new Map();
+    for (const hit of hits) {
+      if (mapsByFile.has(hit.file)) continue;
+      let pageMap = null;
+      try {
+        pageMap = await this.getPageMap(root, hit.file);
+      } catch {
+        // Unreadable now; leave hits from it without pages.
+      }
+      mapsByFile.set(hit.file, pageMap);
+    }
+    return hits.map((hit) => {
+      const pageMap = mapsByFile.get(hit.file);
+      const page = pageForLine(pageMap, hit.line);
+      if (!page) return hit;
+      const endPage = hit.endLine ? pageForLine(pageMap, hit.endLine) : page;
+      return endPage !== page ? { ...hit, page, endPage } : { ...hit, page };
+    });
   }
 
-  createResearchTools(turnLog) {
-    const root = this.ingredientsRoot;
+  // Tools are scoped to `corpora` (the thread's selection); hits and files name their corpus.
+  createResearchTools(turnLog, corpora = this.getCorpora(), signal = null) {
+    const corpusNames = corpora.map((c) => c.name);
+    const missingCorpusError = () => ({
+      ok: false,
+      error: `Ingredient directory not found: ${corpora.map((c) => c.root).join(", ")}`,
+    });
 
     // The Agents SDK defaults function tools to `strict: true`, which requires a
     // "strict JSON schema" that (among other constraints) doesn't play well with
@@ -1137,8 +2832,38 @@ class AgentsClient {
     // - Provide explicit JSON Schemas for tool parameters
     // - Disable strict mode for these tools (`strict: false`)
     // - Keep runtime input validation via Zod inside each `execute()`
+    const fileFilterInput = z.object({
+      include: z.array(z.string()).optional(),
+      exclude: z.array(z.string()).optional(),
+      folders: z.array(z.string()).optional(),
+      extensions: z.array(z.string()).optional(),
+      modifiedAfter: z.string().optional(),
+      modifiedBefore: z.string().optional(),
+      minSize: z.number().int().min(0).optional(),
+      maxSize: z.number().int().min(0).optional(),
+    });
+    // Shared by the list, search and read tools. Patterns are matched in-process against
+    // corpus-relative paths (see file-filter.js); admin exclusion rules always apply on top.
+    const fileFilterSchema = {
+      type: "object",
+      additionalProperties: false,
+      description: "Optional file filter; all given conditions must hold. Admin exclusion rules always apply and cannot be overridden.",
+      properties: {
+        include: { type: "array", items: { type: "string" }, description: "Globs (*, **, ?, {a,b}); a file must match one. A glob without / matches the file name." },
+        exclude: { type: "array", items: { type: "string" }, description: "Globs; files matching any are skipped." },
+        folders: { type: "array", items: { type: "string" }, description: "Folder paths relative to the corpus root (e.g. Suppliers/BASF); a file must be under one." },
+        extensions: { type: "array", items: { type: "string" }, description: "File extensions, e.g. [\"pdf\", \"txt\"]." },
+        modifiedAfter: { type: "string", description: "ISO date; only files modified on or after it." },
+        modifiedBefore: { type: "string", description: "ISO date; only files modified on or before it." },
+        minSize: { type: "integer", minimum: 0, description: "Minimum file size in bytes." },
+        maxSize: { type: "integer", minimum: 0, description: "Maximum file size in bytes." },
+      },
+    };
+
     const listFilesInput = z.object({
       contains: z.string().optional(),
+      filter: fileFilterInput.optional(),
+      language: z.enum(LANGUAGE_CODES).optional(),
       limit: z.number().int().min(1).max(2000).optional(),
     });
 
@@ -1149,23 +2874,94 @@ class AgentsClient {
       contextLines: z.number().int().min(0).max(4).optional(),
       maxMatches: z.number().int().min(1).max(300).optional(),
       glob: z.string().optional(),
+      filter: fileFilterInput.optional(),
+      fuzzy: z.boolean().optional(),
+      maxEdits: z.number().int().min(0).max(3).optional(),
+      multiline: z.boolean().optional(),
+      expandSynonyms: z.boolean().optional(),
+      rank: z.boolean().optional(),
+      pageSize: z.number().int().min(1).max(50).optional(),
+      hitsPerFile: z.number().int().min(1).max(20).optional(),
+      cursor: z.string().optional(),
+      collapseDuplicates: z.boolean().optional(),
+      language: z.enum(LANGUAGE_CODES).optional(),
+      snippetChars: z.number().int().min(0).max(400).optional(),
+    });
+
+    const lookupMaterialInput = z.object({
+      query: z.string().optional(),
+      cas: z.string().optional(),
+      inci: z.string().optional(),
+      supplier: z.string().optional(),
+      docType: z.enum(["TDS", "MSDS", "COA"]).optional(),
+      limit: z.number().int().min(1).max(200).optional(),
+    });
+
+    const propertySearchInput = z.object({
+      property: z.enum(PROPERTY_NAMES),
+      min: z.number().optional(),
+      max: z.number().optional(),
+      unit: z.string().optional(),
+      match: z.enum(["overlap", "within"]).optional(),
+      limit: z.number().int().min(1).max(200).optional(),
+    });
+
+    const regulatoryMaterial = z.object({
+      inci: z.string().optional(),
+      cas: z.string().optional(),
+      name: z.string().optional(),
+    });
+    const regulatoryCheckInput = z.object({
+      materials: z.array(regulatoryMaterial).min(1).max(50),
+      lists: z.array(z.string()).optional(),
+    });
+
+    const translateInput = z.object({
+      term: z.string().min(1),
+      direction: z.enum(["auto", "ko-en", "en-ko"]).optional(),
+    });
+
+    const readTableInput = z.object({
+      corpus: z.string().optional(),
+      relativePath: z.string().min(1),
+      startLine: z.number().int().min(1).optional(),
+      endLine: z.number().int().min(1).optional(),
+      tableIndex: z.number().int().min(0).optional(),
+      format: z.enum(["json", "csv", "both"]).optional(),
+      maxTables: z.number().int().min(1).max(20).optional(),
+    });
+
+    const semanticSearchInput = z.object({
+      query: z.string().min(1),
+      limit: z.number().int().min(1).max(50).optional(),
+      hybrid: z.boolean().optional(),
+      collapseDuplicates: z.boolean().optional(),
     });
 
     const readFileInput = z.object({
+      corpus: z.string().optional(),
       relativePath: z.string().min(1),
       startLine: z.number().int().min(1).optional(),
       maxLines: z.number().int().min(1).max(800).optional(),
+      page: z.number().int().min(1).optional(),
+      filter: fileFilterInput.optional(),
     });
 
     const listFilesTool = tool({
       name: "list_ingredient_files",
-      description: "List TXT files under the ingredient corpus. Use this to discover available documents.",
+      description: "List corpus files (TXT, PDF, DOCX, HTML, CSV) in the corpora selected for this thread. Each entry names its corpus. Use this to discover available documents.",
       strict: false,
       parameters: {
         type: "object",
         additionalProperties: false,
         properties: {
           contains: { type: "string", description: "Optional substring filter for relative file paths." },
+          filter: fileFilterSchema,
+          language: {
+            type: "string",
+            enum: LANGUAGE_CODES,
+            description: "Only files in this language (ko, en, mixed = Korean+English, ja, zh, unknown). Korean/English also match bilingual files and files with a section in that language.",
+          },
           limit: { type: "integer", minimum: 1, maximum: 2000, description: "Maximum files to return." },
         },
       },
@@ -1173,25 +2969,56 @@ class AgentsClient {
         if (turnLog) turnLog.recordToolCall();
         const parsed = listFilesInput.safeParse(input);
         if (!parsed.success) {
-          return { ok: false, error: "Invalid input. Expected { contains?: string, limit?: number }" };
+          return { ok: false, error: `Invalid input. Expected { contains?: string, filter?: object, language?: ${LANGUAGE_CODES.join("|")}, limit?: number }` };
         }
-        if (!fs.existsSync(root)) {
-          return {
-            ok: false,
-            error: `Ingredient directory not found: ${root}`,
-          };
+        const available = corpora.filter((c) => fs.existsSync(c.root));
+        if (!available.length) return missingCorpusError();
+        let filter;
+        try {
+          filter = parseFileFilter(parsed.data.filter);
+        } catch (err) {
+          return { ok: false, error: err.message || String(err) };
         }
 
         const contains = typeof parsed.data.contains === "string" ? parsed.data.contains.trim().toLowerCase() : "";
         const limit = clampNumber(parsed.data.limit, 1, 2000, 400);
-        const files = listTextFiles(root, 20000)
-          .map((full) => path.relative(root, full).replace(/\\/g, "/"))
-          .filter((rel) => (!contains || rel.toLowerCase().includes(contains)))
-          .slice(0, limit);
+        const language = parsed.data.language || "";
+        const files = [];
+        for (const corpus of available) {
+          if (files.length >= limit) break;
+          const languages = language ? await this.getCorpusLanguages(corpus.root) : null;
+          const acceptFile = this.corpusFileFilter(corpus.root, filter);
+          for (const full of this.listCorpusTextFiles(corpus.root, 20000)) {
+            const rel = path.relative(corpus.root, full).replace(/\\/g, "/");
+            if (contains && !rel.toLowerCase().includes(contains)) continue;
+            if (acceptFile && !acceptFile(rel)) continue;
+            if (languages) {
+              const info = languages.get(rel);
+              if (!info || !matchesLanguage(info, language)) continue;
+              files.push({ corpus: corpus.name, file: rel, language: info.language });
+            } else {
+              files.push({ corpus: corpus.name, file: rel });
+            }
+            if (files.length >= limit) break;
+          }
+        }
 
+        // A listing narrowed by name is a search for the ledger; a plain listing is not.
+        if (turnLog && contains) {
+          turnLog.recordSearch(searchEntry({
+            tool: "list_ingredient_files",
+            query: contains,
+            mode: "file name",
+            options: { language },
+            filter,
+            hits: files,
+          }));
+        }
         return {
           ok: true,
-          root,
+          corpora: corpusNames,
+          ...(filter ? { filter } : {}),
+          ...(language ? { language } : {}),
           count: files.length,
           files,
         };
@@ -1200,7 +3027,7 @@ class AgentsClient {
 
     const searchTool = tool({
       name: "search_ingredient_text",
-      description: "Search the ingredient TXT corpus by keyword or regex. Use repeatedly with alternate Korean/English terms and variants.",
+      description: "Search the corpora selected for this thread (TXT plus text extracted from PDF/DOCX/HTML/CSV) by keyword or regex. Use repeatedly with alternate Korean/English terms and variants. Results are ranked and grouped by file (best files first, best hits per file first, duplicates collapsed); pass nextCursor back as cursor, with the same parameters, for the next page instead of re-running broader queries. Every result names its corpus; hits from paginated sources include the source page.",
       strict: false,
       parameters: {
         type: "object",
@@ -1211,8 +3038,49 @@ class AgentsClient {
           regex: { type: "boolean", description: "If true, treat query as regex. Default false." },
           caseSensitive: { type: "boolean", description: "If true, do case-sensitive search. Default false." },
           contextLines: { type: "integer", minimum: 0, maximum: 4, description: "Context lines around matches (0-4)." },
-          maxMatches: { type: "integer", minimum: 1, maximum: 300, description: "Max matches to return (1-300)." },
-          glob: { type: "string", description: "Optional file glob filter (ripgrep -g)." },
+          maxMatches: { type: "integer", minimum: 1, maximum: 300, description: "Max hits to return (1-300). Ranked: across the page's files." },
+          glob: { type: "string", description: "Deprecated: same as filter.include with one glob (applies in every mode, fuzzy and multiline included). Not allowed together with filter.include." },
+          filter: fileFilterSchema,
+          fuzzy: {
+            type: "boolean",
+            description: "If true, OCR-tolerant matching: Unicode NFKC/NFC folding, ignores spacing and hyphens, joins hyphenated line breaks, allows small typos. Hits include score and normalizedSpan.",
+          },
+          maxEdits: {
+            type: "integer",
+            minimum: 0,
+            maximum: 3,
+            description: "Fuzzy mode only: max character edits allowed (0-3). Default depends on query length.",
+          },
+          multiline: {
+            type: "boolean",
+            description: "If true, also match phrases split across line breaks (incl. trailing hyphenation). Such hits have line/endLine and joinedText. This pass runs automatically when nothing else matches.",
+          },
+          expandSynonyms: {
+            type: "boolean",
+            description: "If true, also search every known variant of the query from the synonym dictionary (INCI, Korean name, CAS, trade names, misspellings) in one call. Each hit reports the variant that produced it.",
+          },
+          rank: {
+            type: "boolean",
+            description: "Default true: results as files[] ranked by BM25-style relevance (term frequency, proximity, heading/INCI-table boosts). false: flat hits[] in corpus order.",
+          },
+          pageSize: { type: "integer", minimum: 1, maximum: 50, description: "Ranked only: files per page (1-50). Default 10." },
+          hitsPerFile: { type: "integer", minimum: 1, maximum: 20, description: "Ranked only: best hits shown per file (1-20). Default 3; matchCount gives the total." },
+          cursor: { type: "string", description: "Ranked only: nextCursor from the previous call with the same parameters." },
+          collapseDuplicates: {
+            type: "boolean",
+            description: "If true, near-duplicate documents (the same TDS under other names or versions) are collapsed to one canonical file; the others are listed as alternates.",
+          },
+          language: {
+            type: "string",
+            enum: LANGUAGE_CODES,
+            description: "Only hits in sections of this language (ko, en, mixed, ja, zh, unknown); bilingual sections match both ko and en. Route Korean queries to ko and English queries to en.",
+          },
+          snippetChars: {
+            type: "integer",
+            minimum: 0,
+            maximum: 400,
+            description: `Characters of context either side of the first match in each hit's snippet (0-400, 0 = no snippet). Default ${SNIPPET_CONTEXT_CHARS}.`,
+          },
         },
       },
       execute: async (input) => {
@@ -1220,12 +3088,7 @@ class AgentsClient {
         if (!parsed.success) {
           return { ok: false, error: "Invalid input. Expected { query: string, ... }" };
         }
-        if (!fs.existsSync(root)) {
-          return {
-            ok: false,
-            error: `Ingredient directory not found: ${root}`,
-          };
-        }
+        if (!corpora.some((c) => fs.existsSync(c.root))) return missingCorpusError();
 
         const query = String(parsed.data.query || "").trim();
         if (!query) return { ok: false, error: "query is required" };
@@ -1235,110 +3098,187 @@ class AgentsClient {
         const contextLines = clampNumber(parsed.data.contextLines, 0, 4, 0);
         const maxMatches = clampNumber(parsed.data.maxMatches, 1, 300, 80);
         const glob = typeof parsed.data.glob === "string" ? parsed.data.glob.trim() : "";
+        let filter;
+        try {
+          const filterInput = parsed.data.filter || {};
+          // include globs are alternatives, so appending the glob there would widen the search.
+          if (glob && Array.isArray(filterInput.include) && filterInput.include.length) {
+            throw new Error("glob cannot be combined with filter.include; add the glob to filter.include instead");
+          }
+          filter = parseFileFilter(glob
+            ? { ...filterInput, include: [...(filterInput.include || []), glob] }
+            : parsed.data.filter);
+        } catch (err) {
+          return { ok: false, error: err.message || String(err) };
+        }
+        const fuzzy = Boolean(parsed.data.fuzzy);
+        const multiline = Boolean(parsed.data.multiline);
+        const expandSynonyms = Boolean(parsed.data.expandSynonyms);
+        const rank = parsed.data.rank !== false;
+        const pageSize = clampNumber(parsed.data.pageSize, 1, 50, 10);
+        const hitsPerFile = clampNumber(parsed.data.hitsPerFile, 1, 20, 3);
+        const collapse = Boolean(parsed.data.collapseDuplicates);
+        const language = parsed.data.language || "";
+        const snippetChars = clampNumber(parsed.data.snippetChars, 0, 400, SNIPPET_CONTEXT_CHARS);
+
+        if (fuzzy && regex) return { ok: false, error: "fuzzy and regex cannot be combined" };
+        if (expandSynonyms && regex) return { ok: false, error: "expandSynonyms and regex cannot be combined" };
+
+        const options = {
+          regex,
+          caseSensitive,
+          contextLines,
+          // Ranking needs the whole candidate set, not the first maxMatches lines rg happens to emit.
+          maxMatches: rank ? SEARCH_RANK_CANDIDATES : maxMatches,
+          filter,
+          fuzzy,
+          maxEdits: Number.isInteger(parsed.data.maxEdits) ? parsed.data.maxEdits : undefined,
+          multiline,
+          language,
+        };
 
-        const args = ["-n", "--no-heading", "--color", "never", "--max-count", String(maxMatches)];
-        if (!caseSensitive) args.push("-i");
-        if (!regex) args.push("-F");
-        if (contextLines > 0) args.push("-C", String(contextLines));
-        if (glob) args.push("-g", glob);
-        args.push(query, ".");
-
-        let hits = [];
-        let mode = "rg";
-
-        const rg = spawnSync("rg", args, {
-          cwd: root,
-          encoding: "utf8",
-          maxBuffer: 16 * 1024 * 1024,
+        const signature = searchSignature({
+          query, regex, caseSensitive, filter, fuzzy, maxEdits: options.maxEdits, multiline, expandSynonyms,
+          corpora: corpusNames, pageSize, hitsPerFile, maxMatches, collapse, language,
         });
-
-        if (turnLog) {
-          turnLog.recordCliCommand({
-            command: "rg",
-            args,
-            cwd: root,
-            exitCode: Number.isFinite(rg.status) ? rg.status : -1,
-            error: rg.error ? (rg.error.message || String(rg.error)) : "",
-            stderr: String(rg.stderr || "").trim().slice(0, 1000),
-          });
+        let offset = 0;
+        if (parsed.data.cursor) {
+          if (!rank) return { ok: false, error: "cursor requires ranked results" };
+          try {
+            offset = decodeCursor(parsed.data.cursor, signature);
+          } catch (err) {
+            return { ok: false, error: err.message || String(err) };
+          }
         }
 
-        if (!rg.error) {
-          hits = parseRgMatches(rg.stdout, maxMatches).map((h) => ({
-            file: h.file.replace(/\\/g, "/"),
-            line: h.line,
-            text: h.text,
+        let result;
+        let variants = null;
+        if (expandSynonyms) {
+          const runs = [];
+          for (const variant of referenceStore.expandTerm(query)) {
+            runs.push({ variant, result: await this.searchCorpora(corpora, { ...options, query: variant.term }, turnLog) });
+          }
+          variants = runs.map(({ variant, result: r }) => ({
+            term: variant.term,
+            kind: variant.kind,
+            group: variant.group,
+            mode: r.mode,
+            count: r.hits.length,
           }));
+          // Interleave variants so one prolific spelling can't crowd out the others.
+          const hits = interleaveHits(
+            runs.map(({ variant, result: r }) => ({
+              hits: r.hits,
+              annotate: (hit) => ({ ...hit, variant: variant.term }),
+            })),
+            options.maxMatches,
+            (hit) => `${hit.corpus}:${hit.file}:${hit.line}`
+          );
+          result = { mode: "expanded", hits };
         } else {
-          mode = "fallback_scan";
-        }
-
-        if (!hits.length) {
-          const normalizedQuery = query.toLowerCase().replace(/\s+/g, "");
-          if (normalizedQuery) {
-            const files = listTextFiles(root, 12000);
-            const results = [];
-            for (const file of files) {
-              if (results.length >= maxMatches) break;
-              let raw;
-              try {
-                raw = fs.readFileSync(file, "utf8");
-              } catch {
-                continue;
-              }
-              const lines = raw.split(/\r?\n/);
-              for (let i = 0; i < lines.length; i += 1) {
-                if (results.length >= maxMatches) break;
-                const normalizedLine = lines[i].toLowerCase().replace(/\s+/g, "");
-                if (!normalizedLine.includes(normalizedQuery)) continue;
-                results.push({
-                  file: path.relative(root, file).replace(/\\/g, "/"),
-                  line: i + 1,
-                  text: lines[i],
-                });
-              }
-            }
-            if (results.length) {
-              hits = results;
-              mode = "normalized_scan";
-            }
-          }
+          result = await this.searchCorpora(corpora, { ...options, query }, turnLog);
         }
 
-        const grepHitsInjected = hits.length;
-        const grepCharsInjected = hits.reduce((sum, h) => sum + String(h && h.text ? h.text : "").length, 0);
-        if (turnLog) {
+        const summary = {
+          ok: true,
+          corpora: corpusNames,
+          mode: result.mode,
+          query,
+          regex,
+          caseSensitive: fuzzy ? false : caseSensitive,
+          ...(filter ? { filter } : {}),
+          ...(language ? { language } : {}),
+          ...(variants ? { variants } : {}),
+          ...(typeof result.totalMatches === "number" ? { totalMatches: result.totalMatches } : {}),
+          ...(result.missing ? { missingCorpora: result.missing } : {}),
+        };
+        const evidenceOptions = { query, regex, caseSensitive: fuzzy ? false : caseSensitive, snippetChars };
+        const recordInjected = (hits) => {
+          if (!turnLog) return;
           turnLog.recordToolCall({
-            grepHitsInjected,
-            grepCharsInjected,
+            grepHitsInjected: hits.length,
+            grepCharsInjected: hits.reduce((sum, h) => sum + String(h && h.text ? h.text : "").length, 0),
           });
+        };
+        // `results` are the hits (flat) or file groups (ranked) returned to the model.
+        const recordSearch = (results, totals = {}) => {
+          if (!turnLog) return;
+          turnLog.recordSearch(searchEntry({
+            tool: "search_ingredient_text",
+            query,
+            mode: regex ? "regex" : fuzzy ? "fuzzy" : expandSynonyms ? "synonyms" : "literal",
+            options: { language, multiline, caseSensitive: !fuzzy && caseSensitive, offset: offset || null, engine: result.mode },
+            filter,
+            hits: results,
+            ...totals,
+          }));
+        };
+
+        if (!rank) {
+          const { items, collapsed } = collapse
+            ? await this.collapseDuplicateResults(corpora, result.hits)
+            : { items: result.hits, collapsed: null };
+          const hits = items.map((hit) => this.withEvidence(hit, { ...evidenceOptions, corpus: hit.corpus, file: hit.file }, turnLog));
+          recordInjected(hits);
+          recordSearch(hits);
+          return { ...summary, count: hits.length, hits, ...(collapsed ? { collapsedDuplicates: collapsed } : {}) };
         }
 
+        // Fill the page with whole files until pageSize files or maxMatches hits; the first file
+        // is always included so a page is never empty while results remain.
+        let ranked = rankSearchHits(result.hits, { query, regex, hitsPerFile });
+        if (collapse) {
+          const { items, collapsed } = await this.collapseDuplicateResults(corpora, ranked);
+          const alternatesOf = new Map(collapsed.map((c) => [`${c.corpus}\u0000${c.file}`, c.alternates]));
+          ranked = items.map((group) => {
+            const alternates = alternatesOf.get(`${group.corpus}\u0000${group.file}`);
+            return alternates ? { ...group, alternates } : group;
+          });
+        }
+        const files = [];
+        let pageHits = 0;
+        let next = offset;
+        while (next < ranked.length && files.length < pageSize) {
+          const group = ranked[next];
+          if (files.length && pageHits + group.hits.length > maxMatches) break;
+          files.push({
+            ...group,
+            hits: group.hits.map((hit) => this.withEvidence(hit, { ...evidenceOptions, corpus: group.corpus, file: group.file }, turnLog)),
+          });
+          pageHits += group.hits.length;
+          next += 1;
+        }
+        const totalHits = ranked.reduce((sum, f) => sum + f.matchCount, 0);
+        recordInjected(files.flatMap((f) => f.hits));
+        recordSearch(files, { totalHits, totalFiles: ranked.length });
         return {
-          ok: true,
-          root,
-          mode,
-          query,
-          regex,
-          caseSensitive,
-          count: hits.length,
-          hits,
+          ...summary,
+          totalFiles: ranked.length,
+          totalHits,
+          ...(result.hits.length >= SEARCH_RANK_CANDIDATES ? { truncated: true } : {}),
+          offset,
+          count: pageHits,
+          files,
+          nextCursor: next < ranked.length ? encodeCursor(signature, next) : null,
         };
       },
     });
 
     const readFileTool = tool({
       name: "read_ingredient_file",
-      description: "Read a specific TXT file from the ingredient corpus for detailed analysis.",
+      description: "Read a specific corpus file for detailed analysis. Non-TXT sources return their extracted text; line numbers match search hits. Paginated files also return page, endPage and the pageBreaks ({ line, page }) inside the range.",
       strict: false,
       parameters: {
         type: "object",
         additionalProperties: false,
         required: ["relativePath"],
         properties: {
-          relativePath: { type: "string", minLength: 1, description: "Relative path to a .txt file under the corpus root." },
+          corpus: { type: "string", description: "Corpus name from the hit or file listing. Default: the first selected corpus containing relativePath." },
+          relativePath: { type: "string", minLength: 1, description: "Relative path to a corpus file (.txt, .pdf, .docx, .html, .csv) under the corpus root." },
           startLine: { type: "integer", minimum: 1, description: "1-based start line. Default 1." },
           maxLines: { type: "integer", minimum: 1, maximum: 800, description: "Max lines to return (1-800)." },
+          page: { type: "integer", minimum: 1, description: "Start at the first line of this source page instead of startLine (paginated files only)." },
+          filter: { ...fileFilterSchema, description: "Optional: refuse the read unless the file matches this filter (pass the filter used for searching)." },
         },
       },
       execute: async (input) => {
@@ -1347,91 +3287,680 @@ class AgentsClient {
         if (!parsed.success) {
           return { ok: false, error: "Invalid input. Expected { relativePath: string, ... }" };
         }
-        if (!fs.existsSync(root)) {
+
+        try {
+          const corpus = this.resolveCorpusForFile(corpora, parsed.data.relativePath, parsed.data.corpus);
+          if (!fs.existsSync(corpus.root)) return missingCorpusError();
+          const acceptFile = this.corpusFileFilter(corpus.root, parseFileFilter(parsed.data.filter));
+          if (acceptFile) {
+            const rel = path.relative(corpus.root, toSafeRelPath(corpus.root, parsed.data.relativePath)).replace(/\\/g, "/");
+            if (!acceptFile(rel)) return { ok: false, error: `File does not match the filter: ${rel}` };
+          }
+          const read = await this.readCorpusFile(corpus.root, parsed.data.relativePath, parsed.data);
+          if (turnLog) {
+            turnLog.recordRead({
+              tool: "read_ingredient_file",
+              corpus: corpus.name,
+              file: read.relativePath,
+              startLine: read.startLine,
+              endLine: read.endLine,
+              ...(read.page ? { page: read.page, endPage: read.endPage } : {}),
+            });
+          }
+          return { ok: true, corpus: corpus.name, ...read };
+        } catch (err) {
+          return { ok: false, error: err.message || String(err) };
+        }
+      },
+    });
+
+    const lookupMaterialTool = tool({
+      name: "lookup_material",
+      description: "Look up the material catalog extracted from the corpus (CAS numbers, INCI names, suppliers, document types TDS/MSDS/COA). Returns matching files with the extracted facts and their line numbers.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          query: { type: "string", description: "Free-text match against any catalog field." },
+          cas: { type: "string", description: "CAS number, e.g. 56-81-5 (exact match)." },
+          inci: { type: "string", description: "INCI name (substring match, case/spacing-insensitive)." },
+          supplier: { type: "string", description: "Supplier/manufacturer name (substring match)." },
+          docType: { type: "string", enum: ["TDS", "MSDS", "COA"], description: "Document type filter." },
+          limit: { type: "integer", minimum: 1, maximum: 200, description: "Maximum files to return. Default 50." },
+        },
+      },
+      execute: async (input) => {
+        if (turnLog) turnLog.recordToolCall();
+        const parsed = lookupMaterialInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: "Invalid input. Expected { query?, cas?, inci?, supplier?, docType?, limit? }" };
+        }
+        const limit = clampNumber(parsed.data.limit, 1, 200, 50);
+        const materials = [];
+        const recordSearch = (error) => {
+          if (!turnLog) return;
+          turnLog.recordSearch(searchEntry({
+            tool: "lookup_material",
+            query: Object.entries(parsed.data)
+              .filter(([key]) => key !== "limit")
+              .map(([key, value]) => `${key} ${value}`)
+              .join(", "),
+            mode: "catalog",
+            hits: materials,
+            error,
+          }));
+        };
+        try {
+          for (const corpus of corpora) {
+            if (materials.length >= limit || !fs.existsSync(corpus.root)) continue;
+            for (const m of await this.lookupMaterials(corpus.root, { ...parsed.data, limit: limit - materials.length })) {
+              materials.push({ corpus: corpus.name, ...m });
+            }
+          }
+        } catch (err) {
+          recordSearch(err.message || String(err));
+          return { ok: false, error: err.message || String(err) };
+        }
+        recordSearch();
+        return {
+          ok: true,
+          corpora: corpusNames,
+          count: materials.length,
+          materials,
+        };
+      },
+    });
+
+    const propertySearchTool = tool({
+      name: "search_material_properties",
+      description: "Find materials by numeric specification value extracted from the corpus: pH, viscosity (cP), melting_point (°C), hlb, assay (%). Values are stored as ranges (\"5.0-7.0\", \"≥ 99 %\") in the canonical unit; min/max given in another unit (mPa·s, Pa·s, °F, K) are converted. Returns files with the matching values, lines and pages.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["property"],
+        properties: {
+          property: { type: "string", enum: PROPERTY_NAMES, description: "Property to filter on." },
+          min: { type: "number", description: "Lower bound (inclusive). Omit for no lower bound." },
+          max: { type: "number", description: "Upper bound (inclusive). Omit for no upper bound." },
+          unit: { type: "string", description: "Unit of min/max when not canonical, e.g. mPa·s, Pa·s, °F, K." },
+          match: { type: "string", enum: ["overlap", "within"], description: "overlap (default): the material's range intersects [min, max]; within: it lies entirely inside." },
+          limit: { type: "integer", minimum: 1, maximum: 200, description: "Maximum files to return. Default 50." },
+        },
+      },
+      execute: async (input) => {
+        if (turnLog) turnLog.recordToolCall();
+        const parsed = propertySearchInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: `Invalid input. Expected { property: ${PROPERTY_NAMES.join("|")}, min?, max?, unit?, match?, limit? }` };
+        }
+        const limit = clampNumber(parsed.data.limit, 1, 200, 50);
+        const files = [];
+        const recordSearch = (error) => {
+          if (!turnLog) return;
+          const { property, min, max, unit, match } = parsed.data;
+          const range = `${min ?? ""}-${max ?? ""}`;
+          turnLog.recordSearch(searchEntry({
+            tool: "search_material_properties",
+            query: `${property} ${range === "-" ? "any" : range}${unit ? ` ${unit}` : ""}`,
+            mode: "property",
+            options: { match },
+            hits: files,
+            error,
+          }));
+        };
+        try {
+          for (const corpus of corpora) {
+            if (files.length >= limit || !fs.existsSync(corpus.root)) continue;
+            for (const f of await this.searchProperties(corpus.root, { ...parsed.data, limit: limit - files.length })) {
+              files.push({ corpus: corpus.name, ...f });
+            }
+          }
+        } catch (err) {
+          recordSearch(err.message || String(err));
+          return { ok: false, error: err.message || String(err) };
+        }
+        recordSearch();
+        return {
+          ok: true,
+          corpora: corpusNames,
+          property: parsed.data.property,
+          unit: PROPERTY_DEFS[parsed.data.property].unit,
+          count: files.length,
+          files,
+        };
+      },
+    });
+
+    const regulatoryCheckTool = tool({
+      name: "check_regulatory_status",
+      description: "Check materials against the regulatory lists uploaded by admins (e.g. EU Annex II/III, Korean MFDS restricted lists, China IECIC). Matches by INCI/other name (synonyms expanded) or CAS number and returns each matching entry's list, status (prohibited/restricted/listed, with the list's own wording as statusText), concentration limit, conditions and notes, plus per list whether the material was found. The overall status is the most severe of prohibited, restricted, not_in_inventory (missing from a checked inventory such as IECIC), listed and not_listed.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["materials"],
+        properties: {
+          materials: {
+            type: "array",
+            minItems: 1,
+            maxItems: 50,
+            description: "Materials to check; give at least one of inci, cas or name for each.",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                inci: { type: "string", description: "INCI name." },
+                cas: { type: "string", description: "CAS number(s), separated by ; when several." },
+                name: { type: "string", description: "Other name (Korean, trade name)." },
+              },
+            },
+          },
+          lists: { type: "array", items: { type: "string" }, description: "Optional list names to restrict the check to; unknown names are an error. Default: all lists." },
+        },
+      },
+      execute: async (input) => {
+        if (turnLog) turnLog.recordToolCall();
+        const parsed = regulatoryCheckInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: "Invalid input. Expected { materials: [{ inci?, cas?, name? }], lists?: string[] }" };
+        }
+        if (!referenceStore.listRegulatoryLists().length) {
+          return { ok: false, error: "No regulatory lists have been uploaded; say so instead of guessing a regulatory status." };
+        }
+        const results = parsed.data.materials.map((material) => {
+          try {
+            return { ...material, ...referenceStore.checkRegulatoryStatus({ ...material, lists: parsed.data.lists }) };
+          } catch (err) {
+            return { ...material, error: err.message || String(err) };
+          }
+        });
+        return { ok: true, count: results.length, results };
+      },
+    });
+
+    const translateTool = tool({
+      name: "translate_term",
+      description: "Translate an ingredient or specification term between Korean and English using the local glossary (admin-curated and seeded from pairs stated in the corpus, e.g. \"글리세린(Glycerin)\") and the synonym dictionary. Returns translations and every candidate spelling in both languages, to search them in one step.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["term"],
+        properties: {
+          term: { type: "string", minLength: 1, description: "Korean or English term, e.g. 히알루론산 or Sodium Hyaluronate." },
+          direction: { type: "string", enum: ["auto", "ko-en", "en-ko"], description: "Default auto: from the term's script." },
+        },
+      },
+      execute: async (input) => {
+        if (turnLog) turnLog.recordToolCall();
+        const parsed = translateInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: "Invalid input. Expected { term: string, direction?: auto|ko-en|en-ko }" };
+        }
+        try {
+          const term = parsed.data.term.trim();
+          const result = referenceStore.translateTerm(term, { direction: parsed.data.direction });
           return {
-            ok: false,
-            error: `Ingredient directory not found: ${root}`,
+            ok: true,
+            term,
+            ...result,
+            ...(result.translations.length
+              ? {}
+              : { note: "No glossary or synonym entry; search with the term and look for the other language near its hits." }),
           };
+        } catch (err) {
+          return { ok: false, error: err.message || String(err) };
+        }
+      },
+    });
+
+    const readTableTool = tool({
+      name: "read_ingredient_table",
+      description: "Extract specification tables (appearance, pH, viscosity, heavy metals, ...) from a corpus file. Detects whitespace- or tab-aligned columns and returns each table as header + rows (and records keyed by header) and/or CSV, with its line range and page. Use to compare property values across materials instead of parsing raw lines.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["relativePath"],
+        properties: {
+          corpus: { type: "string", description: "Corpus name from the hit or file listing. Default: the first selected corpus containing relativePath." },
+          relativePath: { type: "string", minLength: 1, description: "Relative path to a corpus file under the corpus root." },
+          startLine: { type: "integer", minimum: 1, description: "Only look for tables from this line (e.g. a search hit minus a few lines)." },
+          endLine: { type: "integer", minimum: 1, description: "Only look for tables up to this line." },
+          tableIndex: { type: "integer", minimum: 0, description: "Return only this table (0-based, among those found in the range)." },
+          format: { type: "string", enum: ["json", "csv", "both"], description: "json: header/rows/records; csv: CSV text; both (default)." },
+          maxTables: { type: "integer", minimum: 1, maximum: 20, description: "Max tables to return (1-20). Default 5." },
+        },
+      },
+      execute: async (input) => {
+        if (turnLog) turnLog.recordToolCall();
+        const parsed = readTableInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: "Invalid input. Expected { relativePath: string, startLine?, endLine?, tableIndex?, format?, maxTables? }" };
         }
+        const { relativePath, startLine, endLine, tableIndex } = parsed.data;
+        const format = parsed.data.format || "both";
+        const maxTables = clampNumber(parsed.data.maxTables, 1, 20, 5);
 
+        let corpus;
         let full;
+        let lines;
+        let pageMap = null;
         try {
-          full = toSafeRelPath(root, parsed.data.relativePath);
+          corpus = this.resolveCorpusForFile(corpora, relativePath, parsed.data.corpus);
+          if (!fs.existsSync(corpus.root)) return missingCorpusError();
+          full = this.resolveCorpusPath(corpus.root, relativePath);
+          ({ lines, pageMap } = await readCorpusLines(full));
         } catch (err) {
           return { ok: false, error: err.message || String(err) };
         }
 
-        let raw;
+        const found = detectTables(lines, { startLine: startLine || 1, endLine: endLine || lines.length });
+        if (Number.isInteger(tableIndex) && tableIndex >= found.length) {
+          return { ok: false, error: `tableIndex ${tableIndex} out of range (${found.length} tables found)` };
+        }
+        const selected = Number.isInteger(tableIndex)
+          ? [{ table: found[tableIndex], index: tableIndex }]
+          : found.slice(0, maxTables).map((table, index) => ({ table, index }));
+        const tables = selected.map(({ table, index }) => {
+          const page = pageForLine(pageMap, table.startLine);
+          const endPage = pageForLine(pageMap, table.endLine);
+          const out = {
+            index,
+            startLine: table.startLine,
+            endLine: table.endLine,
+            ...(page ? { page } : {}),
+            ...(endPage && endPage !== page ? { endPage } : {}),
+            columnCount: (table.header || table.rows[0] || []).length,
+            rowCount: table.rows.length,
+          };
+          if (format !== "csv") {
+            out.header = table.header;
+            out.rows = table.rows;
+            out.rowLines = table.rowLines;
+            const records = tableRecords(table);
+            if (records) out.records = records;
+          }
+          if (format !== "json") out.csv = toCsv(table.header ? [table.header, ...table.rows] : table.rows);
+          return out;
+        });
+
+        const rel = path.relative(corpus.root, full).replace(/\\/g, "/");
+        if (turnLog) {
+          const first = startLine || 1;
+          const last = Math.min(endLine || lines.length, lines.length);
+          turnLog.recordRead({
+            tool: "read_ingredient_table",
+            corpus: corpus.name,
+            file: rel,
+            startLine: tables.length ? tables[0].startLine : first,
+            endLine: tables.length ? tables[tables.length - 1].endLine : last,
+            tables: tables.length,
+          });
+        }
+        return {
+          ok: true,
+          corpus: corpus.name,
+          relativePath: rel,
+          totalLines: lines.length,
+          tableCount: found.length,
+          tables,
+        };
+      },
+    });
+
+    const semanticSearchTool = tool({
+      name: "semantic_search_ingredients",
+      description: "Search the corpus by meaning rather than exact words (e.g. \"moisture retention\" finds passages about humectants). Returns ranked passages (line ranges) with their corpus; by default keyword hits for the same query are fused into the ranking. Verify passages with read_ingredient_file before citing.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["query"],
+        properties: {
+          query: { type: "string", minLength: 1, description: "Natural-language description of what to find." },
+          limit: { type: "integer", minimum: 1, maximum: 50, description: "Max passages to return (1-50). Default 10." },
+          hybrid: { type: "boolean", description: "If false, rank by embedding similarity only. Default true." },
+          collapseDuplicates: { type: "boolean", description: "If true, keep passages from one canonical file per near-duplicate cluster and list the others as alternates." },
+        },
+      },
+      execute: async (input) => {
+        const parsed = semanticSearchInput.safeParse(input);
+        if (!parsed.success) {
+          return { ok: false, error: "Invalid input. Expected { query: string, limit?: number, hybrid?: boolean, collapseDuplicates?: boolean }" };
+        }
+        if (!corpora.some((c) => fs.existsSync(c.root))) return missingCorpusError();
+        const query = parsed.data.query.trim();
+        if (!query) return { ok: false, error: "query is required" };
+
+        let result;
         try {
-          raw = fs.readFileSync(full, "utf8");
+          result = await this.semanticSearch(corpora, {
+            query,
+            limit: clampNumber(parsed.data.limit, 1, 50, 10),
+            hybrid: parsed.data.hybrid !== false,
+          }, turnLog, signal);
         } catch (err) {
+          if (turnLog) {
+            turnLog.recordToolCall();
+            turnLog.recordSearch(searchEntry({ tool: "semantic_search_ingredients", query, mode: "semantic", error: err.message || String(err) }));
+          }
           return { ok: false, error: err.message || String(err) };
         }
-
-        const lines = raw.split(/\r?\n/);
-        const startLine = clampNumber(parsed.data.startLine, 1, Math.max(lines.length, 1), 1);
-        const maxLines = clampNumber(parsed.data.maxLines, 1, 800, 260);
-        const startIndex = startLine - 1;
-        const endIndex = Math.min(lines.length, startIndex + maxLines);
-
+        const { items, collapsed } = parsed.data.collapseDuplicates
+          ? await this.collapseDuplicateResults(corpora, result.hits)
+          : { items: result.hits, collapsed: null };
+        const hits = items.map((hit) => this.withEvidence(hit, { corpus: hit.corpus, file: hit.file, query }, turnLog));
+        if (turnLog) {
+          turnLog.recordToolCall({
+            grepHitsInjected: hits.length,
+            grepCharsInjected: hits.reduce((sum, h) => sum + String(h.text || "").length, 0),
+          });
+          turnLog.recordSearch(searchEntry({
+            tool: "semantic_search_ingredients",
+            query,
+            mode: parsed.data.hybrid === false ? "semantic" : "hybrid",
+            hits,
+          }));
+        }
         return {
           ok: true,
-          relativePath: path.relative(root, full).replace(/\\/g, "/"),
-          startLine,
-          endLine: endIndex,
-          totalLines: lines.length,
-          text: lines.slice(startIndex, endIndex).join("\n"),
+          corpora: corpusNames,
+          query,
+          embeddingModel: this.getEmbeddingModelKey(),
+          vectorCandidates: result.vectorCount,
+          keywordCandidates: result.keywordCount,
+          count: hits.length,
+          hits,
+          ...(collapsed ? { collapsedDuplicates: collapsed } : {}),
+          ...(result.indexing.length ? {
+            stillIndexing: result.indexing,
+            note: `Embeddings are still being built (${result.indexing.map((p) => `${p.corpus}: ${p.done}/${p.total} files`).join(", ")}); `
+              + "semantic ranking covers only the files embedded so far. Use search_ingredient_text for complete coverage, or retry later.",
+          } : {}),
         };
       },
     });
 
-    return [listFilesTool, searchTool, readFileTool];
+    const tools = [
+      listFilesTool,
+      searchTool,
+      readFileTool,
+      readTableTool,
+      lookupMaterialTool,
+      propertySearchTool,
+      regulatoryCheckTool,
+      translateTool,
+    ];
+    if (this.vectorStore) tools.push(semanticSearchTool);
+    return tools;
   }
 
-  buildAgent({ model, threadId, turnLog }) {
-    const reasoningEffort = this.getReasoningEffort();
-    const compactionEnabled = this.getCompactionEnabled();
-    const compactionThreshold = this.getCompactionThreshold();
-    const instructions = this.buildAgentInstructions(threadId);
-
+  buildModelSettings() {
     const modelSettings = {};
     if (!(REASONING_SUMMARY === "off" || REASONING_SUMMARY === "false" || REASONING_SUMMARY === "0")) {
       modelSettings.reasoning = {
-        effort: reasoningEffort,
+        effort: this.getReasoningEffort(),
         summary: (["auto", "concise", "detailed"].includes(REASONING_SUMMARY) ? REASONING_SUMMARY : "auto"),
       };
     }
-    if (compactionEnabled) {
+    if (this.getCompactionEnabled()) {
       modelSettings.providerData = {
         context_management: [
-          { type: "compaction", compact_threshold: compactionThreshold },
+          { type: "compaction", compact_threshold: this.getCompactionThreshold() },
         ],
       };
     }
+    return modelSettings;
+  }
+
+  // With `structured`, the agent that writes the answer returns STRUCTURED_ANSWER_OUTPUT JSON.
+  buildAgent({ model, threadId, turnLog, pipeline = "single", structured = false, maxTurns, signal, onStage }) {
+    const agentModel = model || this.getDefaultModel();
+    const modelSettings = this.buildModelSettings();
+    const tools = this.createResearchTools(turnLog, this.getThreadCorpora(threadId), signal);
+    if (pipeline === "multi") {
+      return this.buildResearchPipeline({ model: agentModel, threadId, turnLog, modelSettings, tools, structured, maxTurns, signal, onStage });
+    }
 
+    const instructions = this.buildAgentInstructions(threadId);
     return new Agent({
       name: "IngredientDeepResearchAgent",
-      model: model || this.getDefaultModel(),
-      instructions,
+      model: agentModel,
+      instructions: structured ? `${instructions}\n${STRUCTURED_ANSWER_INSTRUCTIONS}` : instructions,
+      modelSettings,
+      tools,
+      ...(structured ? { outputType: STRUCTURED_ANSWER_OUTPUT } : {}),
+    });
+  }
+
+  // Planner -> searchers -> verifier. The planner (the entry agent) splits the question into
+  // sub-questions and runs a searcher agent per sub-question through research_subquestion, in
+  // parallel when it calls the tool several times in one response, then hands the findings off to
+  // the verifier. The verifier re-reads every cited line, drops claims the text does not support
+  // and writes the final answer. Each stage's activity is reported through onStage(entry).
+  buildResearchPipeline({ model, threadId, turnLog, modelSettings, tools, structured = false, maxTurns, signal, onStage }) {
+    const stage = (entry) => {
+      if (onStage) onStage(entry);
+    };
+    const toolsNamed = (names) => tools.filter((t) => names.includes(t.name));
+    const maxSearchers = this.getPipelineSearchers();
+    const operational = this.buildAgentInstructions(threadId);
+    const summarizeArgs = (args) => String(args || "").replace(/\s+/g, " ").slice(0, 300);
+    const watchTools = (agent, stageName, skip = []) => {
+      agent.on("agent_tool_start", (_ctx, calledTool, details) => {
+        if (skip.includes(calledTool.name)) return;
+        const call = details && details.toolCall ? details.toolCall : {};
+        stage({ stage: stageName, event: "tool_call", tool: calledTool.name, arguments: summarizeArgs(call.arguments) });
+      });
+    };
+
+    const verifier = new Agent({
+      name: PIPELINE_AGENT_NAMES.verifier,
+      model,
+      modelSettings,
+      instructions: [
+        operational,
+        "",
+        "Pipeline role (verifier):",
+        "- You receive the planner's sub-questions and the searchers' findings (research_subquestion results) in the conversation. You write the final answer.",
+        "- Re-read every cited line with read_ingredient_file (or read_ingredient_table for table rows) before using it. Keep a claim only when the line says what the finding claims; drop it otherwise, or correct it from what the line actually says.",
+        "- Run check_regulatory_status on the materials you keep.",
+        "- End with a short list of claims you dropped and why, and of sub-questions nobody found evidence for.",
+        ...(structured ? [STRUCTURED_ANSWER_INSTRUCTIONS] : []),
+      ].join("\n"),
+      tools: toolsNamed(["read_ingredient_file", "read_ingredient_table", "check_regulatory_status"]),
+      ...(structured ? { outputType: STRUCTURED_ANSWER_OUTPUT } : {}),
+    });
+    verifier.on("agent_start", () => stage({ stage: "verifier", event: "started" }));
+    verifier.on("agent_end", () => stage({ stage: "verifier", event: "completed" }));
+    watchTools(verifier, "verifier");
+
+    const newSearcher = () => new Agent({
+      name: PIPELINE_AGENT_NAMES.searcher,
+      model,
+      modelSettings,
+      instructions: [
+        operational,
+        "",
+        "Pipeline role (searcher):",
+        "- You research one sub-question for a planner; a verifier writes the user's answer from your report.",
+        "- Report findings, not a polished answer: for each material or fact give the citation, the exact quote from the line and its evidenceId.",
+        "- Then list every query you ran (with mode and filters) and what you could not find.",
+      ].join("\n"),
+      tools,
+    });
+
+    const subquestionInput = z.object({
+      question: z.string(),
+      terms: z.array(z.string()).optional(),
+    });
+    let searchersStarted = 0;
+    const researchTool = tool({
+      name: "research_subquestion",
+      description: "Run a searcher agent on one sub-question. It searches and reads the corpus with all research tools and returns findings with file:LINE citations, quotes and evidenceIds, the queries it tried and what it could not find. Call it for several sub-questions in the same response to research them in parallel.",
+      strict: false,
+      parameters: {
+        type: "object",
+        additionalProperties: false,
+        required: ["question"],
+        properties: {
+          question: { type: "string", minLength: 1, description: "Self-contained sub-question, e.g. \"Which suppliers list Glycerin with a COA?\"" },
+          terms: {
+            type: "array",
+            items: { type: "string" },
+            description: "Term variants the searcher must try: Korean/English forms, INCI names, CAS numbers, spelling and spacing variants.",
+          },
+        },
+      },
+      execute: async (input) => {
+        const parsed = subquestionInput.safeParse(input);
+        if (!parsed.success) return { ok: false, error: "Invalid input. Expected { question: string, terms?: string[] }" };
+        const question = parsed.data.question.trim();
+        if (!question) return { ok: false, error: "question is required" };
+        if (searchersStarted >= maxSearchers) {
+          return { ok: false, error: `At most ${maxSearchers} sub-questions per turn; hand off to the verifier with the findings so far.` };
+        }
+        searchersStarted += 1;
+        const id = `searcher-${searchersStarted}`;
+        const terms = (parsed.data.terms || []).map((t) => String(t).trim()).filter(Boolean).slice(0, 30);
+        const searcher = newSearcher();
+        let toolCalls = 0;
+        searcher.on("agent_tool_start", (_ctx, calledTool, details) => {
+          toolCalls += 1;
+          const call = details && details.toolCall ? details.toolCall : {};
+          stage({ stage: "searcher", id, event: "tool_call", tool: calledTool.name, arguments: summarizeArgs(call.arguments) });
+        });
+        stage({ stage: "searcher", id, event: "started", question, terms });
+        try {
+          const result = await run(searcher, terms.length ? `${question}\n\nTerm variants to search: ${terms.join(", ")}` : question, {
+            maxTurns,
+            signal,
+          });
+          const findings = formatFinalOutput(result.finalOutput);
+          const usage = result.state && result.state.usage ? result.state.usage : null;
+          // Searcher runs are not streamed; their usage only reaches the turn log from here.
+          if (usage && turnLog) turnLog.recordUsage(runUsageTotals(usage));
+          stage({
+            stage: "searcher",
+            id,
+            event: "completed",
+            toolCalls,
+            findingsChars: findings.length,
+            ...(usage ? { totalTokens: usage.totalTokens } : {}),
+          });
+          return { ok: true, id, question, terms, findings };
+        } catch (err) {
+          const message = err && err.message ? String(err.message) : String(err);
+          stage({ stage: "searcher", id, event: "failed", toolCalls, error: message });
+          if (signal && signal.aborted) throw err;
+          return { ok: false, id, question, error: message };
+        }
+      },
+    });
+
+    const planner = new Agent({
+      name: PIPELINE_AGENT_NAMES.planner,
+      model,
       modelSettings,
-      tools: this.createResearchTools(turnLog),
+      instructions: [
+        this.getThreadPreamble(threadId),
+        "",
+        "Pipeline role (planner):",
+        `- You plan research over an ingredient corpus; you do not answer. Corpora: ${this.getThreadCorpora(threadId).map((c) => c.name).join(", ")}.`,
+        `- Split the user's question into at most ${maxSearchers} self-contained sub-questions (one per material, property or constraint).`,
+        "- For each, collect term variants: use translate_term for Korean/English equivalents and lookup_material for INCI names, CAS numbers and suppliers; list_ingredient_files shows how the corpus is organized.",
+        "- Call research_subquestion once per sub-question with its terms, all in the same response so the searchers run in parallel. Add a follow-up sub-question only when a searcher reports a gap worth another pass.",
+        `- Then hand off to ${PIPELINE_AGENT_NAMES.verifier}, which checks the findings and writes the final answer. Do not write the answer yourself.`,
+      ].join("\n"),
+      tools: [researchTool, ...toolsNamed(["translate_term", "lookup_material", "list_ingredient_files"])],
+      // The planner never answers, so its text output type differing from the verifier's is fine.
+      handoffOutputTypeWarningEnabled: false,
+      handoffs: [
+        handoff(verifier, {
+          toolDescriptionOverride: "Hand the searchers' findings to the verifier, which re-reads the cited lines and writes the final answer. Call once all sub-questions are researched.",
+        }),
+      ],
+    });
+    planner.on("agent_start", () => stage({ stage: "planner", event: "started" }));
+    planner.on("agent_handoff", () => stage({ stage: "planner", event: "handoff", to: "verifier", searchers: searchersStarted }));
+    watchTools(planner, "planner", ["research_subquestion"]);
+    return planner;
+  }
+
+  // Agent for the finalizer call of a run that reached its turn or time limit: the same
+  // operational instructions, no tools, and the output type of the agent that was answering.
+  buildFinalizerAgent({ model, threadId, outputType = "text" }) {
+    const structured = outputType !== "text";
+    return new Agent({
+      name: FINALIZER_AGENT_NAME,
+      model: model || this.getDefaultModel(),
+      modelSettings: this.buildModelSettings(),
+      instructions: [
+        this.buildAgentInstructions(threadId),
+        "",
+        "Finalizer role:",
+        "- The research run stopped at its turn or time limit. You have no tools; answer only from the searches, reads and findings already in the conversation.",
+        "- Write the best answer those findings support, with the usual file references, then say plainly that the research is incomplete: list the open questions and the searches or files still worth checking, so it can be continued.",
+        ...(structured ? [STRUCTURED_ANSWER_INSTRUCTIONS] : []),
+      ].join("\n"),
+      ...(structured ? { outputType } : {}),
     });
   }
 
+  // The turn of a thread that can be continued (the latest one, when it stopped at its turn or
+  // time limit), or null.
+  getResumableTurn(threadId) {
+    const resumable = this.getThreadMeta(threadId).resumableTurn;
+    return resumable && typeof resumable === "object" && resumable.turnId ? resumable : null;
+  }
+
+  // User message for a turn that continues `resumable`; `note` is optional extra guidance.
+  buildContinuationPrompt(resumable, note = "") {
+    const limit = resumable.reason === "timeout" ? "time limit" : "turn limit";
+    const searches = Array.isArray(resumable.searches) ? resumable.searches : [];
+    return [
+      `Continue the research for the question below. The previous run stopped at its ${limit}; its searches, reads and partial answer are above in this conversation.`,
+      "Pick up from there instead of starting over: do not repeat searches already run, follow the open questions and leads the partial answer lists, then write the complete final answer.",
+      ...(searches.length ? [`Searches already run: ${searches.map((q) => `\`${q}\``).join(", ")}`] : []),
+      "",
+      `Question: ${resumable.question || "(see above)"}`,
+      ...(note ? ["", `Additional instructions: ${note}`] : []),
+    ].join("\n");
+  }
+
   buildAgentInstructions(threadId) {
     const preamble = this.getThreadPreamble(threadId);
+    const corpora = this.getThreadCorpora(threadId);
     return [
       preamble,
       "",
       "Operational requirements:",
-      "- You are performing deep research over the provided TXT corpus.",
+      "- You are performing deep research over the provided corpus (TXT files plus text extracted from PDF/DOCX/HTML/CSV originals).",
+      `- Corpora available in this thread: ${corpora.map((c) => (c.description ? `${c.name} (${c.description})` : c.name)).join(", ")}. Every hit names its corpus; pass it as corpus to read_ingredient_file.`,
       "- Always use the search/read tools to gather evidence before answering.",
-      "- Try multiple query variants (synonyms, Korean/English forms, spacing/hyphen variants).",
-      "- For OCR/PDF artifacts, test fragmented terms and normalized forms.",
+      "- Use read_ingredient_table to pull specification tables (pH, viscosity, heavy metals, assay, ...) as rows and columns when comparing property values across materials; cite the row's line from rowLines.",
+      "- Use lookup_material to find documents by CAS number, INCI name, supplier or document type (TDS/MSDS/COA), then verify with read_ingredient_file.",
+      "- Before the final answer, run check_regulatory_status on the materials you recommend and flag prohibited/restricted entries with their list, limit and conditions. Absence from an inventory list (e.g. IECIC) is itself a finding; do not call a material unrestricted when no lists are loaded.",
+      "- Use search_material_properties for numeric constraints (\"pH between 5 and 7\", \"HLB > 10\", viscosity, melting point, assay); extraction is heuristic, so confirm each value at its line.",
+      ...(this.vectorStore
+        ? ["- Use semantic_search_ingredients for concepts and paraphrases (functions, properties, claims) that exact keywords may miss, then confirm with read_ingredient_file."]
+        : []),
+      "- Use translate_term to get the Korean/English equivalents of a term instead of guessing them, then search the returned spellings.",
+      "- To narrow research to part of a corpus, pass filter ({ include, exclude, folders, extensions, modifiedAfter, modifiedBefore, minSize, maxSize }) to list_ingredient_files and search_ingredient_text. Some files are excluded by the administrator; they never appear and cannot be read.",
+      "- Documents are Korean, English or bilingual. Search Korean terms with language: \"ko\" and English terms with language: \"en\" on search_ingredient_text when one language floods the results; list_ingredient_files accepts the same filter.",
+      "- Try multiple query variants (synonyms, Korean/English forms, spacing/hyphen variants). Use expandSynonyms: true on search_ingredient_text to search all dictionary variants of a material in one call.",
+      "- For OCR/PDF artifacts, test fragmented terms and normalized forms (search_ingredient_text with fuzzy: true tolerates spacing, hyphenation, Unicode form and small typos).",
+      "- Phrases split across lines are matched automatically when nothing else matches; pass multiline: true to always include them. Cite such hits with their line-endLine range.",
+      "- Search hits carry an evidenceId (ev:corpus:file:lines#hash) and a snippet with the match marked «like this». Quote from the snippet or text, and put the evidenceId in backticks after each citation, e.g. `specs/glycerin.pdf:120` p.3 `ev:suppliers:specs/glycerin.pdf:120#3f2a9c1b0d`, so reviewers can open the exact evidence.",
+      "- search_ingredient_text ranks whole files by relevance; when nextCursor is set, page through it (same parameters plus cursor) before broadening the query.",
+      "- The corpus holds copies and versions of the same document. Pass collapseDuplicates: true to search tools to get one canonical file per near-duplicate cluster, and cite that file once instead of each alternate as separate evidence.",
       "- Keep searching iteratively until you are satisfied that recall is strong.",
-      "- In the final answer, list matched materials with short evidence and file references.",
+      "- In the final answer, list matched materials with short evidence and file references written as `relative/path.ext:LINE` (or `relative/path.ext:START-END`) using the original file name. When more than one corpus is available, prefix the reference with the corpus name in brackets, e.g. [suppliers] `specs/glycerin.pdf:120`. When a hit or read result has a page, add it as p.N (pp.N-M across pages), e.g. `specs/glycerin.pdf:120` p.3, so reviewers can find the evidence in the source document.",
       "- If evidence is weak, explicitly say what is missing and what additional searches were attempted.",
-      "- Do not invent citations.",
+      "- Do not invent citations. After you answer, every file reference is checked against the corpus (file, line range, page, and that quoted text appears at the cited lines) and unsupported ones are flagged to the user, so quote the lines verbatim.",
     ].join("\n");
   }
 
@@ -1447,7 +3976,11 @@ class AgentsClient {
 
       const text = extractTextFromMessageContent(item.content);
       if (!text) continue;
-      messages.push({ role: item.role, text });
+      // Answers given with structured output are stored as their JSON; show the markdown.
+      const structured = item.role === "assistant" && text.startsWith("{") ? parseStructuredAnswer(text) : null;
+      messages.push(structured
+        ? { role: item.role, text: renderStructuredAnswer(structured), structuredAnswer: structured }
+        : { role: item.role, text });
     }
 
     return { messages };
@@ -1460,9 +3993,13 @@ class AgentsClient {
     active.abortController.abort();
   }
 
-  async runTurn({ threadId, model, text, stream = false, conversationDir = "", onMeta, onDelta, onEvent }) {
+  // `continueFrom` (getResumableTurn()) continues a turn that stopped at its turn or time limit
+  // with a fresh turn budget; `text` is then optional extra guidance.
+  async runTurn({ threadId, model, text, stream = false, structuredOutput, continueFrom = null, conversationDir = "", onMeta, onDelta, onEvent }) {
     const session = this.getSession(threadId);
     const turnId = `turn_${Date.now()}_${crypto.randomBytes(5).toString("hex")}`;
+    const question = continueFrom ? continueFrom.question || "" : text;
+    if (continueFrom) text = this.buildContinuationPrompt(continueFrom, text);
     const maxTurns = this.getMaxTurns();
     const compactionEnabled = this.getCompactionEnabled();
     const compactionThreshold = this.getCompactionThreshold();
@@ -1482,14 +4019,132 @@ class AgentsClient {
       maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS || 0),
       systemPrompt,
     });
-    const agent = this.buildAgent({ model, threadId, turnLog });
-
     const abortController = new AbortController();
-    const timeout = setTimeout(() => abortController.abort(), TURN_TIMEOUT_MS);
+    const pipeline = this.getResearchPipeline();
+    const structured = typeof structuredOutput === "boolean" ? structuredOutput : this.getStructuredOutput();
+    turnLog.setRunInfo({ researchPipeline: pipeline, continuedFrom: continueFrom ? continueFrom.turnId : "" });
+    const agent = this.buildAgent({
+      model,
+      threadId,
+      turnLog,
+      pipeline,
+      structured,
+      maxTurns,
+      signal: abortController.signal,
+      onStage: (entry) => {
+        turnLog.recordStage(entry);
+        if (onEvent) onEvent({ method: "pipeline/stage", params: entry });
+      },
+    });
+
+    // Past TURN_TIMEOUT_MS the run stops before its next model call, as it does at maxTurns, and
+    // the finalizer answers; the abort is the backstop for a model or tool call that hangs.
+    let deadlineReached = false;
+    const deadline = setTimeout(() => { deadlineReached = true; }, TURN_TIMEOUT_MS);
+    const timeout = setTimeout(() => abortController.abort(), TURN_TIMEOUT_MS + TURN_FINALIZER_GRACE_MS);
     this.activeTurns.set(turnId, { abortController, createdAt: Date.now(), threadId });
 
     let accumulated = "";
     let reasoningLog = null;
+    let stopReason = "";
+
+    // errorHandlers.maxTurns: one more model call, without tools, writes the answer from the
+    // findings so far. The SDK then ends the run normally and saves it to the session, which is
+    // what a continued turn resumes from. Returning nothing rethrows the MaxTurnsExceededError.
+    const finalizeRun = async ({ runData }) => {
+      stopReason = deadlineReached ? "timeout" : "max_turns";
+      if (onEvent) onEvent({ method: "turn/finalizing", params: { reason: stopReason, maxTurns } });
+      const finalizer = this.buildFinalizerAgent({
+        model,
+        threadId,
+        outputType: runData.lastAgent ? runData.lastAgent.outputType : "text",
+      });
+      const prompt = stopReason === "timeout"
+        ? "Time is up for this research run. Write the answer now from the findings above."
+        : "No research turns are left for this run. Write the answer now from the findings above.";
+      try {
+        const result = await run(finalizer, [...runData.history, { role: "user", content: prompt }], {
+          maxTurns: 1,
+          signal: abortController.signal,
+        });
+        turnLog.recordFinalizer({ reason: stopReason });
+        if (result.state && result.state.usage) turnLog.recordUsage(runUsageTotals(result.state.usage));
+        return { finalOutput: result.finalOutput };
+      } catch (err) {
+        console.error(`[finalizer] ${err && err.message ? err.message : String(err)}`);
+        stopReason = "";
+        return null;
+      }
+    };
+    const runOptions = {
+      session,
+      maxTurns,
+      signal: abortController.signal,
+      errorHandlers: { maxTurns: finalizeRun },
+      callModelInputFilter: ({ modelData }) => {
+        if (deadlineReached) throw new MaxTurnsExceededError(`Turn time limit (${TURN_TIMEOUT_MS} ms) reached`);
+        return modelData;
+      },
+    };
+
+    // Thread meta remembers a turn that stopped at a limit so it can be continued; any other
+    // outcome clears it.
+    const rememberResumable = () => {
+      const previous = continueFrom && Array.isArray(continueFrom.searches) ? continueFrom.searches : [];
+      const searches = turnLog.getResearchTrail().searches.map((s) => s.query);
+      this.setThreadMeta(threadId, {
+        resumableTurn: stopReason
+          ? {
+            turnId,
+            reason: stopReason,
+            question,
+            searches: Array.from(new Set([...previous, ...searches])).slice(-100),
+            stoppedAt: toIsoNow(),
+          }
+          : null,
+      });
+    };
+    const stopFields = () => ({
+      finalizerUsed: Boolean(stopReason),
+      ...(stopReason ? { stopReason, resumable: true } : {}),
+      ...(continueFrom ? { continuedFrom: continueFrom.turnId } : {}),
+    });
+
+    // Markdown of the final output, and its structured form when structured output is on. A
+    // structured answer the SDK did not parse (e.g. an interrupted stream) is read from `fallback`.
+    const readAnswer = (finalOutput, fallback = "") => {
+      const structuredAnswer = structured
+        ? parseStructuredAnswer(finalOutput) || parseStructuredAnswer(fallback)
+        : null;
+      if (!structuredAnswer) return { answer: formatFinalOutput(finalOutput) || fallback, structuredAnswer: null };
+      turnLog.recordStructuredAnswer(structuredAnswer);
+      return { answer: renderStructuredAnswer(structuredAnswer), structuredAnswer };
+    };
+
+    // The answer's file references are checked (and, in annotate mode, marked) before the answer
+    // is logged and returned.
+    const checkCitations = async (answer) => {
+      if (CITATION_CHECK_MODE === "off" || !answer) return { text: answer, citationCheck: null };
+      let report;
+      try {
+        report = { mode: CITATION_CHECK_MODE, ...(await this.verifyCitations(threadId, answer)) };
+      } catch (err) {
+        console.error(`[citation-check] ${err && err.message ? err.message : String(err)}`);
+        return { text: answer, citationCheck: null };
+      }
+      turnLog.recordCitationCheck(report);
+      return {
+        text: CITATION_CHECK_MODE === "annotate" ? annotateCitations(answer, report.citations) : answer,
+        citationCheck: report,
+      };
+    };
+
+    // The turn's searches, zero-hit ones included, are listed under the answer so "did it search
+    // for X?" is answered in the chat itself.
+    const withSearchSummary = (answer) => {
+      const summary = summarizeSearches(turnLog.getResearchTrail());
+      return answer && summary ? `${answer.replace(/\s+$/, "")}\n\n${summary}` : answer;
+    };
 
     const openReasoningLog = () => {
       if (!conversationDir || typeof conversationDir !== "string") return null;
@@ -1520,21 +4175,37 @@ class AgentsClient {
       }
     };
 
+    // The evidence IDs the answer cites are stored with the searches this turn found them by, so
+    // resolving them later highlights what the answer relied on.
+    const rememberCitedEvidence = (answer) => {
+      const citations = [];
+      for (const c of findCitations(answer)) {
+        const queryKey = c.evidenceId ? turnLog.evidenceQueryKey(c.evidenceId) : "";
+        if (queryKey) citations.push({ evidenceId: c.evidenceId, queryKey });
+      }
+      if (!citations.length) return;
+      try {
+        evidenceStore.recordCitations({ threadId, turnId, citations });
+      } catch (err) {
+        console.error(`[evidence] ${err && err.message ? err.message : String(err)}`);
+      }
+    };
+
     try {
       if (onMeta) onMeta({ threadId, turnId });
 
       if (!stream) {
-        const result = await run(agent, text, {
-          session,
-          maxTurns,
-          signal: abortController.signal,
-        });
+        const result = await run(agent, text, runOptions);
 
-        const finalText = formatFinalOutput(result.finalOutput);
+        const { answer, structuredAnswer } = readAnswer(result.finalOutput);
+        rememberCitedEvidence(answer);
+        const checked = await checkCitations(answer);
+        const finalText = withSearchSummary(checked.text);
         if (finalText) {
           accumulated = finalText;
           this.setThreadMeta(threadId, { lastPreview: finalText.slice(0, 220) });
         }
+        rememberResumable();
         turnLog.finalize({
           status: abortController.signal.aborted ? "interrupted" : "completed",
           turnsUsed: 1,
@@ -1548,6 +4219,10 @@ class AgentsClient {
           text: finalText,
           turnsUsed: 1,
           maxTurns,
+          ...(checked.citationCheck ? { citationCheck: checked.citationCheck } : {}),
+          ...(structuredAnswer ? { structuredAnswer } : {}),
+          ...stopFields(),
+          researchTrail: turnLog.getResearchTrail(),
           turnLogMdPath: path.relative(__dirname, turnLog.mdPath).replace(/\\/g, "/"),
           turnLogJsonPath: path.relative(__dirname, turnLog.jsonPath).replace(/\\/g, "/"),
           chatLogMdPath: path.relative(__dirname, turnLog.chatMdPath).replace(/\\/g, "/"),
@@ -1559,12 +4234,13 @@ class AgentsClient {
       if (reasoningLog) reasoningLog.write({ event: "turn_start", threadId, turnId, model });
 
       const responseIds = new Set();
-      const streamResult = await run(agent, text, {
-        session,
-        stream: true,
-        maxTurns,
-        signal: abortController.signal,
-      });
+      // Only the agent that writes the answer streams text to the client; the pipeline planner's
+      // remarks before its handoff are not part of the answer.
+      let currentAgentName = agent.name;
+      const streamsAnswer = () => pipeline !== "multi" || currentAgentName !== PIPELINE_AGENT_NAMES.planner;
+      // Structured output streams as JSON; the client only gets the text of its `answer` field.
+      const answerStream = structured ? createAnswerStream() : null;
+      const streamResult = await run(agent, text, { ...runOptions, stream: true });
 
       for await (const evt of streamResult) {
         if (evt && evt.type === "raw_model_stream_event") {
@@ -1686,9 +4362,10 @@ class AgentsClient {
             ? deltaSource.delta
             : (typeof deltaSource.textDelta === "string" ? deltaSource.textDelta : "");
 
-          if (isTextDelta && delta) {
+          if (isTextDelta && delta && streamsAnswer()) {
             accumulated += delta;
-            if (onDelta) onDelta(delta);
+            const shown = answerStream ? answerStream(delta) : delta;
+            if (onDelta && shown) onDelta(shown);
           }
           continue;
         }
@@ -1701,7 +4378,7 @@ class AgentsClient {
             onEvent({ method: `run_item/${evt.name}`, params: item });
           }
 
-          if (evt.name === "message_output_created") {
+          if (evt.name === "message_output_created" && streamsAnswer()) {
             const rawItem = evt.item && evt.item.rawItem ? evt.item.rawItem : null;
             const completedText = parseAssistantTextFromRawItem(rawItem);
             if (completedText && completedText.length > accumulated.length) {
@@ -1712,14 +4389,19 @@ class AgentsClient {
         }
 
         if (evt && evt.type === "agent_updated_stream_event") {
+          if (evt.agent && evt.agent.name) currentAgentName = evt.agent.name;
           if (onEvent) onEvent({ method: "agent_updated", params: { name: evt.agent && evt.agent.name } });
         }
       }
 
       await streamResult.completed;
 
-      const finalText = formatFinalOutput(streamResult.finalOutput) || accumulated;
+      const { answer, structuredAnswer } = readAnswer(streamResult.finalOutput, accumulated);
+      rememberCitedEvidence(answer);
+      const checked = await checkCitations(answer);
+      const finalText = withSearchSummary(checked.text);
       if (finalText) this.setThreadMeta(threadId, { lastPreview: finalText.slice(0, 220) });
+      rememberResumable();
 
       if (reasoningLog) {
         reasoningLog.write({ event: "turn_end", status: abortController.signal.aborted ? "interrupted" : "completed" });
@@ -1737,6 +4419,10 @@ class AgentsClient {
         text: finalText,
         turnsUsed: responseIds.size || 1,
         maxTurns,
+        ...(checked.citationCheck ? { citationCheck: checked.citationCheck } : {}),
+        ...(structuredAnswer ? { structuredAnswer } : {}),
+        ...stopFields(),
+        researchTrail: turnLog.getResearchTrail(),
         turnLogMdPath: path.relative(__dirname, turnLog.mdPath).replace(/\\/g, "/"),
         turnLogJsonPath: path.relative(__dirname, turnLog.jsonPath).replace(/\\/g, "/"),
         chatLogMdPath: path.relative(__dirname, turnLog.chatMdPath).replace(/\\/g, "/"),
@@ -1760,6 +4446,7 @@ class AgentsClient {
           text: accumulated,
           turnsUsed: 1,
           maxTurns,
+          researchTrail: turnLog.getResearchTrail(),
           turnLogMdPath: path.relative(__dirname, turnLog.mdPath).replace(/\\/g, "/"),
           turnLogJsonPath: path.relative(__dirname, turnLog.jsonPath).replace(/\\/g, "/"),
           chatLogMdPath: path.relative(__dirname, turnLog.chatMdPath).replace(/\\/g, "/"),
@@ -1774,6 +4461,7 @@ class AgentsClient {
       });
       throw err;
     } finally {
+      clearTimeout(deadline);
       clearTimeout(timeout);
       this.activeTurns.delete(turnId);
       if (reasoningLog) {
@@ -1927,6 +4615,153 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    if (req.method === "GET" && pathname === "/api/corpora") {
+      return toJson(res, 200, {
+        data: agentsClient.getCorpora().map((c) => ({ name: c.name, description: c.description })),
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/api/corpus/files") {
+      let corpus;
+      try {
+        corpus = agentsClient.getCorpus(reqUrl.searchParams.get("corpus") || "");
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      const result = await agentsClient.listCorpusFiles(corpus.root, {
+        contains: reqUrl.searchParams.get("q") || "",
+        offset: clampNumber(reqUrl.searchParams.get("offset") || undefined, 0, Number.MAX_SAFE_INTEGER, 0),
+        limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, 500, 100),
+      });
+      return toJson(res, 200, {
+        corpus: corpus.name,
+        root: result.root,
+        total: result.total,
+        offset: result.offset,
+        limit: result.limit,
+        data: result.files,
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/api/corpus/file") {
+      const relPath = reqUrl.searchParams.get("path") || "";
+      let corpus;
+      let result;
+      let meta;
+      try {
+        corpus = agentsClient.resolveCorpusForFile(
+          agentsClient.getCorpora(),
+          relPath,
+          reqUrl.searchParams.get("corpus") || ""
+        );
+        result = await agentsClient.readCorpusFile(corpus.root, relPath, {
+          startLine: reqUrl.searchParams.get("startLine") || undefined,
+          maxLines: reqUrl.searchParams.get("maxLines") || undefined,
+          page: reqUrl.searchParams.get("page") || undefined,
+        });
+        meta = await agentsClient.describeCorpusFile(corpus.root, result.relativePath);
+      } catch (err) {
+        const status = err && err.code === "ENOENT" ? 404 : 400;
+        return toJson(res, status, { error: err.message || String(err) });
+      }
+      return toJson(res, 200, {
+        corpus: corpus.name,
+        ...result,
+        size: meta.size,
+        mtime: new Date(meta.mtimeMs).toISOString(),
+        language: meta.language,
+        languageSections: meta.languageSections,
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/api/evidence") {
+      let evidence;
+      try {
+        evidence = await agentsClient.resolveEvidence(reqUrl.searchParams.get("id") || "", {
+          turnId: reqUrl.searchParams.get("turn") || "",
+          threadId: reqUrl.searchParams.get("thread") || "",
+        });
+      } catch (err) {
+        const status = err && err.code === "ENOENT" ? 404 : 400;
+        return toJson(res, status, { error: err.message || String(err) });
+      }
+      return toJson(res, 200, evidence);
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/catalog") {
+      let corpus;
+      try {
+        corpus = agentsClient.getCorpus(reqUrl.searchParams.get("corpus") || "");
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      let materials;
+      try {
+        materials = await agentsClient.lookupMaterials(corpus.root, {
+          query: reqUrl.searchParams.get("q") || "",
+          cas: reqUrl.searchParams.get("cas") || "",
+          inci: reqUrl.searchParams.get("inci") || "",
+          supplier: reqUrl.searchParams.get("supplier") || "",
+          docType: reqUrl.searchParams.get("docType") || "",
+          limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, 500, 50),
+        });
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      return toJson(res, 200, { corpus: corpus.name, count: materials.length, data: materials });
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/corpus/properties") {
+      let corpus;
+      try {
+        corpus = agentsClient.getCorpus(reqUrl.searchParams.get("corpus") || "");
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      const property = reqUrl.searchParams.get("property") || "";
+      const readBound = (name) => {
+        const raw = reqUrl.searchParams.get(name);
+        return raw == null || raw === "" ? undefined : Number(raw);
+      };
+      const min = readBound("min");
+      const max = readBound("max");
+      if (Number.isNaN(min) || Number.isNaN(max)) return toJson(res, 400, { error: "min and max must be numbers" });
+      let files;
+      try {
+        files = await agentsClient.searchProperties(corpus.root, {
+          property,
+          min,
+          max,
+          unit: reqUrl.searchParams.get("unit") || "",
+          match: reqUrl.searchParams.get("match") || "overlap",
+          limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, 500, 50),
+        });
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      return toJson(res, 200, {
+        corpus: corpus.name,
+        property,
+        unit: PROPERTY_DEFS[property].unit,
+        count: files.length,
+        data: files,
+      });
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/regulatory/check") {
+      try {
+        const result = referenceStore.checkRegulatoryStatus({
+          inci: reqUrl.searchParams.get("inci") || "",
+          cas: reqUrl.searchParams.get("cas") || "",
+          name: reqUrl.searchParams.get("name") || "",
+          lists: reqUrl.searchParams.getAll("list"),
+        });
+        return toJson(res, 200, result);
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+    }
+
     if (req.method === "GET" && req.url === "/api/admin/settings") {
       if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
       return toJson(res, 200, agentsClient.getAdminSettings());
@@ -1935,19 +4770,188 @@ const server = http.createServer(async (req, res) => {
     if (req.method === "POST" && req.url === "/api/admin/settings") {
       if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
       const body = await parseJsonBody(req);
-      const settings = agentsClient.setAdminSettings({
-        defaultModel: typeof body.defaultModel === "string" ? body.defaultModel : undefined,
-        defaultThreadPreamble: typeof body.defaultThreadPreamble === "string" ? body.defaultThreadPreamble : undefined,
-        reasoningEffort: typeof body.reasoningEffort === "string" ? body.reasoningEffort : undefined,
-        maxTurns: Number.isFinite(Number(body.maxTurns)) ? Number(body.maxTurns) : undefined,
-        compactionEnabled: Object.prototype.hasOwnProperty.call(body, "compactionEnabled")
-          ? Boolean(body.compactionEnabled)
-          : undefined,
-        compactionThreshold: Number.isFinite(Number(body.compactionThreshold))
-          ? Number(body.compactionThreshold)
-          : undefined,
+      const corporaBefore = agentsClient.getCorpora().map((c) => c.name);
+      let settings;
+      try {
+        settings = agentsClient.setAdminSettings({
+          defaultModel: typeof body.defaultModel === "string" ? body.defaultModel : undefined,
+          defaultThreadPreamble: typeof body.defaultThreadPreamble === "string" ? body.defaultThreadPreamble : undefined,
+          reasoningEffort: typeof body.reasoningEffort === "string" ? body.reasoningEffort : undefined,
+          maxTurns: Number.isFinite(Number(body.maxTurns)) ? Number(body.maxTurns) : undefined,
+          compactionEnabled: Object.prototype.hasOwnProperty.call(body, "compactionEnabled")
+            ? Boolean(body.compactionEnabled)
+            : undefined,
+          compactionThreshold: Number.isFinite(Number(body.compactionThreshold))
+            ? Number(body.compactionThreshold)
+            : undefined,
+          researchPipeline: typeof body.researchPipeline === "string" ? body.researchPipeline : undefined,
+          pipelineSearchers: Number.isFinite(Number(body.pipelineSearchers)) ? Number(body.pipelineSearchers) : undefined,
+          structuredOutput: typeof body.structuredOutput === "boolean" ? body.structuredOutput : undefined,
+          ...(Object.prototype.hasOwnProperty.call(body, "corpora") ? { corpora: body.corpora } : {}),
+          ...(Object.prototype.hasOwnProperty.call(body, "corpusExclusions") ? { corpusExclusions: body.corpusExclusions } : {}),
+        });
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      const corporaChange = describeCorporaChange(corporaBefore, agentsClient.getCorpora().map((c) => c.name));
+      return toJson(res, 200, corporaChange ? { ...settings, corporaChange } : settings);
+    }
+
+    if (req.method === "GET" && req.url === "/api/admin/corpus/index") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      return toJson(res, 200, agentsClient.getCorpusIndexStatus());
+    }
+
+    if (req.method === "GET" && req.url === "/api/admin/corpus/languages") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      return toJson(res, 200, { corpora: await agentsClient.getCorpusLanguageStats() });
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/admin/corpus/changes") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      return toJson(res, 200, agentsClient.getCorpusChanges({
+        since: clampNumber(reqUrl.searchParams.get("since") || undefined, 0, Number.MAX_SAFE_INTEGER, 0),
+        limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, CORPUS_CHANGE_LOG_MAX, 200),
+      }));
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/admin/corpus/duplicates") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      let corpora;
+      try {
+        const name = reqUrl.searchParams.get("corpus");
+        corpora = name ? [agentsClient.getCorpus(name)] : agentsClient.getCorpora();
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+      const force = reqUrl.searchParams.get("refresh") === "1";
+      const data = [];
+      for (const corpus of corpora.filter((c) => fs.existsSync(c.root))) {
+        const { computedAt, fileCount, clusters } = await agentsClient.getDuplicateClusters(corpus.root, { force });
+        data.push({
+          corpus: corpus.name,
+          computedAt,
+          fileCount,
+          clusterCount: clusters.length,
+          duplicateFiles: clusters.reduce((sum, c) => sum + c.files.length - 1, 0),
+          clusters: clusters.map((c) => ({
+            ...c,
+            files: c.files.map(({ mtimeMs, ...f }) => ({ ...f, mtime: new Date(mtimeMs).toISOString() })),
+          })),
+        });
+      }
+      return toJson(res, 200, { threshold: NEAR_DUPLICATE_THRESHOLD, corpora: data });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/corpus/reindex") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const sync = await agentsClient.refreshAllCorpusIndexes({ force: true });
+      return toJson(res, 200, { sync, status: agentsClient.getCorpusIndexStatus() });
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/admin/synonyms") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const data = referenceStore.listSynonymGroups({
+        contains: reqUrl.searchParams.get("q") || "",
+        limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, 2000, 200),
+      });
+      return toJson(res, 200, { data });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/synonyms") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      const group = referenceStore.upsertSynonymGroup({
+        canonical: typeof body.canonical === "string" ? body.canonical : "",
+        terms: Array.isArray(body.terms) ? body.terms : [],
+        notes: typeof body.notes === "string" ? body.notes : undefined,
+        replace: Boolean(body.replace),
+      });
+      return toJson(res, 200, { group });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/synonyms/delete") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      referenceStore.deleteSynonymGroup(body.id);
+      return toJson(res, 200, { ok: true });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/synonyms/import") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      const csv = typeof body.csv === "string" ? body.csv : "";
+      if (!csv.trim()) return toJson(res, 400, { error: "csv is required" });
+      return toJson(res, 200, referenceStore.importSynonymsCsv(csv));
+    }
+
+    if (req.method === "GET" && req.url === "/api/admin/regulatory/lists") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      return toJson(res, 200, { data: referenceStore.listRegulatoryLists() });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/regulatory/import") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      const csv = typeof body.csv === "string" ? body.csv : "";
+      if (!csv.trim()) return toJson(res, 400, { error: "csv is required" });
+      try {
+        return toJson(res, 200, referenceStore.importRegulatoryCsv({
+          name: typeof body.name === "string" ? body.name : "",
+          jurisdiction: typeof body.jurisdiction === "string" ? body.jurisdiction : "",
+          type: typeof body.type === "string" ? body.type : "restricted",
+          defaultStatus: typeof body.defaultStatus === "string" ? body.defaultStatus : "",
+          description: typeof body.description === "string" ? body.description : "",
+        }, csv));
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/regulatory/delete") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      referenceStore.deleteRegulatoryList(body.id);
+      return toJson(res, 200, { ok: true });
+    }
+
+    if (req.method === "GET" && reqUrl.pathname === "/api/admin/glossary") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const data = referenceStore.listGlossaryPairs({
+        contains: reqUrl.searchParams.get("q") || "",
+        source: reqUrl.searchParams.get("source") || "",
+        limit: clampNumber(reqUrl.searchParams.get("limit") || undefined, 1, 5000, 200),
       });
-      return toJson(res, 200, settings);
+      return toJson(res, 200, { data });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/glossary") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      try {
+        const pair = referenceStore.addGlossaryPair({
+          korean: typeof body.korean === "string" ? body.korean : "",
+          english: typeof body.english === "string" ? body.english : "",
+        });
+        return toJson(res, 200, { pair });
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/glossary/delete") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      referenceStore.deleteGlossaryPair(body.id);
+      return toJson(res, 200, { ok: true });
+    }
+
+    if (req.method === "POST" && req.url === "/api/admin/glossary/seed") {
+      if (session.user.role !== "admin") return toJson(res, 403, { error: "Forbidden" });
+      const body = await parseJsonBody(req);
+      return toJson(res, 200, await agentsClient.seedGlossaryFromCorpus({
+        minOccurrences: clampNumber(body.minOccurrences, 1, 1000, 2),
+      }));
     }
 
     if (req.method === "GET" && req.url === "/api/admin/users") {
@@ -2021,10 +5025,12 @@ const server = http.createServer(async (req, res) => {
       const data = await agentsClient.readThreadMessages(threadId);
       const conversationDir = agentsClient.getThreadConversationDir(threadId);
       authStore.touchUserThread(session.user.id, threadId);
+      const resumable = agentsClient.getResumableTurn(threadId);
       return toJson(res, 200, {
         threadId,
         conversationDir: conversationDir || null,
         messages: data.messages,
+        ...(resumable ? { resumableTurn: { turnId: resumable.turnId, reason: resumable.reason } } : {}),
       });
     }
 
@@ -2038,6 +5044,12 @@ const server = http.createServer(async (req, res) => {
       const requestedPreamble = typeof body.preamble === "string" && body.preamble.trim()
         ? body.preamble.trim()
         : "";
+      let corpora;
+      try {
+        corpora = body.corpora == null ? undefined : agentsClient.resolveCorpusSelection(body.corpora);
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
 
       const ensured = await agentsClient.ensureThread({
         model: typeof body.model === "string" && body.model.trim()
@@ -2045,6 +5057,7 @@ const server = http.createServer(async (req, res) => {
           : agentsClient.getDefaultModel(),
         threadId: incomingThreadId,
         preamble: requestedPreamble || (!incomingThreadId ? agentsClient.getDefaultThreadPreamble() : ""),
+        corpora,
       });
 
       authStore.touchUserThread(session.user.id, ensured.threadId);
@@ -2053,6 +5066,7 @@ const server = http.createServer(async (req, res) => {
         threadId: ensured.threadId,
         isNewThread: ensured.isNewThread,
         conversationDir: ensured.conversationDir,
+        corpora: ensured.corpora,
         preambleApplied: Boolean(requestedPreamble || (!incomingThreadId && agentsClient.getDefaultThreadPreamble())),
       });
     }
@@ -2074,7 +5088,8 @@ const server = http.createServer(async (req, res) => {
         ? body.model.trim()
         : agentsClient.getDefaultModel();
       const text = typeof body.text === "string" ? body.text.trim() : "";
-      if (!text) return toJson(res, 400, { error: "text is required" });
+      const continueTurnId = typeof body.continueTurnId === "string" ? body.continueTurnId.trim() : "";
+      if (!text && !continueTurnId) return toJson(res, 400, { error: "text is required" });
 
       const requestedPreamble = typeof body.preamble === "string" && body.preamble.trim()
         ? body.preamble.trim()
@@ -2084,11 +5099,22 @@ const server = http.createServer(async (req, res) => {
       if (incomingThreadId && !authStore.userOwnsThread(session.user.id, incomingThreadId)) {
         return toJson(res, 403, { error: "Thread does not belong to current user" });
       }
+      const continueFrom = continueTurnId && incomingThreadId ? agentsClient.getResumableTurn(incomingThreadId) : null;
+      if (continueTurnId && (!continueFrom || continueFrom.turnId !== continueTurnId)) {
+        return toJson(res, 409, { error: "Only the latest turn of a thread that stopped at its turn or time limit can be continued" });
+      }
+      let corpora;
+      try {
+        corpora = body.corpora == null ? undefined : agentsClient.resolveCorpusSelection(body.corpora);
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
 
       const ensured = await agentsClient.ensureThread({
         model,
         threadId: incomingThreadId,
         preamble: requestedPreamble || (!incomingThreadId ? agentsClient.getDefaultThreadPreamble() : ""),
+        corpora,
       });
 
       authStore.touchUserThread(session.user.id, ensured.threadId);
@@ -2098,6 +5124,8 @@ const server = http.createServer(async (req, res) => {
         model,
         text,
         stream: false,
+        structuredOutput: typeof body.structuredOutput === "boolean" ? body.structuredOutput : undefined,
+        continueFrom,
       });
 
       return toJson(res, 200, {
@@ -2112,7 +5140,8 @@ const server = http.createServer(async (req, res) => {
 	        ? body.model.trim()
 	        : agentsClient.getDefaultModel();
       const text = typeof body.text === "string" ? body.text.trim() : "";
-      if (!text) return toJson(res, 400, { error: "text is required" });
+      const continueTurnId = typeof body.continueTurnId === "string" ? body.continueTurnId.trim() : "";
+      if (!text && !continueTurnId) return toJson(res, 400, { error: "text is required" });
 
       const requestedPreamble = typeof body.preamble === "string" && body.preamble.trim()
         ? body.preamble.trim()
@@ -2122,11 +5151,22 @@ const server = http.createServer(async (req, res) => {
       if (incomingThreadId && !authStore.userOwnsThread(session.user.id, incomingThreadId)) {
         return toJson(res, 403, { error: "Thread does not belong to current user" });
       }
+      const continueFrom = continueTurnId && incomingThreadId ? agentsClient.getResumableTurn(incomingThreadId) : null;
+      if (continueTurnId && (!continueFrom || continueFrom.turnId !== continueTurnId)) {
+        return toJson(res, 409, { error: "Only the latest turn of a thread that stopped at its turn or time limit can be continued" });
+      }
+      let corpora;
+      try {
+        corpora = body.corpora == null ? undefined : agentsClient.resolveCorpusSelection(body.corpora);
+      } catch (err) {
+        return toJson(res, 400, { error: err.message || String(err) });
+      }
 
       const ensured = await agentsClient.ensureThread({
         model,
         threadId: incomingThreadId,
         preamble: requestedPreamble || (!incomingThreadId ? agentsClient.getDefaultThreadPreamble() : ""),
+        corpora,
       });
 
       authStore.touchUserThread(session.user.id, ensured.threadId);
@@ -2145,6 +5185,8 @@ const server = http.createServer(async (req, res) => {
 	          model,
 	          text,
 	          stream: true,
+	          structuredOutput: typeof body.structuredOutput === "boolean" ? body.structuredOutput : undefined,
+	          continueFrom,
 	          conversationDir: ensured.conversationDir,
 	          onMeta: ({ threadId, turnId }) => {
 	            sendSse(res, {
@@ -2181,7 +5223,19 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, () => {
   console.log(`MaterialSearch (Agents SDK) listening on http://127.0.0.1:${PORT}`);
-  console.log(`Ingredient corpus root: ${agentsClient.ingredientsRoot}`);
+  for (const corpus of agentsClient.getCorpora()) {
+    console.log(`Ingredient corpus "${corpus.name}": ${corpus.root}`);
+  }
+  // Build/refresh the corpus indexes once up front so the first search doesn't pay for it.
+  // Searches fall back to rg until it finishes.
+  setImmediate(async () => {
+    agentsClient.syncCorpusWatchers();
+    for (const sync of await agentsClient.refreshAllCorpusIndexes({ force: true })) {
+      if (sync.skipped) continue;
+      console.log(`[corpus-index] ${sync.corpus}: ${sync.added} added, ${sync.updated} updated, ` +
+        `${sync.removed} removed, ${sync.unchanged} unchanged in ${sync.durationMs}ms`);
+    }
+  });
 });
 
 process.on("SIGINT", () => process.exit(0));
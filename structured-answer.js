@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+"use strict";
+
+// Structured final answers: the JSON schema the answering agent fills in when structured output
+// is on (Agents SDK `outputType`), normalization of what comes back, and the markdown the chat UI
+// renders from it. The markdown answer travels inside the object (`answer`), so turning
+// structured output on changes nothing for readers of `text`.
+
+const nullableString = (description) => ({ type: ["string", "null"], description });
+
+const STRUCTURED_ANSWER_OUTPUT = {
+  type: "json_schema",
+  name: "ingredient_research_answer",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["answer", "materials", "gaps", "searchesTried"],
+    properties: {
+      answer: { type: "string", description: "The full answer in markdown, with file references, exactly as it would be written without structured output." },
+      materials: {
+        type: "array",
+        description: "Each matched material.",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["name", "inci", "cas", "supplier", "evidence"],
+          properties: {
+            name: { type: "string", description: "Material or trade name as the documents give it." },
+            inci: nullableString("INCI name, or null when no document states it."),
+            cas: nullableString("CAS number, or null when no document states it."),
+            supplier: nullableString("Supplier or manufacturer, or null when unknown."),
+            evidence: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["corpus", "file", "line", "quote"],
+                properties: {
+                  corpus: nullableString("Corpus name from the hit, or null with a single corpus."),
+                  file: { type: "string", description: "Relative path with the original file name." },
+                  line: { type: "integer", description: "Cited line (first line of a range)." },
+                  quote: { type: "string", description: "Text quoted verbatim from the cited line." },
+                },
+              },
+            },
+          },
+        },
+      },
+      gaps: { type: "array", items: { type: "string" }, description: "What the corpus did not answer or evidence that is weak." },
+      searchesTried: { type: "array", items: { type: "string" }, description: "Each search run, e.g. \"글리세린 (ko, fuzzy)\"." },
+    },
+  },
+};
+
+const STRUCTURED_ANSWER_INSTRUCTIONS = "- Return the final answer as the structured object: answer holds the complete markdown answer with its file references; materials lists each matched material (name, inci, cas, supplier; null when no document states it) with evidence { corpus, file, line, quote } quoted verbatim; gaps lists what is missing or weak; searchesTried lists the searches you ran.";
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function textOrNull(value) {
+  return text(value) || null;
+}
+
+function textList(value) {
+  return Array.isArray(value) ? value.map(text).filter(Boolean) : [];
+}
+
+// Normalized { answer, materials, gaps, searchesTried } from an agent's final output (the parsed
+// object, or its JSON text), or null when it is not a structured answer.
+function parseStructuredAnswer(value) {
+  let obj = value;
+  if (typeof obj === "string") {
+    try {
+      obj = JSON.parse(obj);
+    } catch {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj) || !Array.isArray(obj.materials)) return null;
+  return {
+    answer: typeof obj.answer === "string" ? obj.answer : "",
+    materials: obj.materials
+      .filter((m) => m && typeof m === "object" && text(m.name))
+      .map((m) => ({
+        name: text(m.name),
+        inci: textOrNull(m.inci),
+        cas: textOrNull(m.cas),
+        supplier: textOrNull(m.supplier),
+        evidence: (Array.isArray(m.evidence) ? m.evidence : [])
+          .filter((e) => e && typeof e === "object" && text(e.file))
+          .map((e) => ({
+            corpus: textOrNull(e.corpus),
+            file: text(e.file),
+            line: Number.isInteger(Number(e.line)) && Number(e.line) > 0 ? Number(e.line) : null,
+            quote: text(e.quote),
+          })),
+      })),
+    gaps: textList(obj.gaps),
+    searchesTried: textList(obj.searchesTried),
+  };
+}
+
+// Markdown for a structured answer: its `answer`, or a rendering of the fields when that is empty.
+function renderStructuredAnswer(structured) {
+  if (!structured) return "";
+  if (structured.answer.trim()) return structured.answer;
+  const lines = [];
+  for (const m of structured.materials) {
+    const ids = [m.inci && `INCI ${m.inci}`, m.cas && `CAS ${m.cas}`, m.supplier].filter(Boolean).join(", ");
+    lines.push(`- **${m.name}**${ids ? ` (${ids})` : ""}`);
+    for (const e of m.evidence) {
+      const ref = `${e.corpus ? `[${e.corpus}] ` : ""}\`${e.file}${e.line ? `:${e.line}` : ""}\``;
+      lines.push(`  - ${e.quote ? `"${e.quote}" ` : ""}${ref}`);
+    }
+  }
+  if (!structured.materials.length) lines.push("No matching materials were found.");
+  if (structured.gaps.length) {
+    lines.push("", "Gaps:");
+    for (const gap of structured.gaps) lines.push(`- ${gap}`);
+  }
+  if (structured.searchesTried.length) {
+    lines.push("", "Searches attempted:");
+    for (const search of structured.searchesTried) lines.push(`- ${search}`);
+  }
+  return lines.join("\n");
+}
+
+const JSON_ESCAPES = { "\"": "\"", "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+// Streaming view of a structured answer: returns push(delta), which takes the next chunk of the
+// JSON the model is writing and returns the newly completed text of its `answer` string (or "").
+// Everything outside `answer` is skipped, so the chat shows the markdown answer as it is
+// written instead of raw JSON.
+function createAnswerStream() {
+  let raw = "";
+  let pos = -1;
+  let done = false;
+  return (delta) => {
+    raw += String(delta || "");
+    if (done) return "";
+    if (pos < 0) {
+      const m = /"answer"\s*:\s*"/.exec(raw);
+      if (!m) return "";
+      pos = m.index + m[0].length;
+    }
+    let out = "";
+    while (pos < raw.length) {
+      const ch = raw[pos];
+      if (ch === "\"") {
+        done = true;
+        break;
+      }
+      if (ch !== "\\") {
+        out += ch;
+        pos += 1;
+        continue;
+      }
+      // Escapes are decoded once complete; a partial one waits for the next chunk.
+      const esc = raw[pos + 1];
+      if (esc === undefined) break;
+      if (esc === "u") {
+        const hex = raw.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16) || 0);
+        pos += 6;
+        continue;
+      }
+      out += Object.prototype.hasOwnProperty.call(JSON_ESCAPES, esc) ? JSON_ESCAPES[esc] : esc;
+      pos += 2;
+    }
+    return out;
+  };
+}
+
+module.exports = {
+  STRUCTURED_ANSWER_OUTPUT,
+  STRUCTURED_ANSWER_INSTRUCTIONS,
+  parseStructuredAnswer,
+  renderStructuredAnswer,
+  createAnswerStream,
+};
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+"use strict";
+
+// Detects specification tables flattened into text: runs of lines whose cells are separated by
+// tabs or runs of 2+ spaces. Cells are assigned to columns by their character offset, so rows
+// with an empty cell or a wrapped continuation line still land in the right column.
+
+const CELL_SPLIT = /\t+| {2,}/;
+const HEADER_WORDS = /^(item|items|test|tests|test item|parameter|parameters|property|properties|characteristics?|specifications?|spec|limits?|results?|unit|units|method|methods|value|typical value|analysis|항목|시험\s?항목|규격|기준|결과|시험\s?방법|단위)$/i;
+const DEFAULT_MIN_ROWS = 3;
+
+// Split a line into [{ text, start }] cells; tabs count as one column stop each.
+function splitCells(line) {
+  const cells = [];
+  const re = /[^\t ]+(?: [^\t ]+)*/g;
+  const src = String(line || "").replace(/\s+$/, "");
+  let m;
+  let last = null;
+  while ((m = re.exec(src))) {
+    const gap = last ? src.slice(last.end, m.index) : "";
+    // A single space between words (after the first cell) belongs to the same cell.
+    if (last && !CELL_SPLIT.test(gap)) {
+      last.text += gap + m[0];
+      last.end = m.index + m[0].length;
+      continue;
+    }
+    last = { text: m[0], start: m.index, end: m.index + m[0].length };
+    cells.push(last);
+  }
+  return cells;
+}
+
+function isNumericCell(text) {
+  return /\d/.test(text) && /^[<>≤≥±~≈]?\s*[-+]?\d/.test(text.trim());
+}
+
+function looksLikeHeader(row, rest) {
+  if (row.every((c) => HEADER_WORDS.test(c.trim()))) return true;
+  if (row.some((c) => HEADER_WORDS.test(c.trim())) && !row.some(isNumericCell)) return true;
+  // A label row without digits above rows that carry numbers.
+  return !row.some((c) => /\d/.test(c)) && rest.some((r) => r.some((c) => /\d/.test(c)));
+}
+
+function mode(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = values[0];
+  for (const [v, n] of counts) if (n > counts.get(best) || (n === counts.get(best) && v > best)) best = v;
+  return best;
+}
+
+// Column start offsets averaged over the rows that have the modal number of cells.
+function columnStarts(rowsCells, count) {
+  const sums = new Array(count).fill(0);
+  let n = 0;
+  for (const cells of rowsCells) {
+    if (cells.length !== count) continue;
+    cells.forEach((c, i) => { sums[i] += c.start; });
+    n += 1;
+  }
+  return sums.map((s) => s / (n || 1));
+}
+
+function nearestColumn(starts, offset) {
+  let best = 0;
+  for (let i = 1; i < starts.length; i += 1) {
+    if (Math.abs(starts[i] - offset) < Math.abs(starts[best] - offset)) best = i;
+  }
+  return best;
+}
+
+function buildTable(region) {
+  const rowsCells = region.map((r) => r.cells);
+  const count = mode(rowsCells.filter((c) => c.length >= 2).map((c) => c.length));
+  const starts = columnStarts(rowsCells, count);
+  const rows = [];
+  const rowLines = [];
+  for (const { cells, line } of region) {
+    const row = new Array(count).fill("");
+    for (const cell of cells) {
+      const col = cells.length === count ? cells.indexOf(cell) : nearestColumn(starts, cell.start);
+      row[col] = row[col] ? `${row[col]} ${cell.text}` : cell.text;
+    }
+    // A lone indented cell continues the previous row (wrapped text in a wide column).
+    if (cells.length === 1 && rows.length && cells[0].start > starts[0] + 1) {
+      const prev = rows[rows.length - 1];
+      const col = nearestColumn(starts, cells[0].start);
+      prev[col] = prev[col] ? `${prev[col]} ${cells[0].text}` : cells[0].text;
+      continue;
+    }
+    rows.push(row);
+    rowLines.push(line);
+  }
+  const header = rows.length > 1 && looksLikeHeader(rows[0], rows.slice(1)) ? rows.shift() : null;
+  if (header) rowLines.shift();
+  return {
+    startLine: region[0].line,
+    endLine: region[region.length - 1].line,
+    header,
+    rows,
+    rowLines,
+  };
+}
+
+// Find tables in `lines` (1-based line numbers in the result). A table is at least `minRows`
+// lines with 2+ cells each, allowing single blank lines and wrapped continuation lines inside.
+function detectTables(lines, { minRows = DEFAULT_MIN_ROWS, startLine = 1, endLine = lines.length } = {}) {
+  const tables = [];
+  let region = [];
+  let multiCellRows = 0;
+  let pendingBlank = false;
+
+  const flush = () => {
+    if (multiCellRows >= minRows) {
+      // Trailing single-cell lines are prose after the table, not part of it.
+      while (region.length && region[region.length - 1].cells.length < 2) region.pop();
+      const table = buildTable(region);
+      if (table.rows.length) tables.push(table);
+    }
+    region = [];
+    multiCellRows = 0;
+    pendingBlank = false;
+  };
+
+  for (let i = Math.max(1, startLine); i <= Math.min(lines.length, endLine); i += 1) {
+    const line = lines[i - 1];
+    if (!String(line || "").trim()) {
+      if (pendingBlank) flush();
+      else pendingBlank = region.length > 0;
+      continue;
+    }
+    const cells = splitCells(line);
+    if (cells.length >= 2) {
+      region.push({ line: i, cells });
+      multiCellRows += 1;
+      pendingBlank = false;
+      continue;
+    }
+    // Single-cell lines only extend a table as indented continuations.
+    if (region.length && !pendingBlank && cells.length === 1 && cells[0].start > 0) {
+      region.push({ line: i, cells });
+      continue;
+    }
+    flush();
+  }
+  flush();
+  return tables;
+}
+
+// Rows keyed by header cell (or col1, col2, ... for unnamed columns).
+function tableRecords(table) {
+  if (!table.header) return null;
+  const keys = table.header.map((h, i) => h.trim() || `col${i + 1}`);
+  return table.rows.map((row) => Object.fromEntries(keys.map((k, i) => [k, row[i] || ""])));
+}
+
+module.exports = {
+  detectTables,
+  tableRecords,
+  splitCells,
+};
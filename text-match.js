@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+"use strict";
+
+// Text folding and approximate matching for OCR/PDF-exported corpus text.
+//
+// Folding applies NFKC (full-width forms, compatibility characters, and composition of
+// decomposed Hangul jamo into syllables), lowercases, and drops whitespace, hyphens/dashes,
+// soft hyphens and zero-width characters. Every folded character keeps the offset of the
+// original text it came from so matches can be reported as original spans.
+
+const DROPPED_CHARS = /[\s\u00AD\u200B-\u200D\u2060\uFEFF\-\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/u;
+// Code points that attach to the previous character: combining marks and Hangul medial/final jamo.
+const ATTACHING_CHARS = /[\p{M}\u1160-\u11FF\uD7B0-\uD7FF]/u;
+const TRAILING_HYPHEN = /[-\u2010\u2011\u00AD]\s*$/;
+
+function foldWithMap(text) {
+  const src = String(text || "");
+  const chars = [];
+  const map = [];
+  let segment = "";
+  let segmentStart = 0;
+
+  const flush = () => {
+    if (!segment) return;
+    const folded = segment.normalize("NFKC").toLowerCase();
+    for (const ch of folded) {
+      if (DROPPED_CHARS.test(ch)) continue;
+      chars.push(ch);
+      map.push(segmentStart);
+    }
+    segment = "";
+  };
+
+  let offset = 0;
+  for (const cp of src) {
+    if (!segment || !ATTACHING_CHARS.test(cp)) {
+      flush();
+      segmentStart = offset;
+    }
+    segment += cp;
+    offset += cp.length;
+  }
+  flush();
+
+  return { chars, map };
+}
+
+function foldText(text) {
+  return foldWithMap(text).chars.join("");
+}
+
+// Default edit budget for a folded query of `length` characters.
+function defaultMaxEdits(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+}
+
+// Split `pattern` into `maxEdits + 1` pieces: any match within `maxEdits` edits must contain
+// at least one piece verbatim, which makes a cheap prefilter before the full DP.
+function pigeonholePieces(pattern, maxEdits) {
+  const chars = Array.from(pattern);
+  const n = Math.min(chars.length, maxEdits + 1);
+  const pieces = [];
+  for (let i = 0; i < n; i += 1) {
+    const start = Math.floor((i * chars.length) / n);
+    const end = Math.floor(((i + 1) * chars.length) / n);
+    pieces.push(chars.slice(start, end).join(""));
+  }
+  return pieces.filter(Boolean);
+}
+
+// Best approximate occurrence of `pattern` in `text` (both arrays of folded characters),
+// using Sellers' edit-distance DP. Returns { start, end, distance } or null.
+function approximateFind(text, pattern, maxEdits) {
+  const m = pattern.length;
+  if (!m) return null;
+  let prev = new Array(m + 1);
+  let prevStart = new Array(m + 1);
+  for (let j = 0; j <= m; j += 1) {
+    prev[j] = j;
+    prevStart[j] = 0;
+  }
+
+  let best = null;
+  if (prev[m] <= maxEdits) best = { start: 0, end: 0, distance: prev[m] };
+
+  for (let i = 1; i <= text.length; i += 1) {
+    const cur = new Array(m + 1);
+    const curStart = new Array(m + 1);
+    cur[0] = 0;
+    curStart[0] = i;
+    for (let j = 1; j <= m; j += 1) {
+      const sub = prev[j - 1] + (text[i - 1] === pattern[j - 1] ? 0 : 1);
+      const del = prev[j] + 1;
+      const ins = cur[j - 1] + 1;
+      if (sub <= del && sub <= ins) {
+        cur[j] = sub;
+        curStart[j] = prevStart[j - 1];
+      } else if (del <= ins) {
+        cur[j] = del;
+        curStart[j] = prevStart[j];
+      } else {
+        cur[j] = ins;
+        curStart[j] = curStart[j - 1];
+      }
+    }
+    if (cur[m] <= maxEdits && (!best || cur[m] < best.distance)) {
+      best = { start: curStart[m], end: i, distance: cur[m] };
+      if (best.distance === 0) break;
+    }
+    prev = cur;
+    prevStart = curStart;
+  }
+
+  return best;
+}
+
+// Fuzzy-match `query` against consecutive corpus lines ([{ line, text }], ascending).
+// A line ending in a hyphen is joined with the following line so words broken by PDF
+// hyphenation still match; the hit then reports `endLine`.
+function findFuzzyLineMatches(lines, query, { maxEdits } = {}) {
+  const pattern = foldWithMap(query).chars;
+  if (!pattern.length) return [];
+  const edits = Number.isInteger(maxEdits) ? maxEdits : defaultMaxEdits(pattern.length);
+  const pieces = pigeonholePieces(pattern.join(""), edits);
+  const out = [];
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const current = lines[i];
+    const next = lines[i + 1];
+    const joinsNext = TRAILING_HYPHEN.test(current.text) && next && next.line === current.line + 1;
+    const firstPart = joinsNext ? current.text.replace(TRAILING_HYPHEN, "") : current.text;
+    const windowText = joinsNext ? `${firstPart}${next.text}` : current.text;
+
+    const folded = foldWithMap(windowText);
+    const foldedText = folded.chars.join("");
+    if (!pieces.some((p) => foldedText.includes(p))) continue;
+
+    const found = approximateFind(folded.chars, pattern, edits);
+    if (!found || found.end <= found.start) continue;
+    const startOffset = folded.map[found.start];
+    // Matches that start on the next line are reported by that line's own window.
+    if (joinsNext && startOffset >= firstPart.length) continue;
+    const endOffset = found.end < folded.map.length ? folded.map[found.end] : windowText.length;
+    const spansNext = joinsNext && endOffset > firstPart.length;
+
+    out.push({
+      line: current.line,
+      endLine: spansNext ? next.line : current.line,
+      text: spansNext ? `${current.text}\n${next.text}` : current.text,
+      matchedText: windowText.slice(startOffset, endOffset).trim(),
+      normalizedSpan: folded.chars.slice(found.start, found.end).join(""),
+      distance: found.distance,
+      score: Number((1 - found.distance / pattern.length).toFixed(3)),
+    });
+  }
+
+  return out;
+}
+
+// Join PDF-export lines back into running text: a trailing hyphen is treated as a word
+// break and dropped, otherwise lines are joined with a single space.
+function joinBrokenLines(texts) {
+  let out = "";
+  for (const raw of texts) {
+    const text = String(raw || "").trim();
+    if (!out) out = text;
+    else if (TRAILING_HYPHEN.test(out)) out = `${out.replace(TRAILING_HYPHEN, "")}${text}`;
+    else out = `${out} ${text}`;
+  }
+  return out;
+}
+
+// Find `query` where it crosses a line boundary in consecutive lines ([{ line, text }]).
+// Matching uses the same folding as fuzzy mode (so spacing and hyphenation at the break
+// don't matter) and only reports occurrences that start on one line and end on a later one;
+// single-line occurrences are left to the regular search paths.
+function findCrossLineMatches(lines, query, { maxSpan = 3 } = {}) {
+  const needle = foldText(query);
+  if (!needle) return [];
+  const out = [];
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const group = [lines[i]];
+    for (let j = i + 1; j < lines.length && group.length < maxSpan; j += 1) {
+      if (lines[j].line !== group[group.length - 1].line + 1) break;
+      group.push(lines[j]);
+    }
+    if (group.length < 2) continue;
+
+    // Offsets in `windowText` where each line ends, so folded positions map back to lines.
+    const lineEnds = [];
+    let windowText = "";
+    for (const entry of group) {
+      windowText += windowText ? `\n${entry.text}` : entry.text;
+      lineEnds.push(windowText.length);
+    }
+    const folded = foldWithMap(windowText);
+    const foldedText = folded.chars.join("");
+    const firstLineEnd = lineEnds[0];
+
+    for (let from = foldedText.indexOf(needle); from >= 0; from = foldedText.indexOf(needle, from + 1)) {
+      const startOffset = folded.map[from];
+      if (startOffset >= firstLineEnd) break;
+      const lastOffset = folded.map[from + needle.length - 1];
+      if (lastOffset < firstLineEnd) continue;
+      const endIndex = lineEnds.findIndex((end) => lastOffset < end);
+      const spanned = group.slice(0, endIndex + 1);
+      const matched = windowText.slice(startOffset, lastOffset + 1).split("\n");
+      out.push({
+        line: spanned[0].line,
+        endLine: spanned[spanned.length - 1].line,
+        text: spanned.map((entry) => entry.text).join("\n"),
+        joinedText: joinBrokenLines(spanned.map((entry) => entry.text)),
+        matchedText: joinBrokenLines(matched),
+      });
+      break;
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  foldWithMap,
+  foldText,
+  defaultMaxEdits,
+  pigeonholePieces,
+  approximateFind,
+  findFuzzyLineMatches,
+  joinBrokenLines,
+  findCrossLineMatches,
+};
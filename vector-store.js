@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+"use strict";
+
+// Local vector store for semantic search: corpus files are split into line-range chunks whose
+// embeddings are kept in SQLite as Float32 blobs. Search is a brute-force cosine scan, which is
+// fast enough for a single-machine corpus and needs no native vector extension.
+
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DEFAULT_DB_PATH = path.join(__dirname, ".vector-store.db");
+const DEFAULT_CHUNK_CHARS = 1200;
+const DEFAULT_OVERLAP_LINES = 2;
+
+function toBlob(vector) {
+  const arr = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < arr.length; i += 1) norm += arr[i] * arr[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < arr.length; i += 1) arr[i] /= norm;
+  return Buffer.from(arr.buffer);
+}
+
+function fromBlob(blob) {
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+// Split lines into chunks of up to `maxChars`, repeating `overlapLines` lines between neighbours
+// so a passage cut at a boundary still lands whole in one chunk. Blank-only chunks are skipped.
+// Returns [{ startLine, endLine, text }] with 1-based inclusive line numbers.
+function chunkLines(lines, { maxChars = DEFAULT_CHUNK_CHARS, overlapLines = DEFAULT_OVERLAP_LINES } = {}) {
+  const chunks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start;
+    let chars = 0;
+    while (end < lines.length && (end === start || chars + lines[end].length + 1 <= maxChars)) {
+      chars += lines[end].length + 1;
+      end += 1;
+    }
+    const text = lines.slice(start, end).join("\n").slice(0, maxChars);
+    if (text.trim()) chunks.push({ startLine: start + 1, endLine: end, text });
+    if (end >= lines.length) break;
+    start = Math.max(start + 1, end - overlapLines);
+  }
+  return chunks;
+}
+
+class VectorStore {
+  constructor(dbPath = DEFAULT_DB_PATH) {
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.initSchema();
+  }
+
+  initSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vector_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        root TEXT NOT NULL,
+        rel_path TEXT NOT NULL,
+        model TEXT NOT NULL,
+        mtime_ms REAL NOT NULL,
+        size INTEGER NOT NULL,
+        embedded_at TEXT NOT NULL,
+        UNIQUE (root, rel_path, model)
+      );
+
+      CREATE TABLE IF NOT EXISTS vector_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL REFERENCES vector_files(id) ON DELETE CASCADE,
+        start_line INTEGER NOT NULL,
+        end_line INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        embedding BLOB NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_vector_chunks_file ON vector_chunks(file_id, start_line);
+    `);
+  }
+
+  // rel_path -> { id, mtimeMs, size } for files embedded with `model` under `root`.
+  getFileStates(root, model) {
+    const out = new Map();
+    for (const row of this.db.prepare(`
+      SELECT id, rel_path, mtime_ms, size FROM vector_files WHERE root = ? AND model = ?
+    `).all(root, model)) {
+      out.set(row.rel_path, { id: row.id, mtimeMs: row.mtime_ms, size: row.size });
+    }
+    return out;
+  }
+
+  // Replace a file's chunks. `chunks` are [{ startLine, endLine, text, embedding }].
+  replaceFile(root, relPath, model, { mtimeMs, size }, chunks) {
+    const tx = this.db.transaction(() => {
+      this.db.prepare("DELETE FROM vector_files WHERE root = ? AND rel_path = ? AND model = ?").run(root, relPath, model);
+      const fileId = this.db.prepare(`
+        INSERT INTO vector_files (root, rel_path, model, mtime_ms, size, embedded_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(root, relPath, model, mtimeMs, size, new Date().toISOString()).lastInsertRowid;
+      const insert = this.db.prepare(`
+        INSERT INTO vector_chunks (file_id, start_line, end_line, text, embedding) VALUES (?, ?, ?, ?, ?)
+      `);
+      for (const c of chunks) insert.run(fileId, c.startLine, c.endLine, c.text, toBlob(c.embedding));
+    });
+    tx();
+  }
+
+  removeFiles(fileIds) {
+    const del = this.db.prepare("DELETE FROM vector_files WHERE id = ?");
+    const tx = this.db.transaction((ids) => {
+      for (const id of ids) del.run(id);
+    });
+    tx(fileIds);
+  }
+
+  // Top `limit` chunks by cosine similarity to `queryVector`.
+  search(root, model, queryVector, { limit = 20 } = {}) {
+    const query = fromBlob(toBlob(queryVector));
+    const top = [];
+    for (const row of this.db.prepare(`
+      SELECT c.id, c.embedding
+      FROM vector_chunks c
+      JOIN vector_files f ON f.id = c.file_id
+      WHERE f.root = ? AND f.model = ?
+    `).iterate(root, model)) {
+      const vec = fromBlob(row.embedding);
+      if (vec.length !== query.length) continue;
+      let score = 0;
+      for (let i = 0; i < vec.length; i += 1) score += vec[i] * query[i];
+      if (top.length < limit) {
+        top.push({ id: row.id, score });
+        top.sort((a, b) => b.score - a.score);
+      } else if (score > top[top.length - 1].score) {
+        top[top.length - 1] = { id: row.id, score };
+        top.sort((a, b) => b.score - a.score);
+      }
+    }
+    const getChunk = this.db.prepare(`
+      SELECT f.rel_path, c.start_line, c.end_line, c.text
+      FROM vector_chunks c
+      JOIN vector_files f ON f.id = c.file_id
+      WHERE c.id = ?
+    `);
+    return top.map(({ id, score }) => {
+      const row = getChunk.get(id);
+      return { chunkId: id, file: row.rel_path, line: row.start_line, endLine: row.end_line, text: row.text, score };
+    });
+  }
+
+  // The chunk of `relPath` that contains `line`, used to fuse keyword hits with vector hits.
+  findChunk(root, model, relPath, line) {
+    const row = this.db.prepare(`
+      SELECT c.id, c.start_line, c.end_line
+      FROM vector_chunks c
+      JOIN vector_files f ON f.id = c.file_id
+      WHERE f.root = ? AND f.model = ? AND f.rel_path = ? AND c.start_line <= ? AND c.end_line >= ?
+      ORDER BY c.start_line DESC
+      LIMIT 1
+    `).get(root, model, relPath, line, line);
+    return row ? { chunkId: row.id, line: row.start_line, endLine: row.end_line } : null;
+  }
+
+  getStatus(root, model) {
+    const row = this.db.prepare(`
+      SELECT COUNT(DISTINCT f.id) AS files, COUNT(c.id) AS chunks, MAX(f.embedded_at) AS last_embedded_at
+      FROM vector_files f
+      LEFT JOIN vector_chunks c ON c.file_id = f.id
+      WHERE f.root = ? AND f.model = ?
+    `).get(root, model);
+    return { root, model, files: row.files, chunks: row.chunks, lastEmbeddedAt: row.last_embedded_at };
+  }
+}
+
+module.exports = {
+  VectorStore,
+  chunkLines,
+};